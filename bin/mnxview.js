@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+// Renders MNX files to standalone SVG files, without a browser
+
+const fs = require("fs");
+const path = require("path");
+const {JSDOM} = require("jsdom");
+
+const svgNamespace = "http://www.w3.org/2000/svg";
+// semitones of the major and perfect intervals from a unison to a seventh, and the numbers of the perfect ones
+const majorSemitones = [0, 2, 4, 5, 7, 9, 11];
+const perfectNumbers = [1, 4, 5];
+const usage = `Usage: mnxview [options] <file.json>...
+
+Renders each MNX file to an SVG file of the same name.
+
+Options:
+  --validate             Check each file and list every problem, without rendering
+  -w, --width <number>   Sheet width, before scaling (default 1200)
+  -s, --scale <number>   Scale factor of the output image (default 1)
+  -p, --paper <size>     Lay out on pages of this size (letter or a4), writing one SVG file per page
+  --margins <mm>         Page margins, in millimetres (default 15)
+  --staff-size <mm>      Staff height on the page, in millimetres (default 7)
+  -m, --measures-per-system <number>
+                         Put this many measures on each system, where the score has no breaks of its own
+  --auto-breaks          Ignore the system and page breaks of the score, and fill each system instead
+  --concert              Show transposing parts at concert pitch, instead of as their players read them
+  -t, --transpose <interval>
+                         Transpose the score by an interval such as M2 (up a major second) or -m3 (down a minor third)
+  -o, --out-dir <dir>    Directory to write SVG files to (default: next to each input)
+  -h, --help             Show this message`;
+
+// the engine draws into a DOM, just like in the browser
+const dom = new JSDOM("<!DOCTYPE html><body></body>");
+globalThis.window = dom.window;
+globalThis.document = dom.window.document;
+globalThis.HTMLCanvasElement = dom.window.HTMLCanvasElement;
+const {render, validateMNX, getJSONLocations, getPointerLocation, MNXParseError, UnsupportedFeatureError} = require("../p/common.js");
+
+function parseInterval(text) {
+    /**
+     * Reads an interval written as its quality and number, such as M2, P5, or A4, with a minus sign for going down
+     * 
+     * @param {string} text The interval
+     * 
+     * @returns {object} An interval object, with its staffDistance and halfSteps as in MNX
+     */
+
+    let match, steps, semitones, perfect, sign;
+
+    match = /^([+-]?)([PMmAd])(\d+)$/.exec(text);
+    if ((match === null) || (Number(match[3]) < 1)) throw new Error(`Unrecognized interval ${text}.`);
+    steps = Number(match[3]) - 1;
+    perfect = perfectNumbers.includes(steps % majorSemitones.length + 1);
+    if ((perfect && ['M', 'm'].includes(match[2])) || (!perfect && (match[2] == 'P'))) throw new Error(`There is no interval ${text}.`);
+    semitones = majorSemitones[steps % majorSemitones.length] + 12 * Math.floor(steps / majorSemitones.length);
+    semitones += {'P': 0, 'M': 0, 'm': -1, 'A': 1, 'd': perfect ? -1 : -2}[match[2]];
+    sign = (match[1] == '-') ? -1 : 1;
+    return {"staffDistance": sign * steps, "halfSteps": sign * semitones};
+}
+
+function parseArgs(argv) {
+    /**
+     * Reads the command-line arguments
+     * 
+     * @param {Array} argv The arguments after the script name
+     * 
+     * @returns {object} An object with the input files, render options, output directory, and whether help or validation was asked for
+     */
+
+    let result, numberValue;
+
+    result = {"files": [], "options": {}, "outDir": null, "help": false, "validate": false};
+    numberValue = (flag, value) => {
+        if ((value === undefined) || !Number.isFinite(Number(value))) throw new Error(`Option ${flag} requires a number.`);
+        return Number(value);
+    };
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+
+        if ((arg == "-h") || (arg == "--help")) {
+            result.help = true;
+        } else if (arg == "--validate") {
+            result.validate = true;
+        } else if ((arg == "-w") || (arg == "--width")) {
+            result.options.width = numberValue(arg, argv[++i]);
+        } else if ((arg == "-s") || (arg == "--scale")) {
+            result.options.scale = numberValue(arg, argv[++i]);
+        } else if ((arg == "-p") || (arg == "--paper")) {
+            if (argv[i + 1] === undefined) throw new Error(`Option ${arg} requires a paper size.`);
+            result.options.layout = "pages";
+            result.options.paperSize = argv[++i].toLowerCase();
+        } else if (arg == "--margins") {
+            result.options.margins = numberValue(arg, argv[++i]);
+        } else if (arg == "--staff-size") {
+            result.options.staffSize = numberValue(arg, argv[++i]);
+        } else if ((arg == "-m") || (arg == "--measures-per-system")) {
+            result.options.measuresPerSystem = numberValue(arg, argv[++i]);
+        } else if (arg == "--auto-breaks") {
+            result.options.breaks = "auto";
+        } else if (arg == "--concert") {
+            result.options.pitch = "concert";
+        } else if ((arg == "-t") || (arg == "--transpose")) {
+            if (argv[i + 1] === undefined) throw new Error(`Option ${arg} requires an interval.`);
+            result.options.transpose = parseInterval(argv[++i]);
+        } else if ((arg == "-o") || (arg == "--out-dir")) {
+            if (argv[i + 1] === undefined) throw new Error(`Option ${arg} requires a directory.`);
+            result.outDir = argv[++i];
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option ${arg}.`);
+        } else {
+            result.files.push(arg);
+        }
+
+    }
+
+    return result;
+}
+
+function renderFile(file, options, outDir) {
+    /**
+     * Renders one MNX file to SVG files, one for each page
+     * 
+     * @param {string} file The path of the MNX file
+     * @param {object} options Render options
+     * @param {string} outDir The directory to write to, or null to write next to the input
+     * 
+     * @returns {Array} The paths of the SVG files
+     */
+
+    let container, score, stem;
+
+    // each score gets a fresh container, so that nothing is left over from the previous one
+    container = document.createElement("div");
+    document.body.appendChild(container);
+    try {
+        score = render(fs.readFileSync(file, "utf8"), container, options);
+        score.warnings.map((warning) => console.error(`${file}: warning: ${warning}`));
+        stem = path.join((outDir === null) ? path.dirname(file) : outDir, path.basename(file, path.extname(file)));
+        // pages after the first are numbered, so a score on one page keeps its usual name
+        return score.pages.map((page, pageIdx) => {
+            let outFile = (score.pages.length == 1) ? `${stem}.svg` : `${stem}-${pageIdx + 1}.svg`;
+
+            // standalone SVG files need the namespace declared on the root
+            page.setAttribute("xmlns", svgNamespace);
+            fs.writeFileSync(outFile, `<?xml version="1.0" encoding="UTF-8"?>\n${page.outerHTML}\n`);
+            return outFile;
+        });
+    } finally {
+        container.remove();
+    }
+
+}
+
+function validateFile(file) {
+    /**
+     * Lists the problems in one MNX file
+     * 
+     * @param {string} file The path of the MNX file
+     * 
+     * @returns {bool} Whether the file has no errors
+     */
+
+    let text, locations, problems, report;
+
+    text = fs.readFileSync(file, "utf8");
+    locations = getJSONLocations(text);
+    problems = validateMNX(JSON.parse(text));
+    // problems are reported like compiler messages, so that editors can jump to them
+    report = (kind, problem) => {
+        let location = getPointerLocation(locations, problem.pointer);
+
+        console.error(`${file}:${location.line}:${location.column}: ${kind}: ${problem.message} (${problem.pointer || '/'})`);
+    };
+    problems.errors.map((problem) => report("error", problem));
+    problems.warnings.map((problem) => report("warning", problem));
+    return problems.errors.length == 0;
+}
+
+function main() {
+    /**
+     * Runs the command-line tool
+     */
+
+    let args;
+
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(`${e.message}\n\n${usage}`);
+        process.exitCode = 2;
+        return;
+    }
+
+    if (args.help || (args.files.length == 0)) {
+        console.log(usage);
+        if (!args.help) process.exitCode = 2;
+        return;
+    }
+
+    if ((args.outDir !== null) && !args.validate) fs.mkdirSync(args.outDir, {"recursive": true});
+    args.files.map((file) => {
+        let outFiles;
+
+        if (args.validate) {
+            try {
+                if (!validateFile(file)) process.exitCode = 1;
+            } catch (e) {
+                if (!(e instanceof SyntaxError) && (e.code != "ENOENT")) throw e;
+                // bad JSON is reported with its line and column
+                console.error(("location" in e) ? `${file}:${e.location.line}:${e.location.column}: error: ${e.message}` : `${file}: ${e.message}`);
+                process.exitCode = 1;
+            }
+
+            return;
+        }
+
+        try {
+            outFiles = renderFile(file, args.options, args.outDir);
+        } catch (e) {
+            // problems with the score are reported like any other error, but bugs are not hidden
+            if ((e instanceof MNXParseError) || (e instanceof UnsupportedFeatureError)) {
+                console.error(`${file}: [${e.name}] ${e.message}${(e.pointer === null) ? "" : ` (at ${e.pointer})`}`);
+            } else if ((e instanceof SyntaxError) || (e.code == "ENOENT")) {
+                console.error(`${file}: ${e.message}`);
+            } else {
+                throw e;
+            }
+
+            outFiles = null;
+        }
+
+        if (outFiles === null) {
+            process.exitCode = 1;
+        } else {
+            console.log(`${file} -> ${outFiles.join(", ")}`);
+        }
+
+    });
+    return;
+}
+
+if (require.main === module) main();
+module.exports = {parseArgs, parseInterval, renderFile};
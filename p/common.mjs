@@ -0,0 +1,9 @@
+/**
+ * common.mjs - ES module entry point for the open-source MNX viewer.
+ * The engine itself lives in common.js and the modules it gathers, which also work as plain <script>s.
+ */
+
+import mnxview from "./common.js";
+
+export const {render, ScoreHandle, ScorePlayer, parseScore, transposeScore, transposeMNX, getPerformance, scoreToMIDI, validateMNX, getJSONLocations, getPointerLocation, convertMNX, parseMNXv1, MNXParseError, UnsupportedFeatureError} = mnxview;
+export default mnxview;
@@ -0,0 +1,2873 @@
+/**
+ * engrave.js - Engraving for open-source MNX viewer.
+ * Engraving with VexFlow.
+ */
+
+const mnxEngrave = (function () {
+    // imports: VexFlow and the other modules are globals when loaded with <script> tags, and packages otherwise
+    const VexFlow = (typeof Vex != "undefined") ? Vex.Flow : require("vexflow").Flow;
+    const {Factory, Renderer, StaveNote, StaveConnector, StaveTie, Tuplet, Formatter, Accidental, Dot, Beam, Articulation, ModifierPosition, Barline, GraceNoteGroup, Volta, Stem, Curve, GraceNote, ClefNote, Element, Glyph, TextDynamics, StaveTempo, TextFormatter} = VexFlow;
+    const {clefOctaveAnnotations, clefTemplate, MNXParseError, UnsupportedFeatureError, addFractions, compareFractions} = (typeof mnxObjects != "undefined") ? mnxObjects : require("./objects.js");
+    const {diatonicPitchNames, slurSideTranslation, articulationTranslation, getPartKey, getDisplayScore, intervalFromMNX, transposeScore, parseScore, startMeasureAccidentals, resolveAccidentals, sliceBeamLevels} = (typeof mnxModel != "undefined") ? mnxModel : require("./model.js");
+    const {fractionToNumber, scoreToMIDI} = (typeof mnxMIDI != "undefined") ? mnxMIDI : require("./midi.js");
+
+    // default size for sheets and measures
+    const defaultSheetWidth = 1200.;
+    const defaultSheetHeight = 200.;
+    // the width a measure is initialized to for measuring the space needed to render objects and voices
+    const testMeasureWidth = 350.;
+    // set a minimum allowable measure width
+    const minMeasureWidth = 200;
+    // the default height of a measure
+    const defaultMeasureHeight = 100.;
+    // safety and aesthetic margins for dimensions
+    const measureWidthAestheticFactor = 2;
+    const measureHeightSafetyFactor = 0.1;
+    const sheetWidthSafetyFactor = 0.01;
+    // how long to wait for resizing to settle before drawing a score again to fit, in milliseconds
+    const resizeDelay = 100;
+    // paper sizes for the page layout, in millimetres
+    const paperSizes = {
+        "letter": {"width": 215.9, "height": 279.4}, 
+        "a4": {"width": 210., "height": 297.}, 
+    };
+    const layoutModes = ["scroll", "pages"];
+    // whether lines and pages break where the source engraving broke them, or only when they are full
+    const breakModes = ["source", "auto"];
+    // the height of a five-line staff, from its top line to its bottom line, in the units the score is laid out in
+    const staffHeightUnits = 40.;
+    const cssPixelsPerMillimetre = 96 / 25.4;
+    // the last page is only spread out to the bottom margin when it is at least this full
+    const lastPageJustifyFraction = 0.7;
+    const pageNumberFontSize = 12.;
+    // room left of a system for braces and brackets joining the staves of a group
+    const braceMarginWidth = 25.;
+    // part names are written left of the first measure of each system; text cannot be measured before it is drawn, so its width is estimated from an average character
+    const partNameFontSize = 12.;
+    const partNameCharWidth = 0.65;
+    const partNameMarginWidth = 10.;
+    // VexFlow draws volta brackets above the space reserved over a stave, so pull them down into it
+    const voltaVerticalShift = 25.;
+
+    // directions go under or over their staff, clear of the staff lines and of the notes, and those under the bottom staff of a system need room before the next
+    const defaultDirectionPlacements = {"dynamic": "below", "wedge": "below", "text": "above"};
+    const directionStaffGap = 8.;
+    const directionClearance = 4.;
+    const directionArticulationHeight = 12.;
+    const directionSpace = 30.;
+    // dynamics made of these letters are drawn with the music font, whose letters reach this far above their baseline, and any others as text
+    const dynamicPattern = /^[pmfszr]+$/;
+    const dynamicHeight = 12.;
+    const hairpinHeight = 10.;
+    const hairpinGap = 4.;
+    // text cannot be measured, so its width is estimated from its length
+    const directionFontSize = 13.;
+    const directionCharWidth = 0.5;
+    // tempo marks are raised over any other direction above the staff that they would run into, and lines with them are moved down to make room
+    const tempoRaise = 16.;
+    const tempoSpace = 20.;
+
+    const fifthsToMajorKeyMap = {0: 'C', 1: 'G', 2: 'D', 3: 'A', 4: 'E', 5: 'B', 6: 'F#', 7: "C#", "-1": 'F', "-2": "Bb", "-3": "Eb", "-4": "Ab", "-5": "Db", "-6": "Gb", "-7": "Cb"};
+
+    // when to show naturals cancelling the accidentals of the previous key signature at a key change
+    const keyCancellationModes = ["always", "never"];
+    // whether transposing parts are shown as their players read them, or at the pitch they sound
+    const pitchModes = ["transposed", "concert"];
+    const staffCenters = {
+        "treble": {"step": 'B', "alter": 0, "octave": 4}, 
+        "bass": {"step": 'D', "alter": 0, "octave": 3}, 
+        "french": {"step": 'D', "alter": 0, "octave": 5}, 
+        "soprano": {"step": 'G', "alter": 0, "octave": 4}, 
+        "mezzo-soprano": {"step": 'E', "alter": 0, "octave": 4}, 
+        "alto": {"step": 'C', "alter": 0, "octave": 4}, 
+        "tenor": {"step": 'A', "alter": 0, "octave": 3}, 
+        "baritone-c": {"step": 'F', "alter": 0, "octave": 3}, 
+        "baritone-f": {"step": 'F', "alter": 0, "octave": 3}, 
+        "subbass": {"step": 'B', "alter": 0, "octave": 2}, 
+        "percussion": {"step": 'B', "alter": 0, "octave": 4}, 
+    };
+
+    const durationTranslation = {
+        "whole": 'w', 
+        "half": 'h', 
+        "quarter": 'q', 
+        "eighth": '8', 
+        "16th": "16", 
+        "32nd": "32", 
+        "64th": "64", 
+        "128th": "128", 
+        "256th": "256", 
+    };
+
+    const fullMeasureRestDuration = {"base": 'whole', "dots": 0};
+
+    const stemTranslation = {
+        "up": StaveNote.STEM_UP, 
+        "down": StaveNote.STEM_DOWN, 
+    };
+    // VexFlow draws beam levels by the duration just longer than the notes they join, starting with the primary beam
+    const primaryBeamDuration = '4';
+    const secondaryBeamDurations = ['8', "16", "32", "64"];
+
+    // slur shapes, in pixels: distance kept from notes, the rise of the control points as a share of the span and its limits
+    const slurClearance = 4.;
+    const noteheadHalfHeight = 5.;
+    const slurHeightRatio = 0.08;
+    const minSlurHeight = 10.;
+    const maxSlurHeight = 28.;
+    const maxSlurAvoidanceHeight = 80.;
+    // notes this close to the ends of a slur are treated as if slightly further in, so they don't demand huge curves
+    const slurMinimumFraction = 0.15;
+
+    // SVG elements are made in their own namespace
+    const svgNamespace = "http://www.w3.org/2000/svg";
+
+    // how each MNX barline type is drawn: the VexFlow barline whose spacing it takes, and the connector that carries it through grouped staves, if any
+    // a repeat end is not an MNX barline type, but it is drawn the same way
+    const barlineStyles = {
+        "regular": {"type": "single", "connector": "singleRight"}, 
+        "double": {"type": "double", "connector": "thinDouble"}, 
+        "final": {"type": "end", "connector": "boldDoubleRight"}, 
+        "dashed": {"type": "single", "connector": null}, 
+        "dotted": {"type": "single", "connector": null}, 
+        "heavy": {"type": "single", "connector": null}, 
+        "heavy-light": {"type": "end", "connector": null}, 
+        "tick": {"type": "single", "connector": null}, 
+        "short": {"type": "single", "connector": null}, 
+        "none": {"type": "none", "connector": null}, 
+        "repeat-end": {"type": "repeatEnd", "connector": "boldDoubleRight"}, 
+    };
+
+    // the dashes of dashed barlines and the gaps between the dots of dotted ones, in pixels
+    const barlineDashLength = 4.;
+    const barlineDotSpacing = 5.;
+
+    // templates for queues and other objects
+    const continuableInfosTemplate = {
+        "ids": [], 
+        "partial": [], 
+    };
+    const beamInfosTemplate = {
+        "ids": [], 
+        "partial": [], 
+        "levels": [], 
+    };
+
+    const positionTemplate = {
+        'x': 0, 
+        'y': 0, 
+    };
+    // the directions of a staff, and how close they can come to it on each system, worked out as they are drawn
+    const directionRowTemplate = {
+        "marks": [], 
+        "edges": {}, 
+    };
+    const queueTemplate = {
+        "staves": [], 
+        "voices": [], 
+    };
+    const globalMeasureInfoTemplate = {
+        "start": false, 
+        "end": false, 
+        "repeat": {
+            "start": false, 
+            "end": false, 
+        }, 
+        "timeChange": null, 
+        "keyChange": null, 
+        "ending": null, 
+        "barline": null, 
+        "lineBreak": null, 
+        "startKeys": null, 
+        "startClefs": {
+            "clefs": null, 
+            "clefsAdded": null, 
+        }, 
+    };
+
+    // tracks a sequence as its events are read, so that clef changes and accidentals land at the right rhythmic offset
+    const sequenceStateTemplate = {
+        "clef": null, 
+        "changes": [], 
+        "offset": null, 
+        "showChanges": false, 
+        "index": 0, 
+        "accidentals": null, 
+    };
+    // the accidentals of a staff: alterations in the measure are kept by step and octave, each as an array of accidental entries
+    const accidentalStateTemplate = {
+        "key": null, 
+        "measure": {}, 
+        "previous": {}, 
+    };
+
+    const queueArrayTemplate = {
+        "size": 0, 
+        "queues": [], 
+    }
+
+    // a null width means the width of the element the score is drawn in
+    // in the page layout, the paper size, margins and staff size (in millimetres) set the size of everything instead
+    const renderOptionsTemplate = {
+        "keyCancellation": "always", 
+        "width": null, 
+        "scale": 1., 
+        "layout": "scroll", 
+        "paperSize": "letter", 
+        "margins": 15., 
+        "staffSize": 7., 
+        "breaks": "source", 
+        "measuresPerSystem": null, 
+        "pitch": "transposed", 
+        "transpose": null, 
+    };
+    // what a render produced: the lines are kept until drawing is done, and then summarized into the layout
+    // each line also has its extent and systems, so that it can be moved onto a page, and the page it ended up on
+    const renderReportTemplate = {
+        "measureCount": 0, 
+        "lines": [], 
+        "lineExtents": [], 
+        "pages": null, 
+        "scale": 1., 
+        "warnings": [], 
+    };
+    const lineExtentTemplate = {
+        "firstMeasure": 0, 
+        "top": 0, 
+        "bottom": 0, 
+        "systems": [], 
+        "page": null, 
+    };
+    // the size of a page, in the units the score is laid out in, with the scale from those units to CSS pixels
+    const pageGeometryTemplate = {
+        "paper": null, 
+        "width": 0, 
+        "height": 0, 
+        "margin": 0, 
+        "contentWidth": 0, 
+        "contentHeight": 0, 
+        "scale": 1., 
+        "count": 0, 
+    };
+    const boundingBoxTemplate = {
+        'x': 0, 
+        'y': 0, 
+        "width": 0, 
+        "height": 0, 
+    };
+
+    /** @class SlurCurve representing a slur that places and shapes itself around the notes it spans */
+    class SlurCurve extends Curve {
+        constructor (from, to, options) {
+            // the slur works out its own distance from the notes, so VexFlow should not shift it
+            super(from, to, {...options, "y_shift": 0});
+            // which notehead of each chord to attach to, if any, which way to curve, if forced, and the notes passed over
+            this.slurOptions = {"startIndex": null, "endIndex": null, "side": null, "between": [], ...options};
+        }
+
+        getDirection() {
+            /**
+             * Gets the direction the slur curves in
+             * 
+             * @returns {number} 1 if the slur curves downward, or -1 if upward
+             */
+
+            let stemDirections;
+
+            if (this.slurOptions.side !== null) return slurSideTranslation[this.slurOptions.side];
+            // go below only when every stem at the ends points up, so that the slur stays at the noteheads
+            stemDirections = [this.from, this.to].filter((note) => note && note.hasStem()).map((note) => note.getStemDirection());
+            if ((stemDirections.length > 0) && stemDirections.every((stemDirection) => stemDirection == StaveNote.STEM_UP)) return 1;
+            return -1;
+        }
+
+        getEndPoint(note, noteIdx, direction, isStart) {
+            /**
+             * Gets where one end of the slur attaches to its note
+             * 
+             * @param {StaveNote} note The note at this end of the slur
+             * @param {number} noteIdx The index of the notehead to attach to, or null to choose automatically
+             * @param {number} direction The direction the slur curves in
+             * @param {bool} isStart Whether this is the start of the slur
+             * 
+             * @returns {object} A position
+             */
+
+            if (noteIdx !== null) {
+                // a slur on a particular notehead of a chord attaches beside it
+                return {'x': isStart ? note.getTieRightX() : note.getTieLeftX(), 'y': note.getYs()[noteIdx] + direction * slurClearance};
+            }
+
+            if (note.hasStem() && (note.getStemDirection() != direction)) {
+                // the slur is on the stem side, so attach just beyond the end of the stem
+                return {'x': note.getStemX(), 'y': getStemTip(note) + direction * slurClearance};
+            }
+
+            // otherwise, attach over the middle of the outermost notehead
+            return {'x': (note.getNoteHeadBeginX() + note.getNoteHeadEndX()) / 2, 'y': getNoteOuterY(note, direction) + direction * slurClearance};
+        }
+
+        getSegments(direction) {
+            /**
+             * Splits the slur into the pieces drawn on each line
+             * 
+             * @param {number} direction The direction the slur curves in
+             * 
+             * @returns {Array} An array of objects with the first and last positions of each piece and the notes it passes over
+             */
+
+            let fromRow, toRow, notesOnRow, result;
+
+            // staves on the same line of the same staff share a y-position
+            notesOnRow = (row) => this.slurOptions.between.filter((note) => note.getStave() && (note.getStave().getY() == row));
+            if (this.from) fromRow = this.from.checkStave().getY();
+            if (this.to) toRow = this.to.checkStave().getY();
+            if (this.from && this.to && (fromRow == toRow)) {
+                return [{
+                    "first": this.getEndPoint(this.from, this.slurOptions.startIndex, direction, true), 
+                    "last": this.getEndPoint(this.to, this.slurOptions.endIndex, direction, false), 
+                    "notes": notesOnRow(fromRow), 
+                }];
+            }
+
+            // the ends are on different lines, or one is missing, so each end runs to the edge of its line
+            result = [];
+            if (this.from) {
+                let notes, first, lastStave;
+
+                notes = notesOnRow(fromRow);
+                first = this.getEndPoint(this.from, this.slurOptions.startIndex, direction, true);
+                lastStave = (notes.length > 0) ? notes[notes.length - 1].checkStave() : this.from.checkStave();
+                result.push({"first": first, "last": {'x': lastStave.getTieEndX(), 'y': first.y}, "notes": notes});
+            }
+
+            if (this.to) {
+                let notes, last, firstStave;
+
+                notes = notesOnRow(toRow);
+                last = this.getEndPoint(this.to, this.slurOptions.endIndex, direction, false);
+                firstStave = (notes.length > 0) ? notes[0].checkStave() : this.to.checkStave();
+                result.push({"first": {'x': firstStave.getTieStartX(), 'y': last.y}, "last": last, "notes": notes});
+            }
+
+            return result;
+        }
+
+        getHeight(segment, direction) {
+            /**
+             * Computes how high a piece of the slur should rise, given its span and the notes it passes over
+             * 
+             * @param {object} segment A piece of the slur
+             * @param {number} direction The direction the slur curves in
+             * 
+             * @returns {number} The height of the control points above the ends
+             */
+
+            let span, result;
+
+            span = segment.last.x - segment.first.x;
+            result = Math.min(Math.max(slurHeightRatio * span, minSlurHeight), maxSlurHeight);
+            if (span <= 0) return result;
+            segment.notes.map((note) => {
+                let fraction, baseline, overlap;
+
+                fraction = (note.getStemX() - segment.first.x) / span;
+                if ((fraction <= 0) || (fraction >= 1)) return;
+                // how far the note pokes out past the straight line between the ends
+                baseline = segment.first.y + fraction * (segment.last.y - segment.first.y);
+                overlap = direction * (getNoteOuterY(note, direction) - baseline) + slurClearance;
+                // with both control points at the same height, the curve rises to 3t(1 - t) of it at t along the way
+                fraction = Math.min(Math.max(fraction, slurMinimumFraction), 1 - slurMinimumFraction);
+                result = Math.max(result, overlap / (3 * fraction * (1 - fraction)));
+            });
+            return Math.min(result, maxSlurAvoidanceHeight);
+        }
+
+        draw() {
+            let direction;
+
+            this.checkContext();
+            this.setRendered();
+            direction = this.getDirection();
+            this.getSegments(direction).map((segment) => {
+                let height = this.getHeight(segment, direction);
+                this.render_options.cps = [{'x': 0, 'y': height}, {'x': 0, 'y': height}];
+                this.renderCurve({"first_x": segment.first.x, "first_y": segment.first.y, "last_x": segment.last.x, "last_y": segment.last.y, "direction": direction});
+            });
+            return true;
+        }
+
+    }
+
+    /** @class MeasureBarline representing a barline of any MNX type, including those VexFlow does not draw */
+    class MeasureBarline extends Barline {
+        constructor (style) {
+            // the barline is spaced like the VexFlow barline closest to it
+            super(barlineStyles[style].type);
+            this.style = style;
+        }
+
+        draw(stave) {
+            /**
+             * Draws the barline on a stave
+             * 
+             * @param {Stave} stave The stave the barline ends
+             */
+
+            let ctx, topY, bottomY, spacing;
+
+            if (!["dashed", "dotted", "heavy", "heavy-light", "tick", "short"].includes(this.style)) {
+                super.draw(stave);
+                return;
+            }
+
+            ctx = stave.checkContext();
+            this.setRendered();
+            topY = stave.getTopLineTopY();
+            bottomY = stave.getBottomLineBottomY();
+            spacing = stave.getSpacingBetweenLines();
+            ctx.openGroup("stavebarline", this.getAttribute("id"));
+            if (this.style == "dashed") {
+                for (let y = topY; y < bottomY; y += 2 * barlineDashLength) {
+                    ctx.fillRect(this.x, y, 1, Math.min(barlineDashLength, bottomY - y));
+                }
+
+            } else if (this.style == "dotted") {
+                for (let y = topY + barlineDotSpacing / 2; y < bottomY; y += barlineDotSpacing) {
+                    ctx.beginPath();
+                    ctx.arc(this.x + 0.5, y, 1, 0, 2 * Math.PI, false);
+                    ctx.fill();
+                }
+
+            } else if (this.style == "heavy") {
+                ctx.fillRect(this.x - 2, topY, 3, bottomY - topY);
+            } else if (this.style == "heavy-light") {
+                ctx.fillRect(this.x - 5, topY, 3, bottomY - topY);
+                ctx.fillRect(this.x, topY, 1, bottomY - topY);
+            } else if (this.style == "tick") {
+                // a short stroke through the top line
+                ctx.fillRect(this.x, topY - spacing / 2, 1, spacing);
+            } else {
+                // a stroke between the second and fourth lines
+                ctx.fillRect(this.x, topY + spacing, 1, bottomY - topY - 2 * spacing);
+            }
+
+            ctx.closeGroup();
+            return;
+        }
+
+    }
+
+    /** @class PartName representing the name of a part, written left of its staves at the start of a system */
+    class PartName extends StaveConnector {
+        constructor (topStave, bottomStave, name, offset) {
+            // it is placed like a connector, so that it is drawn on the page its staves are on
+            super(topStave, bottomStave);
+            this.setType("none");
+            this.name = name;
+            // how far left of the staves the name ends
+            this.offset = offset;
+        }
+
+        draw() {
+            /**
+             * Draws the name, right-aligned and centred on the staves
+             */
+
+            let ctx, text;
+
+            ctx = this.checkContext();
+            this.setRendered();
+            // the image aligns the text itself, since it cannot be measured here
+            text = ctx.svg.ownerDocument.createElementNS(svgNamespace, "text");
+            text.setAttribute("class", "mnx-part-name");
+            text.setAttribute('x', this.top_stave.getX() - this.offset);
+            text.setAttribute('y', (this.top_stave.getYForLine(0) + this.bottom_stave.getBottomLineY() + partNameFontSize) / 2);
+            text.setAttribute("text-anchor", "end");
+            text.setAttribute("font-size", partNameFontSize);
+            text.setAttribute("stroke", "none");
+            text.textContent = this.name;
+            ctx.add(text);
+            return;
+        }
+
+    }
+
+    /** @class DirectionMark representing a dynamic or a text direction, under or over the notes of its staff */
+    class DirectionMark extends Element {
+        constructor (anchor, type, value, side, row) {
+            super();
+            // where it is, as a position among the notes of a stave, and which side of the staff it is on, where 1 is below and -1 above
+            this.anchor = anchor;
+            this.type = type;
+            this.value = value;
+            this.side = side;
+            // the directions of the staff, which line up with each other on each system
+            this.row = row;
+        }
+
+        getStave() {
+            /**
+             * Gets the stave the direction is on
+             * 
+             * @returns {Stave} The stave
+             */
+
+            return this.anchor.stave;
+        }
+
+        isGlyphs() {
+            /**
+             * Checks whether the direction is a dynamic that can be drawn with the letters of the music font
+             * 
+             * @returns {bool} Whether it is drawn with the music font
+             */
+
+            return (this.type == "dynamic") && dynamicPattern.test(this.value);
+        }
+
+        getWidth() {
+            /**
+             * Gets the width of the direction
+             * 
+             * @returns {number} The width, which is estimated for text
+             */
+
+            if (this.isGlyphs()) return this.value.split('').reduce((width, letter) => width + TextDynamics.GLYPHS[letter].width, 0);
+            return directionCharWidth * directionFontSize * this.value.length;
+        }
+
+        getLeft() {
+            /**
+             * Gets where the direction starts
+             * 
+             * @returns {number} The x-position, which centres dynamics on their note and starts text at it
+             */
+
+            if (this.type == "dynamic") return getAnchorX(this.anchor) - this.getWidth() / 2;
+            return getAnchorX(this.anchor) - noteheadHalfHeight;
+        }
+
+        getSpans() {
+            /**
+             * Gets the stretches of staff the direction covers
+             * 
+             * @returns {Array} An array of objects with a stave, the voices on it, and the left and right of the stretch
+             */
+
+            return [{"stave": this.anchor.stave, "voices": this.anchor.voices, "left": this.getLeft(), "right": this.getLeft() + this.getWidth()}];
+        }
+
+        draw() {
+            /**
+             * Draws the direction
+             */
+
+            let ctx, edge, x, y, text;
+
+            ctx = this.checkContext();
+            this.setRendered();
+            edge = getDirectionEdge(this.row, this.anchor.stave, this.side);
+            x = this.getLeft();
+            // directions below hang from the edge, and those above stand on it
+            y = (this.side > 0) ? edge + dynamicHeight : edge;
+            if (this.isGlyphs()) {
+                ctx.openGroup("dynamic", this.getAttribute("id"));
+                this.value.split('').map((letter) => {
+                    Glyph.renderGlyph(ctx, x, y, VexFlow.NOTATION_FONT_SCALE, TextDynamics.GLYPHS[letter].code, {"category": "textNote"});
+                    x += TextDynamics.GLYPHS[letter].width;
+                });
+                ctx.closeGroup();
+                return;
+            }
+
+            // the image lays out the text itself, since it cannot be measured here
+            text = ctx.svg.ownerDocument.createElementNS(svgNamespace, "text");
+            text.setAttribute("class", (this.type == "dynamic") ? "mnx-dynamic" : "mnx-direction");
+            text.setAttribute('x', x);
+            text.setAttribute('y', y);
+            text.setAttribute("font-size", directionFontSize);
+            text.setAttribute("font-style", "italic");
+            if (this.type == "dynamic") text.setAttribute("font-weight", "bold");
+            text.setAttribute("stroke", "none");
+            text.textContent = this.value;
+            ctx.add(text);
+            return;
+        }
+
+    }
+
+    /** @class Hairpin representing a crescendo or diminuendo wedge, which is split where it runs across systems */
+    class Hairpin extends Element {
+        constructor (from, type, side, row) {
+            super();
+            // the anchor of each end, and the staves the hairpin runs along, with their voices
+            this.from = from;
+            this.to = null;
+            this.staves = [{"stave": from.stave, "voices": from.voices}];
+            this.type = type;
+            this.side = side;
+            this.row = row;
+            // how far each end is kept from a dynamic at the same place
+            this.startGap = 0.;
+            this.endGap = 0.;
+        }
+
+        getSpans() {
+            /**
+             * Gets the stretches of staff the hairpin covers, one for each system it is on
+             * 
+             * @returns {Array} An array of objects with the first stave on the system, the voices of the staves, and the left and right of the stretch
+             */
+
+            let rows;
+
+            // staves on the same line of the same staff share a y-position
+            rows = [];
+            this.staves.map((covered) => {
+                if ((rows.length == 0) || (rows[rows.length - 1][0].stave.getY() != covered.stave.getY())) rows.push([]);
+                rows[rows.length - 1].push(covered);
+            });
+            return rows.map((row) => {
+                let first, last;
+
+                first = row[0];
+                last = row[row.length - 1];
+                return {
+                    "stave": first.stave, 
+                    "voices": row.flatMap((covered) => covered.voices), 
+                    "left": (first.stave == this.from.stave) ? getAnchorX(this.from) + this.startGap : first.stave.getNoteStartX(), 
+                    "right": ((this.to !== null) && (last.stave == this.to.stave)) ? getAnchorX(this.to) - this.endGap : last.stave.getNoteEndX(), 
+                };
+            });
+        }
+
+        draw() {
+            /**
+             * Draws the hairpin, opening or closing evenly along all of its pieces
+             */
+
+            let ctx, spans, total, covered;
+
+            ctx = this.checkContext();
+            this.setRendered();
+            spans = this.getSpans();
+            total = spans.reduce((sum, span) => sum + Math.max(0, span.right - span.left), 0);
+            covered = 0;
+            ctx.openGroup("hairpin", this.getAttribute("id"));
+            spans.map((span) => {
+                let y, widths;
+
+                // the hairpin is as far from the staff as the middle of the dynamics next to it
+                y = getDirectionEdge(this.row, span.stave, this.side) + this.side * dynamicHeight / 2;
+                widths = [covered, covered + Math.max(0, span.right - span.left)].map((length) => hairpinHeight * ((total > 0) ? length / total : 0));
+                if (this.type == "diminuendo") widths = widths.map((width) => hairpinHeight - width);
+                covered += Math.max(0, span.right - span.left);
+                ctx.beginPath();
+                ctx.moveTo(span.left, y - widths[0] / 2);
+                ctx.lineTo(span.right, y - widths[1] / 2);
+                ctx.moveTo(span.left, y + widths[0] / 2);
+                ctx.lineTo(span.right, y + widths[1] / 2);
+                ctx.stroke();
+            });
+            ctx.closeGroup();
+            return;
+        }
+
+    }
+
+    /** @class TempoMark representing a tempo marking, with its text and metronome mark, over the top staff of a system */
+    class TempoMark extends Element {
+        constructor (anchor, tempo, row) {
+            super();
+            // it goes above the staff, in line with the other directions there
+            this.anchor = anchor;
+            this.tempo = tempo;
+            this.side = -1;
+            this.row = row;
+            this.staveTempo = new StaveTempo({"name": (tempo.text === null) ? undefined : tempo.text, "duration": durationTranslation[tempo.value.base], "dots": tempo.value.dots, "bpm": tempo.bpm}, 0, 0).setShiftX(0);
+        }
+
+        getStave() {
+            /**
+             * Gets the stave the tempo is on
+             * 
+             * @returns {Stave} The stave
+             */
+
+            return this.anchor.stave;
+        }
+
+        getWidth() {
+            /**
+             * Gets the width of the tempo, laid out as VexFlow lays out a stave tempo
+             * 
+             * @returns {number} The width
+             */
+
+            let scale, noteFormatter, result;
+
+            scale = this.staveTempo.render_options.glyph_font_scale / VexFlow.NOTATION_FONT_SCALE;
+            noteFormatter = TextFormatter.create(Object.assign({}, StaveTempo.TEXT_FONT, {"weight": "normal", "style": "normal"}));
+            result = 0;
+            // a text is followed by the metronome mark in brackets
+            if (this.tempo.text !== null) result += TextFormatter.create(StaveTempo.TEXT_FONT).getWidthForTextInPx(this.tempo.text) + noteFormatter.getWidthForTextInPx("|(");
+            result += 6 * scale + Glyph.getWidth("noteheadBlack", this.staveTempo.render_options.glyph_font_scale) + 6 * scale * this.tempo.value.dots;
+            return result + noteFormatter.getWidthForTextInPx(` = ${this.tempo.bpm}${(this.tempo.text === null) ? "" : ")"}`);
+        }
+
+        getLeft() {
+            /**
+             * Gets where the tempo starts
+             * 
+             * @returns {number} The x-position, which is at the note the tempo starts at
+             */
+
+            return getAnchorX(this.anchor) - noteheadHalfHeight;
+        }
+
+        getSpans() {
+            /**
+             * Gets the stretch of staff the tempo covers
+             * 
+             * @returns {Array} An array of an object with the stave, its voices, and the left and right of the stretch
+             */
+
+            return [{"stave": this.anchor.stave, "voices": this.anchor.voices, "left": this.getLeft(), "right": this.getLeft() + this.getWidth()}];
+        }
+
+        draw() {
+            /**
+             * Draws the tempo
+             */
+
+            let left, right, y, raised;
+
+            this.checkContext();
+            this.setRendered();
+            left = this.getLeft();
+            right = left + this.getWidth();
+            raised = this.row.marks.some((mark) => !(mark instanceof TempoMark) && (mark.side == this.side) && mark.getSpans().some((span) => (span.stave.getY() == this.anchor.stave.getY()) && (span.left < right) && (span.right > left)));
+            // they are never lower than VexFlow puts them, which clears most slurs
+            y = Math.min(this.anchor.stave.getYForTopText(1), getDirectionEdge(this.row, this.anchor.stave, this.side) - (raised ? tempoRaise : 0.));
+            // the stave tempo places itself from the top of the stave, so it is moved from there to where it goes
+            this.staveTempo.setX(left);
+            this.staveTempo.setShiftY(y - this.anchor.stave.getYForTopText(1));
+            this.staveTempo.draw(this.anchor.stave, 0);
+            return;
+        }
+
+    }
+
+    /** @class ScoreFactory representing a VexFlow factory that can also create the elements defined here */
+    class ScoreFactory extends Factory {
+        constructor (options) {
+            super(options);
+            // when the score is split into pages, each page has a context of its own
+            this.pageContexts = null;
+            this.pageGeometry = null;
+        }
+
+        setPages(contexts, page) {
+            /**
+             * Draws each element onto the context of the page it is on, instead of the factory's own
+             * 
+             * @param {Array} contexts A context for each page
+             * @param {object} page The page geometry
+             * 
+             * @returns {ScoreFactory} This factory
+             */
+
+            this.pageContexts = contexts;
+            this.pageGeometry = page;
+            return this;
+        }
+
+        drawOnPages(element, staves) {
+            /**
+             * Draws an element onto every page that the staves it is on are on
+             * 
+             * @param {Element} element A VexFlow element
+             * @param {Array} staves The staves the element is on
+             */
+
+            let pageIndices;
+
+            // the pages are stacked one above the next, each starting a margin above its first line
+            pageIndices = new Set(staves.map((stave) => Math.min(this.pageContexts.length - 1, Math.max(0, Math.floor((stave.getY() + this.pageGeometry.margin) / this.pageGeometry.height)))));
+            // anything not on a stave goes on the first page
+            if (pageIndices.size == 0) pageIndices.add(0);
+            pageIndices.forEach((pageIdx) => element.setContext(this.pageContexts[pageIdx]).draw());
+            return;
+        }
+
+        draw() {
+            /**
+             * Draws everything created with the factory, each on its own page if there are pages
+             */
+
+            if (this.pageContexts === null) {
+                super.draw();
+                return;
+            }
+
+            // this follows the order the factory usually draws in
+            this.systems.forEach((system) => system.setContext(this.context).format());
+            this.staves.forEach((stave) => this.drawOnPages(stave, [stave]));
+            this.voices.forEach((voice) => this.drawOnPages(voice, getElementStaves(voice)));
+            this.renderQ.forEach((element) => {
+                if (!element.isRendered()) this.drawOnPages(element, getElementStaves(element));
+            });
+            this.systems.forEach((system) => this.drawOnPages(system, system.getStaves()));
+            this.reset();
+            return;
+        }
+
+        Slur(params) {
+            /**
+             * Creates a slur and adds it to the render queue
+             * 
+             * @param {object} params An object with the notes the slur goes from and to, and its options
+             * 
+             * @returns {SlurCurve} The slur
+             */
+
+            let slur = new SlurCurve(params.from, params.to, params.options);
+            slur.setContext(this.context);
+            this.renderQ.push(slur);
+            return slur;
+        }
+
+        DirectionMark(params) {
+            /**
+             * Creates a dynamic or text direction and adds it to the render queue
+             * 
+             * @param {object} params An object with the anchor of the direction, its type and value, the side of the staff it is on, and the directions of its staff
+             * 
+             * @returns {DirectionMark} The direction
+             */
+
+            let mark = new DirectionMark(params.anchor, params.type, params.value, params.side, params.row);
+            mark.setContext(this.context);
+            params.row.marks.push(mark);
+            this.renderQ.push(mark);
+            return mark;
+        }
+
+        Hairpin(params) {
+            /**
+             * Creates a hairpin and adds it to the render queue, which is drawn once its end is set
+             * 
+             * @param {object} params An object with the anchor of the start of the hairpin, its type, the side of the staff it is on, and the directions of its staff
+             * 
+             * @returns {Hairpin} The hairpin
+             */
+
+            let hairpin = new Hairpin(params.from, params.type, params.side, params.row);
+            hairpin.setContext(this.context);
+            params.row.marks.push(hairpin);
+            this.renderQ.push(hairpin);
+            return hairpin;
+        }
+
+        TempoMark(params) {
+            /**
+             * Creates a tempo marking and adds it to the render queue
+             * 
+             * @param {object} params An object with the anchor of the tempo, the tempo itself, and the directions of the staff it is over
+             * 
+             * @returns {TempoMark} The tempo
+             */
+
+            let mark = new TempoMark(params.anchor, params.tempo, params.row);
+            mark.setContext(this.context);
+            params.row.marks.push(mark);
+            this.renderQ.push(mark);
+            return mark;
+        }
+
+        PartName(params) {
+            /**
+             * Creates a part name and adds it to the render queue
+             * 
+             * @param {object} params An object with the top and bottom staves of the part, its name, and how far left of them the name ends
+             * 
+             * @returns {PartName} The part name
+             */
+
+            let partName = new PartName(params.top_stave, params.bottom_stave, params.name, params.offset);
+            partName.setContext(this.context);
+            this.renderQ.push(partName);
+            return partName;
+        }
+
+    }
+
+    /** @class ScoreHandle representing a score rendered into an element, with its layout */
+    class ScoreHandle {
+        constructor (mnx, target, options = {}) {
+            /**
+             * Renders a score into an element
+             * 
+             * @param {object} mnx An MNX object
+             * @param {string|HTMLElement} target The ID of a div, or the div itself, in which to draw the score
+             * @param {object} options Render options, with defaults for any that are missing
+             */
+
+            // the score is read once, and drawn again as often as needed
+            this.source = parseScore(mnx);
+            this.score = this.source;
+            this.element = (typeof target == "string") ? document.getElementById(target) : target;
+            if (!this.element) throw new Error(`No element ${target} to render into.`);
+            this.options = options;
+            this.svg = null;
+            this.pages = [];
+            this.resizeObserver = null;
+            this.resizeTimer = null;
+            this.rerender();
+        }
+
+        rerender(options = {}) {
+            /**
+             * Draws the score again, replacing the previous drawing
+             * 
+             * @param {object} options Render options to change from those of the previous render
+             * 
+             * @returns {ScoreHandle} This score
+             */
+
+            let report, layout, svgs, renderOptions, sheetWidth;
+
+            this.options = Object.assign({}, this.options, options);
+            renderOptions = getRenderOptions(this.options);
+            // the element is measured with the previous drawing still in it, so that scroll bars it brought do not come and go
+            this.renderedWidth = this.element.clientWidth;
+            sheetWidth = renderOptions.width;
+            if ((sheetWidth === null) && (renderOptions.layout == "scroll")) sheetWidth = getSheetWidth(this.element, renderOptions.scale);
+            // the handle keeps the score it draws, so that playback and MIDI follow a transposition
+            this.score = (renderOptions.transpose === null) ? this.source : transposeScore(this.source, intervalFromMNX(renderOptions.transpose));
+            this.destroy();
+            // the renderer adds its own images to the element, one for each page, which are what this score owns
+            svgs = Array.from(this.element.children);
+            report = engraveScore(this.score, this.element, Object.assign({}, this.options, {"width": sheetWidth, "transpose": null}));
+            this.pages = Array.from(this.element.children).filter((child) => !svgs.includes(child));
+            this.svg = (this.pages.length > 0) ? this.pages[0] : null;
+            this.scale = report.scale;
+            layout = getScoreLayout(report, this.score.parts.map((part) => part.staves));
+            this.measureCount = report.measureCount;
+            this.systems = layout.systems;
+            this.measures = layout.measures;
+            this.events = layout.events;
+            this.warnings = report.warnings;
+            // a score as wide as its element is drawn again when the element changes width
+            if ((renderOptions.width === null) && (renderOptions.layout == "scroll") && (typeof ResizeObserver != "undefined")) {
+                this.resizeObserver = new ResizeObserver(() => this.resized());
+                this.resizeObserver.observe(this.element);
+            }
+
+            return this;
+        }
+
+        resized() {
+            /**
+             * Reflows the score once its element has settled on a new width
+             */
+
+            if (this.resizeTimer !== null) clearTimeout(this.resizeTimer);
+            this.resizeTimer = setTimeout(() => {
+                this.resizeTimer = null;
+                // changes in height, as from drawing the score itself, need no reflow
+                if ((this.svg !== null) && (this.element.clientWidth != this.renderedWidth)) this.rerender();
+            }, resizeDelay);
+            return;
+        }
+
+        measureAt(x, y, page = 0) {
+            /**
+             * Finds the measure drawn at a point of the image
+             * 
+             * @param {number} x The distance from the left of the image
+             * @param {number} y The distance from the top of the image
+             * @param {number} page The index of the page the image is of
+             * 
+             * @returns {number} The index of the measure, or null if there is none there
+             */
+
+            let measure;
+
+            measure = this.measures.find((candidate) => {
+                let box = candidate.boundingBox;
+
+                return (candidate.page == page) && (x >= box.x) && (x <= box.x + box.width) && (y >= box.y) && (y <= box.y + box.height);
+            });
+            return (measure === undefined) ? null : measure.index;
+        }
+
+        toMIDI(options = {}) {
+            /**
+             * Creates a Standard MIDI File of the score
+             * 
+             * @param {object} options Playback options, with defaults for any that are missing
+             * 
+             * @returns {Uint8Array} The bytes of the file
+             */
+
+            return scoreToMIDI(this.score, options);
+        }
+
+        destroy() {
+            /**
+             * Removes the drawing of the score from its element
+             */
+
+            this.pages.map((page) => page.remove());
+            this.pages = [];
+            this.svg = null;
+            if (this.resizeObserver !== null) this.resizeObserver.disconnect();
+            if (this.resizeTimer !== null) clearTimeout(this.resizeTimer);
+            this.resizeObserver = null;
+            this.resizeTimer = null;
+            this.measureCount = 0;
+            this.systems = [];
+            this.measures = [];
+            this.events = [];
+            this.warnings = [];
+            return;
+        }
+
+    }
+
+    function getRenderOptions(options) {
+        /**
+         * Fills in the defaults of a set of render options and checks them
+         * 
+         * @param {object} options Render options, any of which may be missing
+         * 
+         * @returns {object} A complete set of render options
+         */
+
+        let result;
+
+        result = Object.assign(structuredClone(renderOptionsTemplate), options);
+        if (!keyCancellationModes.includes(result.keyCancellation)) throw new UnsupportedFeatureError(`Unrecognized key cancellation ${result.keyCancellation}.`);
+        if ((result.width !== null) && (!(typeof result.width == "number") || !(result.width >= minMeasureWidth))) throw new UnsupportedFeatureError(`Sheet width must be a number of at least ${minMeasureWidth}.`);
+        if (!(typeof result.scale == "number") || !(result.scale > 0)) throw new UnsupportedFeatureError("Scale must be a positive number.");
+        if (!layoutModes.includes(result.layout)) throw new UnsupportedFeatureError(`Unrecognized layout ${result.layout}.`);
+        if (!Object.hasOwn(paperSizes, result.paperSize)) throw new UnsupportedFeatureError(`Unrecognized paper size ${result.paperSize}.`);
+        if (!(typeof result.margins == "number") || !(result.margins >= 0)) throw new UnsupportedFeatureError("Margins must be a non-negative number.");
+        if (!(typeof result.staffSize == "number") || !(result.staffSize > 0)) throw new UnsupportedFeatureError("Staff size must be a positive number.");
+        if (!breakModes.includes(result.breaks)) throw new UnsupportedFeatureError(`Unrecognized breaks ${result.breaks}.`);
+        if ((result.measuresPerSystem !== null) && (!Number.isInteger(result.measuresPerSystem) || (result.measuresPerSystem < 1))) throw new UnsupportedFeatureError("Measures per system must be a positive integer.");
+        if (!pitchModes.includes(result.pitch)) throw new UnsupportedFeatureError(`Unrecognized pitch ${result.pitch}.`);
+        if (result.transpose !== null) intervalFromMNX(result.transpose);
+        return result;
+    }
+
+    function keyToVF(key) {
+        /**
+         * Returns the name VexFlow uses for the signature of a key
+         * 
+         * @param {object} key A key
+         * 
+         * @returns {string} The name of the major key with the same signature
+         */
+
+        return fifthsToMajorKeyMap[key.fifths];
+    }
+
+    function addClefVF(stave, clef) {
+        /**
+         * Adds a clef to a stave, including any octave annotation
+         * 
+         * @param {Stave} stave A stave, which will be modified
+         * @param {object} clef A clef
+         */
+
+        if (clef.octave != 0) {
+            stave.addClef(clef.name, "default", clefOctaveAnnotations[clef.name][clef.octave]);
+        } else {
+            stave.addClef(clef.name);
+        }
+
+        return;
+    }
+
+    function setEndBarlineVF(stave, style) {
+        /**
+         * Sets the barline at the end of a stave
+         * 
+         * @param {Stave} stave A stave, which will be modified
+         * @param {string} style An MNX barline type, or "repeat-end"
+         */
+
+        let barline;
+
+        // the stave keeps its end barline in place of its first end modifier, so the new one takes its place
+        barline = new MeasureBarline(style);
+        barline.setPosition(stave.modifiers[1].getPosition());
+        barline.setStave(stave);
+        stave.modifiers[1] = barline;
+        stave.formatted = false;
+        return;
+    }
+
+    function getEndBarlineVF(stave) {
+        /**
+         * Gets the barline at the end of a stave
+         * 
+         * @param {Stave} stave A stave
+         * 
+         * @returns {string} An MNX barline type, or "repeat-end"
+         */
+
+        return (stave.modifiers[1] instanceof MeasureBarline) ? stave.modifiers[1].style : "regular";
+    }
+
+    function clefToClefNoteVF(clef, factory) {
+        /**
+         * Creates a small VexFlow clef for a clef change within a measure
+         * 
+         * @param {object} clef A clef
+         * @param {Factory} factory A factory with context
+         * 
+         * @returns {ClefNote} A VexFlow ClefNote object
+         */
+
+        let options;
+
+        options = {"size": "small"};
+        if (clef.octave != 0) options.annotation = clefOctaveAnnotations[clef.name][clef.octave];
+        return factory.ClefNote({"type": clef.name, "options": options});
+    }
+
+    function advanceSequenceClef(sequenceState, factory, toEnd = false) {
+        /**
+         * Applies the clef changes a sequence has reached at its current offset
+         * 
+         * @param {object} sequenceState The state of a sequence - will be modified
+         * @param {Factory} factory A factory with context
+         * @param {bool} toEnd Whether to apply all remaining changes, as at the end of the sequence
+         * 
+         * @returns {Array} An array of VexFlow ClefNote objects to place before the next event
+         */
+
+        let result = [];
+
+        while ((sequenceState.changes.length > 0) && (toEnd || (compareFractions(sequenceState.changes[0].position, sequenceState.offset) <= 0))) {
+            sequenceState.clef = sequenceState.changes.shift().clef;
+            // only one voice per staff needs to show the change
+            if (sequenceState.showChanges) result.push(clefToClefNoteVF(sequenceState.clef, factory));
+        }
+
+        return result;
+    }
+
+    function dotted(staveNote, noteIdx = -1) {
+        /**
+         * Adds a dot on a note
+         * 
+         * @param {StaveNote} staveNote The note to be dotted
+         * @param {number} noteIdx For chords, the indices to dot
+         */
+
+        if (noteIdx < 0) {
+            Dot.buildAndAttach([staveNote], {all: true});
+        } else {
+            Dot.buildAndAttach([staveNote], {index: noteIdx});
+        }
+
+        return staveNote;
+    }
+
+    function timeSignatureToVF(ts) {
+        /**
+         * Convert a time signature into a VexFlow string
+         * 
+         * @param {object} ts A time signature
+         * 
+         * @returns {string} A VexFlow string representing the time signature
+         */
+
+        return `${ts.count}/${ts.unit}`;
+    }
+
+    function endingToVoltaType(ending) {
+        /**
+         * Gets the type of volta bracket to draw over a measure of an alternate ending
+         * 
+         * @param {object} ending The ending information of the measure
+         * 
+         * @returns {number} A VexFlow volta type
+         */
+
+        // only the first measure gets a hook and the numbers, and only the last measure of a closed ending gets a hook
+        // the remaining measures, including those continuing an ending onto a new line, just carry the bracket along
+        if (ending.first && ending.last && !ending.open) return Volta.type.BEGIN_END;
+        if (ending.first) return Volta.type.BEGIN;
+        if (ending.last && !ending.open) return Volta.type.END;
+        return Volta.type.MID;
+    }
+
+    function endingToVoltaLabel(ending) {
+        /**
+         * Gets the text shown at the beginning of an alternate ending's volta bracket
+         * 
+         * @param {object} ending The ending information of the measure
+         * 
+         * @returns {string} A label such as "1, 2."
+         */
+
+        if (ending.numbers.length == 0) return "";
+        return `${ending.numbers.join(", ")}.`;
+    }
+
+    function pitchAlterString(pitch, explicitNatural = false) {
+        /**
+         * Returns the alter string of a pitch
+         * 
+         * @param {object} pitch A pitch
+         * @param {bool} explicitNatural Determines whether 'n' is returned if there are no accidentals
+         * 
+         * @returns {string} A string consisting of the pitch's alteration only
+         */
+
+        let alter, symbol, repeats;
+
+        alter = 0;
+        if ("alter" in pitch) alter = pitch.alter;
+        if (alter <= 0) {
+            symbol = 'b';
+            repeats = -alter;
+        } else {
+            symbol = '#';
+            repeats = alter;
+        }
+
+        if ((repeats == 0) && explicitNatural) return 'n';
+        return symbol.repeat(repeats);
+    }
+
+    function pitchToStepPlusAlter(pitch) {
+        /**
+         * Returns a string with the step and alteration
+         * 
+         * @param {object} pitch A pitch
+         * 
+         * @returns {string} A string consisting of the pitch's step and alteration
+         */
+
+        return pitch.step + pitchAlterString(pitch);
+    }
+
+    function pitchToVF(pitch) {
+        /**
+         * Convert a pitch into a VexFlow string
+         * 
+         * @param {object} pitch A note
+         * 
+         * @returns {string} A VexFlow string representing the note
+         */
+
+        return `${pitchToStepPlusAlter(pitch)}/${pitch.octave}`;
+    }
+
+    function staffposToPitch(staffpos, clef) {
+        /**
+         * Compute the pitch given a staff position and a clef
+         * 
+         * @param {number} staffpos The position on the staff, where 0 is the center line
+         * @param {object} clef A clef
+         * 
+         * @returns {object} A pitch object
+         */
+
+        let reference, noteNumber, quotient, remainder;
+
+        reference = staffCenters[clef.name];
+        noteNumber = diatonicPitchNames.indexOf(reference.step) + staffpos;
+        quotient = Math.floor(noteNumber / diatonicPitchNames.length);
+        remainder = noteNumber - diatonicPitchNames.length * quotient;
+        return {"step": diatonicPitchNames[remainder], "alter": 0, "octave": reference.octave + clef.octave + quotient};
+    }
+
+    function applyDots(staveNote, numDots) {
+        /**
+         * Applies dots to a StaveNote object
+         * 
+         * @param {StaveNote} staveNote A StaveNote object
+         * @param {number} numDots The number of dots to add
+         * 
+         * @returns {StaveNote} A new StaveNote object with dots added
+         */
+
+        let result = staveNote;
+        if (numDots > 0) {
+            for (let i = 0; i < numDots; i++) result = dotted(result, -1);
+        }
+
+        return result;
+    }
+
+    function noteToNoteVF(notes, accidentals, duration, clef, factory, stemDirection = null, articulation = [], thisGrace = false, graceOptions = null) {
+        /**
+         * Creates a VexFlow note StaveNote given notes, duration, and additional attributes
+         * 
+         * @param {Array} notes An array of notes of the score model
+         * @param {Array} accidentals An array with an accidental display for each note, or null where no accidental is shown
+         * @param {object} duration A duration object
+         * @param {object} clef A clef, needed to determine automatic stem orientation
+         * @param {Factory} factory A factory with context
+         * @param {object} stemDirection The direction of the stem
+         * @param {Array} articulation An array of articulations to add
+         * @param {bool} thisGrace Whether this event is a grace note
+         * @param {object} graceOptions Options for grace notes
+         * 
+         * @returns {StaveNote} A VexFlow note StaveNote object
+         */
+
+        let result, template, baseItem;
+
+        // create a template for notes
+        template = {"clef": clef.name, "octave_shift": clef.octave, "duration": `${durationTranslation[duration.base]}${'d'.repeat(duration.dots)}`};
+        if (stemDirection === null) {
+            // use automatic stem direction
+            template = Object.assign(template, {"auto_stem": true});
+        } else {
+            template = Object.assign(template, {"stem_direction": stemDirection});
+        }
+
+        template = Object.assign(template, {"keys": notes.map((note) => pitchToVF(note.pitch))});
+        if (!thisGrace) {
+            baseItem = factory.StaveNote(template);
+        } else {
+            baseItem = factory.GraceNote(Object.assign(template, graceOptions));
+        }
+
+        // walk through the notes, making sure to keep track of the index of the note in which to apply VexFlow accidentals
+        result = notes.map(
+            (note, noteIdx) => [noteIdx, note]
+        ).filter(
+            (noteEnumerate) => accidentals[noteEnumerate[0]] !== null
+        ).reduce(
+            (sn, selectedNoteEnumerate) => {
+                let accidental = new Accidental(pitchAlterString({"alter": accidentals[selectedNoteEnumerate[0]].alter}, true));
+                // cautionary and editorial accidentals are shown in parentheses
+                if (accidentals[selectedNoteEnumerate[0]].cautionary) accidental.setAsCautionary();
+                return sn.addModifier(accidental, selectedNoteEnumerate[0]);
+            }, 
+            baseItem
+        );
+        result = applyDots(result, duration.dots);
+        if (articulation.length > 0) {
+            // articulations typically go on the notehead side
+            let articulationPosition = ModifierPosition.BELOW;
+            if (result.getStemDirection() == StaveNote.STEM_DOWN) articulationPosition = ModifierPosition.ABOVE;
+            result = articulation.reduce((sn, art) => sn.addModifier(new Articulation(art).setPosition(articulationPosition)), result);
+        }
+
+        return result;
+    }
+
+    function restToStaveNote(rest, duration, clef, factory) {
+        /**
+         * Creates a VexFlow rest StaveNote given a rest object and duration
+         * 
+         * @param {object} rest A rest object
+         * @param {object} duration A duration object
+         * @param {object} clef A clef, needed to determine note values for staff offsets
+         * @param {Factory} factory A factory with context
+         * 
+         * @returns {StaveNote} A VexFlow rest StaveNote object
+         */
+
+        let result, staffpos;
+
+        if (!("staffPosition" in rest)) {
+            // staff center is default location for rests
+            staffpos = 0;
+        } else {
+            staffpos = rest.staffPosition;
+        }
+
+        result = factory.StaveNote({"keys": [pitchToVF(staffposToPitch(staffpos, clef))], "clef": clef.name, "octave_shift": clef.octave, "duration": `${durationTranslation[duration.base]}r`});
+        if ("dots" in duration) result = applyDots(result, duration.dots);
+        return result;
+    }
+
+    function getStemTip(note) {
+        /**
+         * Gets the y-position of the end of a note's stem, after any beam has lengthened it
+         * 
+         * @param {StaveNote} note A note with a stem
+         * 
+         * @returns {number} The y-position
+         */
+
+        if (note.getBeam()) note.getBeam().postFormat();
+        return note.getStemExtents().topY;
+    }
+
+    function getNoteOuterY(note, direction) {
+        /**
+         * Gets how far a note reaches towards one side of it
+         * 
+         * @param {StaveNote} note A note
+         * @param {number} direction The side, where 1 is below and -1 above
+         * 
+         * @returns {number} The y-position of the note's outermost point on that side
+         */
+
+        let ys, result;
+
+        ys = note.getYs();
+        if (direction < 0) {
+            result = Math.min(...ys) - noteheadHalfHeight;
+        } else {
+            result = Math.max(...ys) + noteheadHalfHeight;
+        }
+
+        if (note.hasStem() && (note.getStemDirection() != direction)) {
+            // the stem points towards that side
+            if (direction < 0) {
+                result = Math.min(result, getStemTip(note));
+            } else {
+                result = Math.max(result, getStemTip(note));
+            }
+
+        }
+
+        return result;
+    }
+
+    function getAnchorX(anchor) {
+        /**
+         * Finds where a position in a measure is on its stave, once the notes are formatted
+         * 
+         * @param {object} anchor An object with the stave and voices of the measure, the position, and the positions the measure starts and ends at
+         * 
+         * @returns {number} The x-position, which is the middle of the notehead of an event at the position, or between those either side of it
+         */
+
+        let notes, before, after, exact;
+
+        notes = anchor.voices.flatMap((voice) => voice.getTickables()).filter((note) => note.getAttribute("mnxPosition") !== undefined).map((note) => ({
+            "x": (note.getNoteHeadBeginX() + note.getNoteHeadEndX()) / 2, 
+            "position": note.getAttribute("mnxPosition"), 
+        }));
+        exact = notes.find((note) => compareFractions(note.position, anchor.position) == 0);
+        if (exact !== undefined) return exact.x;
+        // otherwise, the position is as far between its neighbours as it is in time, where the ends of the measure are the furthest they can be
+        before = {"x": anchor.stave.getNoteStartX(), "position": anchor.start};
+        after = {"x": anchor.stave.getNoteEndX(), "position": anchor.end};
+        notes.map((note) => {
+            if ((compareFractions(note.position, anchor.position) < 0) && (compareFractions(note.position, before.position) >= 0)) before = note;
+            if ((compareFractions(note.position, anchor.position) > 0) && (compareFractions(note.position, after.position) <= 0)) after = note;
+        });
+        if (compareFractions(after.position, before.position) == 0) return before.x;
+        return before.x + (after.x - before.x) * (fractionToNumber(anchor.position) - fractionToNumber(before.position)) / (fractionToNumber(after.position) - fractionToNumber(before.position));
+    }
+
+    function getDirectionEdge(row, stave, side) {
+        /**
+         * Finds how close the directions on one side of a staff can come to it on a system, so that they line up clear of the staff and of every note they are near
+         * 
+         * @param {object} row The directions of the staff - will be modified
+         * @param {Stave} stave A stave of the staff on the system
+         * @param {number} side The side, where 1 is below and -1 above
+         * 
+         * @returns {number} The y-position of the edge of the directions nearest the staff
+         */
+
+        let key, staffEdge, result;
+
+        // staves on the same line of the same staff share a y-position, so it is worked out once for each system
+        key = `${stave.getY()} ${side}`;
+        if (key in row.edges) return row.edges[key];
+        staffEdge = (side > 0) ? stave.getYForLine(stave.getNumLines() - 1) : stave.getYForLine(0);
+        result = staffEdge + side * directionStaffGap;
+        row.marks.filter((mark) => mark.side == side).map((mark) => mark.getSpans().filter((span) => span.stave.getY() == stave.getY()).map((span) => {
+            span.voices.flatMap((voice) => voice.getTickables()).filter((note) => note instanceof StaveNote).map((note) => {
+                let x, outer, articulations;
+
+                x = (note.getNoteHeadBeginX() + note.getNoteHeadEndX()) / 2;
+                if ((x < span.left - noteheadHalfHeight) || (x > span.right + noteheadHalfHeight)) return;
+                outer = getNoteOuterY(note, side);
+                // articulations on that side of the note stack beyond it, and outside the staff
+                articulations = note.getModifiersByType(Articulation.CATEGORY).filter((articulation) => articulation.getPosition() == ((side > 0) ? ModifierPosition.BELOW : ModifierPosition.ABOVE)).length;
+                if (articulations > 0) outer = ((side > 0) ? Math.max(outer, staffEdge) : Math.min(outer, staffEdge)) + side * directionArticulationHeight * articulations;
+                outer += side * directionClearance;
+                result = (side > 0) ? Math.max(result, outer) : Math.min(result, outer);
+            });
+        }));
+        row.edges[key] = result;
+        return result;
+    }
+
+    function addSlurToContinuables(slur, slurs) {
+        /**
+         * Starts looking for the events at the ends of a slur
+         * 
+         * @param {object} slur A slur of the score model
+         * @param {object} slurs A slurs object - will be modified
+         */
+
+        let slurAttributes;
+
+        // the noteheads to attach to and the side to curve to are resolved along with the events
+        slurAttributes = {"between": []};
+        if (slur.startNote !== null) slurAttributes.startNote = slur.startNote;
+        if (slur.endNote !== null) slurAttributes.endNote = slur.endNote;
+        if (slur.side !== null) slurAttributes.side = slur.side;
+        if ((slur.start !== null) && (slur.end !== null)) {
+            slurs.ids.push(Object.assign({"source": slur.start, "destination": slur.end}, slurAttributes));
+            slurs.partial.push([]);
+        } else if (slur.end === null) {
+            // an outgoing slur has nothing at its end
+            slurs.ids.push(Object.assign({"source": slur.start}, slurAttributes));
+            slurs.partial.push([null]);
+        } else {
+            // and an incoming one has nothing at its start
+            slurs.ids.push(Object.assign({"destination": slur.end}, slurAttributes));
+            slurs.partial.push([null]);
+        }
+
+        return;
+    }
+
+    function addTieToContinuables(tie, ties) {
+        /**
+         * Starts looking for the notes at the ends of a tie
+         * 
+         * @param {object} tie A tie of the score model
+         * @param {object} ties A ties object - will be modified
+         */
+
+        if ((tie.start !== null) && (tie.end !== null)) {
+            ties.ids.push({"source": tie.start, "destination": tie.end});
+            ties.partial.push([]);
+        } else if (tie.end === null) {
+            ties.ids.push({"source": tie.start});
+            ties.partial.push([{"event": null, "index": null}]);
+        } else {
+            ties.ids.push({"destination": tie.end});
+            ties.partial.push([{"event": null, "index": null}]);
+        }
+
+        return;
+    }
+
+    function tupletToVF(tuplet) {
+        /**
+         * Gets the options of a VexFlow tuplet
+         * 
+         * @param {object} tuplet A tuplet of the score model
+         * 
+         * @returns {object} Options for a VexFlow tuplet
+         */
+
+        let result;
+
+        // initialize a set of defaults
+        result = {"num_notes": tuplet.inner.multiple, "notes_occupied": tuplet.outer.multiple, "bracketed": true, "ratioed": false, "location": 1};
+        // and modify them according to the attributes of the MNX tuplet
+        if (tuplet.showValue == "both") result["ratioed"] = true;
+        if (tuplet.bracket == "no") result["bracketed"] = false;
+        if (tuplet.orientation == "down") result["location"] = -1;
+        return result;
+    }
+
+    function getEventItem(event, sequenceState, score, beams, slurs, ties, grace, factory) {
+        /**
+         * Processes an event
+         * 
+         * @param {object} event An event of the score model
+         * @param {object} sequenceState The state of the sequence - will be modified
+         * @param {object} score The score model
+         * @param {object} beams A beams object - will be modified
+         * @param {object} slurs A slurs object - will be modified
+         * @param {object} ties A ties object - will be modified
+         * @param {Array} grace An array of grace notes, which will be prepended as a group if this note is not grace - will be modified
+         * @param {Factory} factory A factory with context
+         * 
+         * @returns {object} A VexFlow note or rest object
+         */
+
+        let newNoteOrRest, noteIDs;
+
+        noteIDs = event.notes.map((note) => note.id);
+        // the slurs and ties that start or end here wait for the events at their other ends
+        event.slurs.map((slurIdx) => addSlurToContinuables(score.slurs[slurIdx], slurs));
+        event.notes.map((note) => note.ties.map((tieIdx) => addTieToContinuables(score.ties[tieIdx], ties)));
+        if (event.rest !== null) {
+            newNoteOrRest = restToStaveNote(event.rest, event.wholeMeasure ? fullMeasureRestDuration : event.duration, sequenceState.clef, factory);
+            // drawn as a whole rest, but it lasts as long as the measure, which only its voice knows
+            if (event.wholeMeasure) newNoteOrRest.setAttribute("wholeMeasure", true);
+        } else {
+            newNoteOrRest = noteToNoteVF(
+                event.notes, 
+                resolveAccidentals(event.notes, noteIDs, ties, sequenceState), 
+                event.duration, 
+                sequenceState.clef, 
+                factory, 
+                (event.stemDirection === null) ? null : stemTranslation[event.stemDirection], 
+                event.markings.map((marking) => articulationTranslation[marking]), 
+                event.grace !== null, 
+                event.grace
+            );
+        }
+
+        // remember which event this is and where it is in the score, for the layout of the score and for playback
+        newNoteOrRest.setAttribute("mnxId", event.id);
+        newNoteOrRest.setAttribute("mnxPosition", event.position);
+        if ((event.grace === null) && (grace.length > 0)) {
+            newNoteOrRest.addModifier(factory.GraceNoteGroup({"notes": grace.slice()}));
+            grace.length = 0;
+        }
+
+        // Update continuables
+        updateBeamsWithEvent(beams, event.id, newNoteOrRest);
+        updateSlursWithEvent(slurs, event.id, noteIDs, newNoteOrRest);
+        updateTiesWithEvent(ties, noteIDs, newNoteOrRest);
+        return newNoteOrRest;
+    }
+
+    function updateArrayFields(current, other) {
+        /**
+         * Concatenates all the arrays in current with those in other
+         * 
+         * @param {object} current The first object
+         * @param {object} other The second object
+         * 
+         * @returns {object} An object with the concatenated array fields
+         */
+
+        let result = {};
+        Object.keys(current).map(
+            (field) => {
+                if (current[field] instanceof Array) result[field] = current[field];
+                if ((field in other) && (other[field] instanceof Array)) result[field] = result[field].concat(other[field]);
+            }
+        );
+        return result;
+    }
+
+    function getSequences(sequences, clef, clefChanges, accidentals, score, beams, slurs, ties, factory) {
+        /**
+         * Resolves the sequenceables in voices of a sequence
+         * 
+         * @param {Array} sequences An array of sequences of the score model to be added
+         * @param {object} clef The clef at the start of the measure
+         * @param {Array} clefChanges An array of clef changes within the measure, ordered by position
+         * @param {object} accidentals The accidental state of the staff - will be modified
+         * @param {object} score The score model
+         * @param {object} beams A beams object - will be modified
+         * @param {object} slurs A slurs object - will be modified
+         * @param {object} ties A ties object - will be modified
+         * @param {Factory} factory A factory with context
+         * 
+         * @returns {Array} An array of voices containing sequenceables
+         */
+
+        return sequences.map(
+            (sequence, sequenceIdx) => {
+                let sequenceState, notes, grace, tupletNotes;
+
+                // each sequence reads the clef changes on its own, but all of them share the staff's accidentals
+                sequenceState = Object.assign(structuredClone(sequenceStateTemplate), {"clef": clef, "changes": clefChanges.slice(), "offset": [0, 1], "showChanges": sequenceIdx == 0, "index": sequenceIdx, "accidentals": accidentals});
+                notes = [];
+                // grace notes are collected until the event they belong to
+                grace = [];
+                tupletNotes = sequence.tuplets.map(() => []);
+                sequence.events.map((event) => {
+                    let newNoteOrRest;
+
+                    // clef changes go before the event, including any grace notes it has
+                    sequenceState.offset = event.offset;
+                    notes = notes.concat(advanceSequenceClef(sequenceState, factory));
+                    newNoteOrRest = getEventItem(event, sequenceState, score, beams, slurs, ties, grace, factory);
+                    if (event.grace !== null) {
+                        grace.push(newNoteOrRest);
+                    } else {
+                        notes.push(newNoteOrRest);
+                    }
+
+                    if (event.tuplet !== null) tupletNotes[event.tuplet].push(newNoteOrRest);
+                });
+                // changes after the last event go at the end of the measure
+                notes = notes.concat(advanceSequenceClef(sequenceState, factory, true));
+                sequence.tuplets.map((tuplet, tupletIdx) => factory.Tuplet({"notes": tupletNotes[tupletIdx], "options": tupletToVF(tuplet)}));
+                return {"notes": notes};
+            }
+        );
+    }
+
+    function nestedBeamLines(beam, levels, duration) {
+        /**
+         * Computes the lines drawn for one level of a beam with explicit secondary beams, in place of VexFlow's automatic beam lines
+         * 
+         * @param {Beam} beam A VexFlow beam
+         * @param {Array} levels An array of segments for each secondary level
+         * @param {string} duration The VexFlow duration of the level being drawn
+         * 
+         * @returns {Array} An array of objects with the start and end x-positions of each line
+         */
+
+        let notes, levelIdx, stemX;
+
+        notes = beam.getNotes();
+        stemX = (noteIdx) => notes[noteIdx].getStemX() - Stem.WIDTH / 2;
+        if (duration == primaryBeamDuration) return [{"start": stemX(0), "end": stemX(notes.length - 1)}];
+        levelIdx = secondaryBeamDurations.indexOf(duration);
+        if ((levelIdx == -1) || (levelIdx >= levels.length)) return [];
+        return levels[levelIdx].map((segment) => {
+            let direction;
+
+            if (segment.start != segment.end) return {"start": stemX(segment.start), "end": stemX(segment.end)};
+            // a hook points into the beam by default, like VexFlow's partial beams
+            direction = segment.direction;
+            if (direction === null) direction = (segment.start == 0) ? "right" : "left";
+            if (direction == "right") return {"start": stemX(segment.start), "end": stemX(segment.start) + beam.render_options.partial_beam_length};
+            return {"start": stemX(segment.start), "end": stemX(segment.start) - beam.render_options.partial_beam_length};
+        });
+    }
+
+    function beamToVF(notes, levels, factory) {
+        /**
+         * Creates a VexFlow beam and adds it to a factory
+         * 
+         * @param {Array} notes The notes to beam together
+         * @param {Array} levels An array of segments for each secondary level, or null to let VexFlow choose the secondary beams
+         * @param {Factory} factory A factory with context
+         */
+
+        let beam;
+
+        // only add if it's nontrivial
+        if (notes.length < 2) return;
+        beam = factory.Beam({"notes": notes});
+        if (levels !== null) beam.getBeamLines = (duration) => nestedBeamLines(beam, levels, duration);
+        return;
+    }
+
+    function getLineNotes(lineQueues) {
+        /**
+         * Gets all the notes in a line, including grace notes
+         * 
+         * @param {Array} lineQueues An array of queues
+         * 
+         * @returns {Set} A set of VexFlow notes
+         */
+
+        let result = new Set();
+
+        lineQueues.queues.map((queue) => queue.voices.map((voices) => voices.map((voice) => voice.getTickables().map((tickable) => {
+            result.add(tickable);
+            tickable.getModifiersByType(GraceNoteGroup.CATEGORY).map((graceGroup) => graceGroup.getGraceNotes().map((graceNote) => result.add(graceNote)));
+        }))));
+        return result;
+    }
+
+    function updateBeamsWithEvent(beams, id, event) {
+        /**
+         * Updates beam object given event and its id
+         * 
+         * @param {object} beams A beams object - will be modified
+         * @param {string} id An event ID
+         * @param {StaveNote} event An event
+         */
+
+        for (let i = 0; i < beams.ids.length; i++) {
+            // iterate through all beams, since a note can belong to many beams
+            if (beams.ids[i].includes(id)) {
+                // add it to partial
+                beams.partial[i].push(event);
+                // remove it from IDs list
+                beams.ids[i] = beams.ids[i].filter((myID) => !(myID == id));
+            }
+
+        }
+
+        return;
+    }
+
+    function getSlurNoteIndex(noteID, noteIDs, id) {
+        /**
+         * Finds the index of the notehead a slur attaches to within an event
+         * 
+         * @param {string} noteID The ID of the note the slur attaches to
+         * @param {Array} noteIDs An array of the IDs of the event's notes
+         * @param {string} id The event ID
+         * 
+         * @returns {number} The index of the note within the event
+         */
+
+        let noteIdx = noteIDs.indexOf(noteID);
+        if (noteIdx == -1) throw new MNXParseError(`Slur note ${noteID} not found in event ${id}.`);
+        return noteIdx;
+    }
+
+    function updateSlursWithEvent(slurs, id, noteIDs, event) {
+        /**
+         * Updates slurs object given event and its id
+         * 
+         * @param {object} slurs A slurs object - will be updated
+         * @param {string} id An event ID
+         * @param {Array} noteIDs An array of the IDs of the event's notes
+         * @param {StaveNote} event An event
+         */
+
+        for (let i = 0; i < slurs.ids.length; i++) {
+            if (slurs.ids[i].source == id) {
+                // prepend to partial
+                slurs.partial[i].unshift(event);
+                delete slurs.ids[i].source;
+                if ("startNote" in slurs.ids[i]) slurs.ids[i].startIndex = getSlurNoteIndex(slurs.ids[i].startNote, noteIDs, id);
+            } else if (slurs.ids[i].destination == id) {
+                // postpend to partial
+                slurs.partial[i].push(event);
+                delete slurs.ids[i].destination;
+                if ("endNote" in slurs.ids[i]) slurs.ids[i].endIndex = getSlurNoteIndex(slurs.ids[i].endNote, noteIDs, id);
+            } else if (!("source" in slurs.ids[i]) && ("destination" in slurs.ids[i]) && !(event instanceof GraceNote)) {
+                // the slur passes over this event, which it may need to avoid
+                slurs.ids[i].between.push(event);
+            }
+
+        }
+
+        return;
+    }
+
+    function updateTiesWithEvent(ties, noteIDs, event) {
+        /**
+         * Updates ties object given a list of notes corresponding to the current event and its id
+         * 
+         * @param {object} ties A ties object - will be updated
+         * @param {Array} noteIDs An array of note IDs
+         * @param {StaveNote} event An event
+         */
+
+        for (let i = 0; i < ties.ids.length; i++) {
+            if (noteIDs.includes(ties.ids[i].source)) {
+                // prepend to partial
+                ties.partial[i].unshift({"event": event, "index": noteIDs.indexOf(ties.ids[i].source)});
+                delete ties.ids[i].source;
+            } else if (noteIDs.includes(ties.ids[i].destination)) {
+                // postpend to partial
+                ties.partial[i].push({"event": event, "index": noteIDs.indexOf(ties.ids[i].destination)});
+                delete ties.ids[i].destination;
+            }
+
+        }
+
+        return;
+    }
+
+    function updateBeamsVF(beams, pendingBeams) {
+        /**
+         * Checks whether any beams are completed, moves them to the beams waiting to be laid out, and removes notes from the partial lists
+         * 
+         * @param {object} beams A beams object - will be modified
+         * @param {Array} pendingBeams An array of completed beams, which are created once their lines are known - will be modified
+         */
+
+        let newBeamIDs, newPartialBeams, newBeamLevels;
+        
+        newBeamIDs = []; newPartialBeams = []; newBeamLevels = [];
+        for (let i = 0; i < beams.ids.length; i++) {
+            if (beams.ids[i].length == 0) {
+                // this beam is completed, but it may yet be split by a line break
+                pendingBeams.push({"notes": beams.partial[i], "levels": beams.levels[i]});
+            } else {
+                // keep in the object
+                newBeamIDs.push(beams.ids[i]);
+                newPartialBeams.push(beams.partial[i]);
+                newBeamLevels.push(beams.levels[i]);
+            }
+
+        }
+
+        // mutate the beams object
+        beams.ids = newBeamIDs;
+        beams.partial = newPartialBeams;
+        beams.levels = newBeamLevels;
+        return;
+    }
+
+    function flushBeams(lineQueues, pendingBeams, factory) {
+        /**
+         * Creates the parts of pending beams that fall on a line, and keeps the rest for the next line
+         * 
+         * @param {Array} lineQueues An array of queues making up the line
+         * @param {Array} pendingBeams An array of completed beams - will be modified
+         * @param {Factory} factory A factory with context
+         */
+
+        let lineNotes, remainingBeams;
+
+        lineNotes = getLineNotes(lineQueues);
+        remainingBeams = [];
+        pendingBeams.map((pendingBeam) => {
+            let numInLine;
+
+            // lines are laid out in order, so the notes of a beam on this line come before any on later lines
+            numInLine = pendingBeam.notes.findIndex((note) => !lineNotes.has(note));
+            if (numInLine == -1) numInLine = pendingBeam.notes.length;
+            beamToVF(pendingBeam.notes.slice(0, numInLine), sliceBeamLevels(pendingBeam.levels, 0, numInLine - 1), factory);
+            if (numInLine < pendingBeam.notes.length) remainingBeams.push({
+                "notes": pendingBeam.notes.slice(numInLine), 
+                "levels": sliceBeamLevels(pendingBeam.levels, numInLine, pendingBeam.notes.length - 1), 
+            });
+        });
+        // mutate the pending beams
+        pendingBeams.splice(0, pendingBeams.length, ...remainingBeams);
+        return;
+    }
+
+    function updateSlursVF(slurs, factory) {
+        /**
+         * Checks whether any slurs are completed, creates them, adds them to a factory, and removes notes from the partial lists
+         * 
+         * @param {object} slurs A slurs object - will be modified
+         * @param {ScoreFactory} factory A factory with context
+         */
+
+        let newSlurIDs, newPartialSlurs;
+
+        newSlurIDs = []; newPartialSlurs = [];
+        for (let i = 0; i < slurs.ids.length; i++) {
+            if (!("source" in slurs.ids[i]) && !("destination" in slurs.ids[i])) {
+                // both source and destination have been found
+                let slurOptions;
+
+                slurOptions = {"between": slurs.ids[i].between};
+                if ("startIndex" in slurs.ids[i]) slurOptions.startIndex = slurs.ids[i].startIndex;
+                if ("endIndex" in slurs.ids[i]) slurOptions.endIndex = slurs.ids[i].endIndex;
+                if ("side" in slurs.ids[i]) slurOptions.side = slurs.ids[i].side;
+                factory.Slur({"from": slurs.partial[i][0], "to": slurs.partial[i][1], "options": slurOptions});
+            } else {
+                newSlurIDs.push(slurs.ids[i]);
+                newPartialSlurs.push(slurs.partial[i]);
+            }
+
+        }
+
+        // mutate the slurs object
+        slurs.ids = newSlurIDs;
+        slurs.partial = newPartialSlurs;
+        return;
+    }
+
+    function updateTiesVF(ties, factory) {
+        /**
+         * Checks whether any ties are completed, creates them, adds them to a factory, and removes notes from the partial lists
+         * 
+         * @param {object} ties A ties object - will be modified
+         * @param {Factory} factory A factory with context
+         */
+
+        let newTieIDs, newPartialTies, newTiesToAdd;
+        
+        newTieIDs = []; newPartialTies = []; newTiesToAdd = [];
+        for (let i = 0; i < ties.ids.length; i++) {
+            if (!("source" in ties.ids[i]) && !("destination" in ties.ids[i])) {
+                // both source and destination have been found
+                // instead of directly adding them to the factory, first stash them to a queue so that we process notes of a single stavenote together
+                let newTiesIdx = newTiesToAdd.findIndex((t) => t.source == ties.partial[i][0].event && t.destination == partial[i][1].event);
+                if (newTiesIdx != -1) {
+                    newTiesToAdd[newTiesIdx].sourceIndices.push(ties.partial[i][0].index);
+                    newTiesToAdd[newTiesIdx].destinationIndices.push(ties.partial[i][1].index);
+                } else {
+                    newTiesToAdd.push({
+                            "source": ties.partial[i][0].event, 
+                            "sourceIndices": [ties.partial[i][0].index], 
+                            "destination": ties.partial[i][1].event, 
+                            "destinationIndices": [ties.partial[i][1].index], 
+                        });
+                }
+
+            } else {
+                newTieIDs.push(ties.ids[i]);
+                newPartialTies.push(ties.partial[i]);
+            }
+
+        }
+
+        // now, update the factory
+        newTiesToAdd.map((obj) => {
+            factory.StaveTie({"from": obj.source, "to": obj.destination, "first_indices": obj.sourceIndices, "last_indices": obj.destinationIndices});
+        });
+        // mutate the ties object
+        ties.ids = newTieIDs;
+        ties.partial = newPartialTies;
+        return;
+    }
+
+    function getGroupSymbolWidth(score) {
+        /**
+         * Works out the room left of each system for the braces and brackets of its groups
+         * 
+         * @param {object} score The score model being shown
+         * 
+         * @returns {number} The width of the braces and brackets
+         */
+
+        // braces and brackets are drawn to the left of the system, so make room for them if needed
+        return score.groups.some((group) => group.symbol !== null) ? braceMarginWidth : 0.;
+    }
+
+    function getSystemMargin(score, report) {
+        /**
+         * Works out the room left of the next system for its part names, and the braces and brackets of its groups
+         * 
+         * @param {object} score The score model being shown
+         * @param {object} report A report of the render, with the systems drawn so far
+         * 
+         * @returns {number} The width of the margin
+         */
+
+        let names, nameWidth;
+
+        // the first system has the full names of the parts, and the others have their abbreviations, with room left for the longest
+        names = score.parts.map((part) => (report.lineExtents.length == 0) ? part.name : part.shortName);
+        nameWidth = Math.max(0, ...names.filter((name) => name !== null).map((name) => partNameCharWidth * partNameFontSize * name.length + partNameMarginWidth));
+        return getGroupSymbolWidth(score) + nameWidth;
+    }
+
+    function addDirectionsVF(directions, tempos, measureIdx, stave, voices, hairpins, row, score, factory) {
+        /**
+         * Creates the directions of a staff in a measure, and carries on the hairpins that run through it
+         * 
+         * @param {Array} directions The directions of the staff in the measure
+         * @param {Array} tempos The tempos to mark over the staff
+         * @param {number} measureIdx The index of the measure
+         * @param {Stave} stave The stave of the staff in the measure
+         * @param {Array} voices The voices on the stave
+         * @param {Array} hairpins The hairpins of the staff still running, each with the direction it was made from - will be modified
+         * @param {object} row The directions of the staff - will be modified
+         * @param {object} score The score model
+         * @param {ScoreFactory} factory A factory with context
+         */
+
+        let measure, anchorAt, sideOf, marks, endGap, below;
+
+        measure = score.measures[measureIdx];
+        // directions are placed once the notes are formatted, so they keep the stave and voices they are among
+        anchorAt = (position) => ({"stave": stave, "voices": voices, "position": addFractions(measure.position, position), "start": measure.position, "end": addFractions(measure.position, measure.length)});
+        sideOf = (direction) => ((direction.placement === null) ? defaultDirectionPlacements[direction.type] : direction.placement) == "below" ? 1 : -1;
+        marks = directions.filter((direction) => direction.type != "wedge").map((direction) => factory.DirectionMark({"anchor": anchorAt(direction.position), "type": direction.type, "value": direction.value, "side": sideOf(direction), "row": row}));
+        tempos.map((tempo) => factory.TempoMark({"anchor": anchorAt(tempo.position), "tempo": tempo, "row": row}));
+        if (tempos.length > 0) stave.setAttribute("mnxTempos", true);
+        // hairpins stop short of a dynamic where they start or end
+        endGap = (position) => {
+            let mark = marks.find((candidate) => (candidate.type == "dynamic") && (compareFractions(candidate.anchor.position, addFractions(measure.position, position)) == 0));
+
+            return (mark === undefined) ? 0. : mark.getWidth() / 2 + hairpinGap;
+        };
+        below = marks.some((mark) => mark.side > 0);
+        hairpins.splice(0, hairpins.length, ...hairpins.filter((running) => {
+            running.hairpin.staves.push({"stave": stave, "voices": voices});
+            below = below || (running.hairpin.side > 0);
+            if (running.direction.end.measure != measureIdx) return true;
+            running.hairpin.to = anchorAt(running.direction.end.position);
+            running.hairpin.endGap = endGap(running.direction.end.position);
+            return false;
+        }));
+        directions.filter((direction) => direction.type == "wedge").map((direction) => {
+            let hairpin = factory.Hairpin({"from": anchorAt(direction.position), "type": direction.value, "side": sideOf(direction), "row": row});
+
+            hairpin.startGap = endGap(direction.position);
+            below = below || (hairpin.side > 0);
+            if (direction.end.measure == measureIdx) {
+                hairpin.to = anchorAt(direction.end.position);
+                hairpin.endGap = endGap(direction.end.position);
+            } else {
+                hairpins.push({"hairpin": hairpin, "direction": direction});
+            }
+
+        });
+        // the line needs room for directions under the staff, which it cannot see in the notes
+        if (below) stave.setAttribute("mnxDirectionsBelow", true);
+        return;
+    }
+
+    function flushLine(lineQueues, totalWidth, score, pendingBeams, ypos, options, report, factory) {
+        /**
+         * Empties out an array of queues by justifying the line
+         * 
+         * @param {Array} lineQueues An array of queues, one per staff
+         * @param {number} totalWidth The total width of the measures
+         * @param {object} score The score model being shown, for its part names and staff groups
+         * @param {Array} pendingBeams An array of completed beams not yet drawn - will be modified
+         * @param {number} ypos The y position
+         * @param {object} options Render options
+         * @param {object} report A report of the render - will be modified
+         * @param {Factory} factory A factory with context
+         * 
+         * @returns {number} The y-position where to start a new line
+         */
+
+        let scalingFactor, nextLineY, xpos, leftMargin, systems, symbolWidth, names, lineTop;
+
+        symbolWidth = getGroupSymbolWidth(score);
+        leftMargin = getSystemMargin(score, report);
+        names = score.parts.map((part) => (report.lineExtents.length == 0) ? part.name : part.shortName);
+        scalingFactor = (options.width * (1 - sheetWidthSafetyFactor) - leftMargin) / totalWidth;
+        xpos = leftMargin;
+        nextLineY = 0.;
+        systems = [];
+        // tempo marks go higher over the top staff than anything else, so the line starts lower when it has them
+        lineTop = ypos;
+        if ((lineQueues.queues.length > 0) && lineQueues.queues[0].staves.some((stave) => stave.getAttribute("mnxTempos"))) ypos += tempoSpace;
+        for (let i = 0; i < lineQueues.size; i++) {
+            // i indexes over measures
+            let ybase, currentStave, currentVoices, system, trueWidth;
+
+            trueWidth = scalingFactor * lineQueues.queues[0].staves[i].getWidth();
+            // create a system
+            system = factory.System({'x': xpos, 'y': ypos, "width": trueWidth});
+            systems.push(system);
+            // staves vertical offset - needs to persist across parts
+            ybase = 0.;
+            for (let j = 0; j < lineQueues.queues.length; j++) {
+                // j indexes over staves
+                currentStave = lineQueues.queues[j].staves[i];
+                currentVoices = lineQueues.queues[j].voices[i];
+                // set position of stave
+                currentStave.setX(xpos);
+                currentStave.setY(ypos);
+                // resize the stave
+                currentStave.setWidth(trueWidth);
+                // now, the stave and voices can be added
+                system.addStave({"stave": currentStave, "voices": currentVoices});
+                // here, we get the bounding boxes of stave and voices to determine where the next line can be started
+                currentVoices.concat([currentStave]).map((it) => {
+                    let bb, testNextLineY;
+
+                    bb = it.getBoundingBox();
+                    testNextLineY = bb.y + ybase + (1 + measureHeightSafetyFactor) * bb.h;
+                    if (testNextLineY > nextLineY) nextLineY = testNextLineY;
+                    if (nextLineY > factory.getContext().height) factory.getContext().resize(options.width, testNextLineY);
+                });
+                // directions under the staff go below its lowest note
+                if (currentStave.getAttribute("mnxDirectionsBelow")) {
+                    nextLineY = Math.max(nextLineY, ybase + directionSpace + Math.max(...currentVoices.concat([currentStave]).map((it) => it.getBoundingBox().getY() + it.getBoundingBox().getH())));
+                    if (nextLineY > factory.getContext().height) factory.getContext().resize(options.width, nextLineY);
+                }
+
+                // update ybase with stave spacing
+                ybase += currentStave.space(system.options.spaceBetweenStaves);
+            }
+
+            xpos += trueWidth;
+            // bar lines run through the staves of each group, unless they are of a kind that stays on each staff
+            score.groups.filter((group) => (group.lastStaff > group.firstStaff) && (barlineStyles[getEndBarlineVF(lineQueues.queues[group.firstStaff].staves[i])].connector !== null)).map((group) => {
+                factory.StaveConnector({"top_stave": lineQueues.queues[group.firstStaff].staves[i], "bottom_stave": lineQueues.queues[group.lastStaff].staves[i], "type": barlineStyles[getEndBarlineVF(lineQueues.queues[group.firstStaff].staves[i])].connector});
+            });
+            // if this is the beginning of the line, add a stave connector, the group symbols, and the part names
+            if (i == 0) {
+                let staffOffset;
+
+                system.addConnector("singleLeft");
+                score.groups.filter((group) => group.symbol !== null).map((group) => {
+                    factory.StaveConnector({"top_stave": lineQueues.queues[group.firstStaff].staves[i], "bottom_stave": lineQueues.queues[group.lastStaff].staves[i], "type": group.symbol});
+                });
+                staffOffset = 0;
+                score.parts.map((part, partIdx) => {
+                    if (names[partIdx] !== null) factory.PartName({"top_stave": lineQueues.queues[staffOffset].staves[i], "bottom_stave": lineQueues.queues[staffOffset + part.staves - 1].staves[i], "name": names[partIdx], "offset": symbolWidth + partNameMarginWidth / 2});
+                    staffOffset += part.staves;
+                });
+            }
+
+        }
+
+        // now that the line is set, beam its notes
+        flushBeams(lineQueues, pendingBeams, factory);
+        // keep the line, so that its layout can be found once it is drawn, and it can be moved onto a page before then
+        if (lineQueues.size > 0) {
+            report.lines.push(lineQueues.queues.slice());
+            report.lineExtents.push(Object.assign(structuredClone(lineExtentTemplate), {"firstMeasure": report.measureCount - lineQueues.size, "top": lineTop, "bottom": nextLineY, "systems": systems}));
+        }
+
+        // clear the queue
+        for (let j = 0; j < lineQueues.queues.length; j++) {
+            lineQueues.queues[j] = structuredClone(queueTemplate);
+        }
+
+        lineQueues.size = 0;
+        return nextLineY;
+    }
+
+    function processQueues(queues, position, lineQueues, globalAttribs, score, pendingBeams, options, report, factory) {
+        /**
+         * Outputs all items in the queues with a factory
+         * 
+         * @param {Array} queues An array of queue objects, one per staff - will be modified
+         * @param {object} position A position within the factory's context - will be modified
+         * @param {Array} lineQueues An array of queues containing width-set unjustified measures - will be modified
+         * @param {Array} globalAttribs An array of global attributes - will be modified
+         * @param {object} score The score model being shown
+         * @param {Array} pendingBeams An array of completed beams not yet drawn - will be modified
+         * @param {object} options Render options
+         * @param {object} report A report of the render - will be modified
+         * @param {Factory} factory A factory with which to draw measures - will be modified
+         */
+
+        for (let i = 0; i < queues.size; i++) {
+            // i indexes over measures
+            let requiredWidth, reflowed, lineWidth;
+
+            // calculate the minimum required width to render the stave across all the parts
+            requiredWidth = null;
+            reflowed = false;
+            // first, we compute the width necessary to comfortably display all staves
+            for (let j = 0; j < queues.queues.length; j++) {
+                // j indexes over staves
+                let thisPartWidth;
+
+                thisPartWidth = queues.queues[j].staves[i].getNoteStartX() + (1 + measureWidthAestheticFactor) * new Formatter().joinVoices(queues.queues[j].voices[i]).preCalculateMinTotalWidth(queues.queues[j].voices[i]);
+                // check if the required width of the system should be increased
+                if ((requiredWidth === null) || requiredWidth < thisPartWidth)requiredWidth = thisPartWidth;
+            }
+
+            if (requiredWidth === null) requiredWidth = testMeasureWidth;
+            if (requiredWidth < minMeasureWidth) requiredWidth = minMeasureWidth;
+            // the measures of a line share the sheet with the margin that flushLine leaves for names and brackets
+            lineWidth = (1 - sheetWidthSafetyFactor) * options.width - getSystemMargin(score, report);
+            // check if we need to reflow, either because the line is full or because it was asked for
+            if ((globalAttribs[i].lineBreak === null) ? ((lineQueues.size > 0) && (position.x + requiredWidth > lineWidth)) : (globalAttribs[i].lineBreak && (lineQueues.size > 0))) {
+                // flush the line queue and reflow to new line
+                position.y = flushLine(lineQueues, position.x, score, pendingBeams, position.y, options, report, factory);
+                position.x = 0.;
+                // set the reflowed flag
+                reflowed = true;
+                // the new line may have a margin of its own
+                lineWidth = (1 - sheetWidthSafetyFactor) * options.width - getSystemMargin(score, report);
+            }
+
+            // for now, if the measure is too long, max it out at the width of the line
+            if (requiredWidth > lineWidth) {
+                report.warnings.push(`Measure ${report.measureCount + 1} is wider than the sheet, so its notes were squeezed together.`);
+                requiredWidth = lineWidth;
+            }
+
+            // now, we can update the system with the staves
+            for (let j = 0; j < queues.queues.length; j++) {
+                let currentStave, currentVoices;
+                
+                currentStave = queues.queues[j].staves[i];
+                currentVoices = queues.queues[j].voices[i];
+                // just to save the requiredWidth for later
+                currentStave.setWidth(requiredWidth);
+                if (globalAttribs[i].timeChange !== null) currentStave.addTimeSignature(timeSignatureToVF(globalAttribs[i].timeChange));
+                if (globalAttribs[i].keyChange !== null) {
+                    if (globalAttribs[i].keyChange[j].cancel === null) {
+                        currentStave.addKeySignature(keyToVF(globalAttribs[i].keyChange[j].key));
+                    } else {
+                        currentStave.addKeySignature(keyToVF(globalAttribs[i].keyChange[j].key), keyToVF(globalAttribs[i].keyChange[j].cancel));
+                    }
+
+                } else if (reflowed) {
+                    // following convention, add key signature to new lines
+                    currentStave.addKeySignature(keyToVF(globalAttribs[i].startKeys[j]));
+                }
+
+                if (reflowed && !globalAttribs[i].startClefs.clefsAdded[j]) addClefVF(currentStave, globalAttribs[i].startClefs.clefs[j]);
+                if (globalAttribs[i].repeat.start) currentStave.setBegBarType(Barline.type.REPEAT_BEGIN);
+                if (globalAttribs[i].barline != "regular") setEndBarlineVF(currentStave, globalAttribs[i].barline);
+                // within a line, the barline between two measures is drawn once: a repeat start takes the place of the barline before it, except for the repeat end of a back-to-back repeat, and otherwise the measure before draws it
+                if (!reflowed && (lineQueues.size > 0)) {
+                    let previousStave = lineQueues.queues[j].staves[lineQueues.size - 1];
+
+                    if (!globalAttribs[i].repeat.start) {
+                        if (getEndBarlineVF(previousStave) != "regular") currentStave.setBegBarType(Barline.type.NONE);
+                    } else if (getEndBarlineVF(previousStave) != "repeat-end") {
+                        setEndBarlineVF(previousStave, "none");
+                    }
+
+                }
+
+                // volta brackets only go over the top staff of the system
+                if ((j == 0) && (globalAttribs[i].ending !== null)) currentStave.setVoltaType(endingToVoltaType(globalAttribs[i].ending), endingToVoltaLabel(globalAttribs[i].ending), voltaVerticalShift);
+                // push to the line queue
+                lineQueues.queues[j].staves.push(currentStave);
+                lineQueues.queues[j].voices.push(currentVoices);
+            }
+
+            // increment the number of items in the line queue
+            lineQueues.size += 1;
+            report.measureCount += 1;
+            // update position with the true measure width
+            position.x += requiredWidth;
+        }
+
+        // everything is done, clear all queues
+        for (let j = 0; j < queues.queues.length; j++) {
+            queues.queues[j] = structuredClone(queueTemplate);
+        }
+
+        queues.size = 0;
+        return;
+    }
+
+    function measuresToFactory(score, options, report, factory) {
+        /**
+         * Outputs measures with a factory
+         * 
+         * @param {object} score The score model to be shown
+         * @param {object} options Render options
+         * @param {object} report A report of the render - will be modified
+         * @param {Factory} vf A factory with which to draw measures - will be modified
+         */
+
+        // variables persist across measures
+        let partStaves, accidentalStates, beams, pendingBeams, slurs, ties, queues, curPosition, globalMeasInfos, clefsArr, lineQueues, numStaves, staffOffsets, sourceBreaks, staffParts, hairpins, directionRows;
+
+        partStaves = score.parts.map((part) => part.staves);
+        sourceBreaks = (options.breaks == "source") && score.measures.some((measure) => measure.systemBreak);
+        // queues are kept per staff, so find where each part's staves begin
+        numStaves = 0;
+        staffOffsets = partStaves.map((partNumStaves) => {
+            numStaves += partNumStaves;
+            return numStaves - partNumStaves;
+        });
+        // keys can differ between parts, so each staff needs to know its part
+        staffParts = score.parts.flatMap((part) => Array.from(Array(part.staves), () => part));
+        // initialize queues
+        queues = structuredClone(queueArrayTemplate);
+        queues.queues = Array.from(Array(numStaves), () => structuredClone(queueTemplate));
+        lineQueues = structuredClone(queueArrayTemplate);
+        lineQueues.queues = Array.from(Array(numStaves), () => structuredClone(queueTemplate));
+        globalMeasInfos = [];
+        // initial position
+        curPosition = structuredClone(positionTemplate);
+        // set defaults (all staves treble except the lower staves of multi-staff parts, which are bass)
+        accidentalStates = Array.from(Array(numStaves), () => structuredClone(accidentalStateTemplate));
+        clefsArr = partStaves.flatMap((partNumStaves) => Array.from(Array(partNumStaves), (_, k) => Object.assign(structuredClone(clefTemplate), {"name": (k == 0) ? "treble" : "bass"})));
+        // keep a running array of beams, slurs, and ties
+        beams = structuredClone(beamInfosTemplate);
+        // completed beams wait here until the lines they fall on are known
+        pendingBeams = [];
+        slurs = structuredClone(continuableInfosTemplate);
+        ties = structuredClone(continuableInfosTemplate);
+        // hairpins do not hold up the queues, since they are split across lines however they fall
+        hairpins = Array.from(Array(numStaves), () => []);
+        directionRows = Array.from(Array(numStaves), () => structuredClone(directionRowTemplate));
+        score.measures.map(
+            (measure, measureIdx) => {
+                let globalMeasInfo, clefsAdded, startClefs;
+
+                clefsAdded = Array.from(Array(numStaves), () => false);
+                // the clefs in effect at the start of the measure, which new systems begin with
+                startClefs = clefsArr.slice();
+                // accidentals last until the barline
+                accidentalStates.map((accidentalState, staffIdx) => startMeasureAccidentals(accidentalState, getPartKey(measure.key, staffParts[staffIdx], options)));
+                globalMeasInfo = structuredClone(globalMeasureInfoTemplate);
+                globalMeasInfo.start = measureIdx == 0;
+                globalMeasInfo.end = measureIdx == (score.measures.length - 1);
+                globalMeasInfo.repeat.start = measure.repeatStart;
+                globalMeasInfo.repeat.end = measure.repeatEnd;
+                globalMeasInfo.ending = structuredClone(measure.ending);
+                // a repeat end takes the place of any other barline, and the score ends with a final barline unless it says otherwise
+                if (measure.repeatEnd) {
+                    globalMeasInfo.barline = "repeat-end";
+                } else if (measure.barline !== null) {
+                    globalMeasInfo.barline = measure.barline;
+                } else {
+                    globalMeasInfo.barline = globalMeasInfo.end ? "final" : "regular";
+                }
+
+                // lines break where the source engraving broke them, or every so many measures, instead of when they are full
+                if (sourceBreaks) {
+                    globalMeasInfo.lineBreak = measure.systemBreak;
+                } else if (options.measuresPerSystem !== null) {
+                    globalMeasInfo.lineBreak = (measureIdx % options.measuresPerSystem) == 0;
+                }
+
+                // need to add a time signature
+                if (measure.timeChange) globalMeasInfo.timeChange = measure.time;
+                // need to add a key signature, along with the previous one if its accidentals are to be cancelled, in the key each staff's part is written in
+                // the score may start in C without saying so, but a transposed score or a transposing part needs its key written at the start
+                if (measure.keyChange || ((measureIdx == 0) && staffParts.some((part) => getPartKey(measure.key, part, options).fifths != 0))) {
+                    globalMeasInfo.keyChange = staffParts.map((part) => ({
+                        "key": getPartKey(measure.key, part, options), 
+                        "cancel": ((measureIdx > 0) && (options.keyCancellation == "always")) ? getPartKey(score.measures[measureIdx - 1].key, part, options) : null, 
+                    }));
+                }
+
+                // process part measures
+                for (let j = 0; j < partStaves.length; j++) {
+                    let staves, staffSequences, staffClefChanges, partMeasure;
+
+                    partMeasure = score.parts[j].measures[measureIdx];
+                    // create a new stave for each staff of the part
+                    // the position is set to (0, 0) so that when we later call its getNoteStartX() method, it will return the offset of the first note
+                    staves = Array.from(Array(partStaves[j]), () => factory.Stave({"width": testMeasureWidth}));
+                    staffClefChanges = Array.from(Array(partStaves[j]), () => []);
+                    partMeasure.clefs.map((change) => {
+                        if (change.graceIndex !== null) report.warnings.push(`The clef in measure ${measureIdx + 1} was placed before the grace notes at its position.`);
+                        if (change.position[0] == 0) {
+                            // a clef at the start of the measure goes on the stave itself
+                            clefsArr[staffOffsets[j] + change.staff] = startClefs[staffOffsets[j] + change.staff] = change.clef;
+                            addClefVF(staves[change.staff], change.clef);
+                            // note this, so we don't add another clef
+                            clefsAdded[staffOffsets[j] + change.staff] = true;
+                        } else {
+                            // otherwise, it changes the clef partway through the staff's sequences
+                            staffClefChanges[change.staff].push(change);
+                        }
+
+                    });
+                    // check for beams
+                    if (partMeasure.beams.length > 0) {
+                        let newBeams;
+
+                        newBeams = {"ids": partMeasure.beams.map((beam) => beam.events.slice()), "partial": partMeasure.beams.map(() => []), "levels": partMeasure.beams.map((beam) => beam.levels)};
+                        beams = updateArrayFields(beams, newBeams);
+                    }
+
+                    // route sequences to their staves
+                    staffSequences = Array.from(Array(partStaves[j]), () => []);
+                    partMeasure.sequences.map((sequence) => staffSequences[sequence.staff].push(sequence));
+                    for (let k = 0; k < partStaves[j]; k++) {
+                        // k indexes over the part's staves
+                        let parsedSequence, newVoices, staffIdx;
+
+                        staffIdx = staffOffsets[j] + k;
+                        // get sequences
+                        parsedSequence = getSequences(staffSequences[k], clefsArr[staffIdx], staffClefChanges[k], accidentalStates[staffIdx], score, beams, slurs, ties, factory);
+                        // the last clef change carries into the following measures
+                        if (staffClefChanges[k].length > 0) clefsArr[staffIdx] = staffClefChanges[k][staffClefChanges[k].length - 1].clef;
+                        // start queue management
+                        // stash stave
+                        queues.queues[staffIdx].staves.push(staves[k]);
+                        // stash voices
+                        newVoices = Array.from(Array(parsedSequence.length), () => factory.Voice({"time": timeSignatureToVF(measure.time)}));
+                        newVoices.map((newVoice, voiceIdx) => {
+                            parsedSequence[voiceIdx].notes.filter((note) => note.getAttribute("wholeMeasure")).map((note) => note.setIntrinsicTicks(newVoice.getTotalTicks().value()));
+                            newVoice.addTickables(parsedSequence[voiceIdx].notes);
+                        });
+                        queues.queues[staffIdx].voices.push(newVoices);
+                        // tempos go over the top staff, which is at the top of every system
+                        addDirectionsVF(partMeasure.directions.filter((direction) => direction.staff == k), (staffIdx == 0) ? measure.tempos : [], measureIdx, staves[k], newVoices, hairpins[staffIdx], directionRows[staffIdx], score, factory);
+                    }
+
+                    // update continuables
+                    updateBeamsVF(beams, pendingBeams);
+                    updateSlursVF(slurs, factory);
+                    updateTiesVF(ties, factory);
+                }
+
+                // increment the size of the queue
+                queues.size += 1;
+                globalMeasInfo.startKeys = staffParts.map((part) => getPartKey(measure.key, part, options));
+                globalMeasInfo.startClefs = {
+                    "clefs": startClefs, 
+                    "clefsAdded": clefsAdded, 
+                };
+                globalMeasInfos.push(globalMeasInfo);
+                // if all continuable dependencies are empty, we can empty the queues
+                if ((beams.ids.length == 0) && (slurs.ids.length == 0) && (ties.ids.length == 0)) {
+                    processQueues(queues, curPosition, lineQueues, globalMeasInfos, score, pendingBeams, options, report, factory);
+                    globalMeasInfos = [];
+                }
+
+            }
+
+        );
+        // at this point, we may have lines that were not completed. so render the line
+        flushLine(lineQueues, curPosition.x, score, pendingBeams, curPosition.y, options, report, factory);
+        // if any continuables were not completed, then throw errors
+        if (beams.ids.length != 0) throw new MNXParseError(`Reached end of score, but ${beams.ids.length} beam(s) were not completed.`);
+        if (slurs.ids.length != 0) throw new MNXParseError(`Reached end of score, but ${slurs.ids.length} slur(s) were not completed.`);
+        if (ties.ids.length != 0) throw new MNXParseError(`Reached end of score, but ${ties.ids.length} tie(s) were not completed.`);
+        return;
+    }
+
+    function boundingBoxToObject(x, y, width, height, scale) {
+        /**
+         * Creates a bounding box in the coordinates of the finished image
+         * 
+         * @param {number} x The left edge, before scaling
+         * @param {number} y The top edge, before scaling
+         * @param {number} width The width, before scaling
+         * @param {number} height The height, before scaling
+         * @param {number} scale The scale of the image
+         * 
+         * @returns {object} A bounding box
+         */
+
+        return Object.assign(structuredClone(boundingBoxTemplate), {'x': scale * x, 'y': scale * y, "width": scale * width, "height": scale * height});
+    }
+
+    function mergeBoundingBoxes(boxes) {
+        /**
+         * Finds the smallest bounding box containing all of the given ones
+         * 
+         * @param {Array} boxes An array of bounding boxes
+         * 
+         * @returns {object} A bounding box
+         */
+
+        let left, top, right, bottom;
+
+        left = Math.min(...boxes.map((box) => box.x));
+        top = Math.min(...boxes.map((box) => box.y));
+        right = Math.max(...boxes.map((box) => box.x + box.width));
+        bottom = Math.max(...boxes.map((box) => box.y + box.height));
+        return boundingBoxToObject(left, top, right - left, bottom - top, 1.);
+    }
+
+    function getScoreLayout(report, partStaves) {
+        /**
+         * Summarizes where the systems, measures, and events of a drawn score ended up
+         * 
+         * @param {object} report The report of the render
+         * @param {Array} partStaves The number of staves in each part
+         * 
+         * @returns {object} An object with arrays of systems, measures, and events, each with the page it is on and a bounding box on that page
+         */
+
+        let result, staffParts, measureIdx;
+
+        result = {"systems": [], "measures": [], "events": []};
+        // find the part and the staff within the part of each staff in the score
+        staffParts = partStaves.flatMap((numStaves, partIdx) => Array.from(Array(numStaves), (_, staffIdx) => ({"part": partIdx, "staff": staffIdx})));
+        measureIdx = 0;
+        report.lines.map((line, systemIdx) => {
+            let system, page, toImage;
+
+            // on a page, boxes are measured from the corner of the paper rather than from the top of the stacked pages
+            page = (report.pages === null) ? 0 : report.lineExtents[systemIdx].page;
+            toImage = (x, y, width, height) => {
+                if (report.pages === null) return boundingBoxToObject(x, y, width, height, report.scale);
+                return boundingBoxToObject(x + report.pages.margin, y + report.pages.margin - page * report.pages.height, width, height, report.scale);
+            };
+            system = {"index": systemIdx, "page": page, "measures": [], "boundingBox": null};
+            for (let i = 0; i < line[0].staves.length; i++) {
+                // i indexes over the measures of the line
+                let staves, top, bottom;
+
+                staves = line.map((queue) => queue.staves[i]);
+                top = staves[0].getYForLine(0);
+                bottom = staves[staves.length - 1].getYForLine(staves[staves.length - 1].getNumLines() - 1);
+                result.measures.push({"index": measureIdx, "system": systemIdx, "page": page, "boundingBox": toImage(staves[0].getX(), top, staves[0].getWidth(), bottom - top)});
+                line.map((queue, staffIdx) => queue.voices[i].map((voice, voiceIdx) => voice.getTickables().filter(
+                    (tickable) => !(tickable instanceof ClefNote)
+                ).map((tickable) => {
+                    let notes;
+
+                    // grace notes are events of their own, drawn just before the note they belong to
+                    notes = [];
+                    tickable.getModifiersByType(GraceNoteGroup.CATEGORY).map((graceGroup) => notes = notes.concat(graceGroup.getGraceNotes()));
+                    notes.push(tickable);
+                    notes.map((note) => {
+                        let bb = note.getBoundingBox();
+
+                        result.events.push({
+                            "id": (note.getAttribute("mnxId") === undefined) ? null : note.getAttribute("mnxId"), 
+                            "position": (note.getAttribute("mnxPosition") === undefined) ? null : note.getAttribute("mnxPosition"), 
+                            "svgId": `vf-${note.getAttribute("id")}`, 
+                            "measure": measureIdx, 
+                            "page": page, 
+                            "part": staffParts[staffIdx].part, 
+                            "staff": staffParts[staffIdx].staff, 
+                            "voice": voiceIdx, 
+                            "grace": note !== tickable, 
+                            "boundingBox": toImage(bb.getX(), bb.getY(), bb.getW(), bb.getH()), 
+                        });
+                    });
+                })));
+                system.measures.push(measureIdx);
+                measureIdx += 1;
+            }
+
+            system.boundingBox = mergeBoundingBoxes(system.measures.map((idx) => result.measures[idx].boundingBox));
+            result.systems.push(system);
+        });
+        return result;
+    }
+
+    function getSheetWidth(element, scale) {
+        /**
+         * Finds the sheet width that fills an element
+         * 
+         * @param {HTMLElement} element The element the score is drawn in
+         * @param {number} scale The scale of the image
+         * 
+         * @returns {number} The sheet width, before scaling
+         */
+
+        // elements that are not laid out, as outside the browser, have no width of their own
+        if ((element === null) || !(element.clientWidth > 0)) return defaultSheetWidth;
+        return Math.max(minMeasureWidth, Math.floor(element.clientWidth / scale));
+    }
+
+    function getElementStaves(element) {
+        /**
+         * Finds the staves that something drawn by a factory is on
+         * 
+         * @param {Element} element A VexFlow element
+         * 
+         * @returns {Array} The staves, which may be on more than one line for elements that join notes
+         */
+
+        let notes;
+
+        if (element instanceof StaveConnector) return [element.top_stave, element.bottom_stave];
+        if (element instanceof Hairpin) return element.staves.map((covered) => covered.stave);
+        if (element instanceof StaveTie) {
+            notes = [element.getNotes().first_note, element.getNotes().last_note];
+        } else if (element instanceof Curve) {
+            notes = [element.from, element.to];
+        } else if ((element instanceof Beam) || (element instanceof Tuplet)) {
+            notes = element.getNotes();
+        } else if (typeof element.getStave == "function") {
+            // notes, and voices, which are on a single stave
+            notes = [element];
+        } else {
+            notes = [];
+        }
+
+        return notes.filter((note) => note).map((note) => note.getStave()).filter((stave) => stave);
+    }
+
+    function getPageGeometry(options) {
+        /**
+         * Works out the size of the pages in the units the score is laid out in
+         * 
+         * @param {object} options Complete render options
+         * 
+         * @returns {object} The page geometry, without the number of pages
+         */
+
+        let result, unitsPerMillimetre;
+
+        result = structuredClone(pageGeometryTemplate);
+        // the staff size sets how big everything is on the paper
+        unitsPerMillimetre = staffHeightUnits / options.staffSize;
+        result.paper = paperSizes[options.paperSize];
+        result.width = unitsPerMillimetre * result.paper.width;
+        result.height = unitsPerMillimetre * result.paper.height;
+        result.margin = unitsPerMillimetre * options.margins;
+        result.contentWidth = result.width - 2 * result.margin;
+        result.contentHeight = result.height - 2 * result.margin;
+        result.scale = cssPixelsPerMillimetre / unitsPerMillimetre;
+        if (!(result.contentWidth >= minMeasureWidth) || !(result.contentHeight > 0)) throw new UnsupportedFeatureError("The margins leave no room for the score at this staff size.");
+        return result;
+    }
+
+    function paginateLines(report, page, pageBreaks) {
+        /**
+         * Moves the lines of a score onto pages, spreading them out to fill each page
+         * 
+         * @param {object} report The report of the render, with its lines laid out one after another - will be modified
+         * @param {object} page The page geometry - will be modified
+         * @param {Array} pageBreaks Whether each measure must start a page
+         */
+
+        let pages, used;
+
+        // fill each page with as many lines as fit, unless a page was asked to start sooner, though a line taller than a page still gets a page to itself
+        pages = [];
+        used = 0;
+        report.lineExtents.map((extent, lineIdx) => {
+            let height = extent.bottom - extent.top;
+
+            if ((pages.length == 0) || pageBreaks[extent.firstMeasure] || (used + height > page.contentHeight)) {
+                pages.push([]);
+                used = 0;
+            }
+
+            pages[pages.length - 1].push(lineIdx);
+            used += height;
+        });
+        pages.map((lineIndices, pageIdx) => {
+            let extents, free, gap, y;
+
+            extents = lineIndices.map((lineIdx) => report.lineExtents[lineIdx]);
+            free = page.contentHeight - extents.reduce((total, extent) => total + extent.bottom - extent.top, 0);
+            // the space left over goes between the lines, except on a last page with little on it
+            gap = 0;
+            if ((extents.length > 1) && (free > 0) && ((pageIdx < pages.length - 1) || (free <= (1 - lastPageJustifyFraction) * page.contentHeight))) gap = free / (extents.length - 1);
+            // the pages are stacked one above the next, so the systems only need to move down
+            y = pageIdx * page.height;
+            extents.map((extent) => {
+                let shift = y - extent.top;
+
+                extent.systems.map((system) => system.options.y += shift);
+                extent.top += shift;
+                extent.bottom += shift;
+                extent.page = pageIdx;
+                y = extent.bottom + gap;
+            });
+        });
+        page.count = Math.max(1, pages.length);
+        report.pages = page;
+        return;
+    }
+
+    function createPageContexts(outputDivId, context, page) {
+        /**
+         * Creates a drawing context for each page
+         * 
+         * @param {string|HTMLElement} outputDivId The ID of a div, or the div itself, in which to draw the score - will be modified
+         * @param {SVGContext} context The context the score was laid out in, which becomes the first page
+         * @param {object} page The page geometry
+         * 
+         * @returns {Array} A context for each page
+         */
+
+        let result = [context];
+
+        for (let i = 1; i < page.count; i++) {
+            result.push(Renderer.buildContext(outputDivId, Renderer.Backends.SVG, page.width, page.height));
+        }
+
+        return result;
+    }
+
+    function finishPages(contexts, page) {
+        /**
+         * Sizes each page to its paper, and numbers it
+         * 
+         * @param {Array} contexts A context for each page - will be modified
+         * @param {object} page The page geometry
+         */
+
+        contexts.map((context, pageIdx) => {
+            let svg, pageNumber;
+
+            svg = context.svg;
+            // each image shows its own page of the stacked layout, margins included, at the size of the paper
+            context.resize(page.width, page.height);
+            context.setViewBox(-page.margin, pageIdx * page.height - page.margin, page.width, page.height);
+            svg.setAttribute("width", `${page.paper.width}mm`);
+            svg.setAttribute("height", `${page.paper.height}mm`);
+            // printing starts a new sheet after each page
+            svg.setAttribute("style", (pageIdx < contexts.length - 1) ? "display: block; break-after: page;" : "display: block;");
+            pageNumber = svg.ownerDocument.createElementNS(svgNamespace, "text");
+            pageNumber.setAttribute("class", "mnx-page-number");
+            pageNumber.setAttribute('x', page.contentWidth / 2);
+            pageNumber.setAttribute('y', pageIdx * page.height + page.contentHeight + (page.margin + pageNumberFontSize) / 2);
+            pageNumber.setAttribute("text-anchor", "middle");
+            pageNumber.setAttribute("font-size", pageNumberFontSize);
+            pageNumber.setAttribute("stroke", "none");
+            pageNumber.textContent = `${pageIdx + 1}`;
+            svg.appendChild(pageNumber);
+        });
+        return;
+    }
+
+    function engraveScore(score, outputDivId, options = {}) {
+        /**
+         * Draws a score model on a div
+         * 
+         * @param {object} score A score model
+         * @param {string|HTMLElement} outputDivId The ID of a div, or the div itself, in which to draw the score - will be modified
+         * @param {object} options Render options, with defaults for any that are missing
+         * 
+         * @returns {object} The report of the render, with the measure count, the drawn lines, and any warnings
+         */
+
+        let renderOptions, report, vf, context, page;
+
+        renderOptions = getRenderOptions(options);
+        page = null;
+        if (renderOptions.layout == "pages") {
+            // the paper and margins set the width of the lines
+            page = getPageGeometry(renderOptions);
+            renderOptions.width = page.contentWidth;
+        } else if (renderOptions.width === null) {
+            renderOptions.width = getSheetWidth((typeof outputDivId == "string") ? document.getElementById(outputDivId) : outputDivId, renderOptions.scale);
+        }
+
+        // create a new factory
+        vf = new ScoreFactory({"renderer": {"elementId": outputDivId, "width": renderOptions.width, "height": defaultSheetHeight}});
+        report = structuredClone(renderReportTemplate);
+        // transposing parts may be shown at concert pitch
+        measuresToFactory(getDisplayScore(score, renderOptions), renderOptions, report, vf);
+        // the lines are moved onto pages before anything is drawn
+        if (page !== null) {
+            paginateLines(report, page, score.measures.map((measure) => (renderOptions.breaks == "source") && measure.pageBreak));
+            vf.setPages(createPageContexts(outputDivId, vf.getContext(), page), page);
+        }
+
+        // draw the factory
+        vf.draw();
+        if (page !== null) {
+            finishPages(vf.pageContexts, page);
+            report.scale = page.scale;
+        } else if (renderOptions.scale != 1) {
+            // scaling only changes the size of the image, so it happens once the layout is done
+            context = vf.getContext();
+            context.resize(renderOptions.scale * context.width, renderOptions.scale * context.height);
+            context.scale(renderOptions.scale, renderOptions.scale);
+            report.scale = renderOptions.scale;
+        }
+
+        return report;
+    }
+
+    function parseMNXv1(obj, outputDivId, options = {}) {
+        /**
+         * Displays an MNX version 1 object on a div
+         * 
+         * @param {object} obj A potential MNX object to display
+         * @param {string|HTMLElement} outputDivId The ID of a div, or the div itself, in which to draw the score - will be modified
+         * @param {object} options Render options, with defaults for any that are missing
+         * 
+         * @returns {object} The report of the render, with the measure count, the drawn lines, and any warnings
+         */
+
+        return engraveScore(parseScore(obj), outputDivId, options);
+    }
+
+    function render(mnx, target, options = {}) {
+        /**
+         * Renders an MNX score into an element
+         * 
+         * @param {object|string} mnx An MNX object, or a string containing one as JSON
+         * @param {string|HTMLElement} target The ID of a div, or the div itself, in which to draw the score - will be modified
+         * @param {object} options Render options, with defaults for any that are missing
+         * 
+         * @returns {ScoreHandle} A handle to the rendered score
+         */
+
+        if (typeof mnx == "string") mnx = JSON.parse(mnx);
+        return new ScoreHandle(mnx, target, options);
+    }
+
+    function convertMNX(inputText, outputDivId, options = {}) {
+        /** 
+         * Interprets the MNX input to the text box and shows the score
+         * 
+         * @param {string} inputText A string containing MNX data
+         * @param {string|HTMLElement} outputDivId The ID of a div, or the div itself, to output the score - will be modified
+         * @param {object} options Render options, with defaults for any that are missing
+        */
+       
+        let result;
+
+        try {
+            result = JSON.parse(inputText);
+        } catch (e) {
+            if (e instanceof SyntaxError) return "Bad JSON";
+        }
+
+        try {
+            parseMNXv1(result, outputDivId, options);
+            return "Success!";
+        } catch (e) {
+            if (e instanceof MNXParseError) return `[MNX Parse Error] ${e.message}${(e.pointer === null) ? "" : ` (at ${e.pointer})`}`;
+            if (e instanceof UnsupportedFeatureError) return `[Unsupported Feature] ${e.message}${(e.pointer === null) ? "" : ` (at ${e.pointer})`}`;
+            // let other errors be heard
+            throw e;
+        }
+
+    }
+
+    return {StaveNote, Volta, defaultSheetWidth, minMeasureWidth, slurClearance, noteheadHalfHeight, slurHeightRatio, minSlurHeight, maxSlurHeight, svgNamespace, SlurCurve, ScoreHandle, getRenderOptions, endingToVoltaType, endingToVoltaLabel, staffposToPitch, updateSlursWithEvent, getSheetWidth, getPageGeometry, parseMNXv1, render, convertMNX};
+})();
+
+// when loaded as a Node.js module, export the namespace the other modules import from
+if (typeof module != "undefined") module.exports = mnxEngrave;
@@ -0,0 +1,505 @@
+/**
+ * midi.js - Performance and MIDI export for open-source MNX viewer.
+ * Plays repeats out into timed notes, and writes them as Standard MIDI Files.
+ */
+
+const mnxMIDI = (function () {
+    // imports: the other modules are globals when loaded with <script> tags, and packages otherwise
+    const {maxKeyFifths, UnsupportedFeatureError, addFractions, multiplyFractions, compareFractions, durationToFraction} = (typeof mnxObjects != "undefined") ? mnxObjects : require("./objects.js");
+    const {pitchToMIDI} = (typeof mnxModel != "undefined") ? mnxModel : require("./model.js");
+
+    // the most time a grace note takes from the event it is played before (or after, at the end of a sequence)
+    const maxGraceLength = [1, 32];
+    // MIDI files count time in ticks, this many to a quarter note
+    const midiTicksPerQuarter = 480;
+    const midiVelocity = 80;
+    // General MIDI keeps channel 10 (index 9) for percussion, which leaves 15 of the 16 channels for parts
+    const midiChannelCount = 16;
+    const midiPercussionChannel = 9;
+    // modes whose key signatures are written as minor keys in MIDI files
+    const midiMinorModes = ["minor", "aeolian"];
+
+    // templates for performances, which say when each measure, event, and note is played, with repeats unrolled
+    const performanceTemplate = {
+        "length": [0, 1], 
+        "measures": [], 
+        "events": [], 
+        "notes": [], 
+        "tempos": [], 
+    };
+    const performanceMeasureTemplate = {
+        "index": 0, 
+        "start": [0, 1], 
+        "length": [1, 1], 
+    };
+    const performanceEventTemplate = {
+        "id": null, 
+        "part": 0, 
+        "staff": 0, 
+        "measure": 0, 
+        "start": [0, 1], 
+        "length": [0, 1], 
+        "grace": false, 
+    };
+    const performanceNoteTemplate = {
+        "id": null, 
+        "event": null, 
+        "part": 0, 
+        "staff": 0, 
+        "measure": 0, 
+        "pitch": 60, 
+        "start": [0, 1], 
+        "length": [0, 1], 
+    };
+    // tempos are in quarter notes per minute
+    const performanceTempoTemplate = {
+        "start": [0, 1], 
+        "tempo": 120, 
+    };
+    // a tempo of null follows the tempos of the score, and any other tempo is kept throughout
+    const playbackOptionsTemplate = {
+        "tempo": null, 
+    };
+    // the tempo before the first tempo of a score, or of a score without any
+    const defaultTempo = 120;
+
+    function getMeasureOrder(score) {
+        /**
+         * Unrolls the repeats and alternate endings of a score into the order its measures are played in
+         * 
+         * @param {object} score A score model
+         * 
+         * @returns {Array} An array of measure indices, in the order they are played
+         */
+
+        let result, idx, pass, sectionStart, jumped;
+
+        result = [];
+        idx = 0;
+        // the pass through the current repeated section, and the measure it starts at
+        pass = 1;
+        sectionStart = 0;
+        jumped = false;
+        while (idx < score.measures.length) {
+            let measure = score.measures[idx];
+
+            if (measure.repeatStart && !jumped) {
+                sectionStart = idx;
+                pass = 1;
+            }
+
+            jumped = false;
+            if ((measure.ending !== null) && measure.ending.first && (measure.ending.numbers.length > 0) && !measure.ending.numbers.includes(pass)) {
+                // this ending is for another pass, so skip to the measure after it
+                while (!score.measures[idx].ending.last) idx++;
+                idx++;
+                continue;
+            }
+
+            result.push(idx);
+            if (measure.repeatEnd) {
+                let limit;
+
+                // unless told otherwise, a section is played twice, or once for each ending that repeats
+                if (measure.repeatTimes !== null) {
+                    limit = measure.repeatTimes;
+                } else if ((measure.ending !== null) && (measure.ending.numbers.length > 0)) {
+                    limit = Math.max(...measure.ending.numbers) + 1;
+                } else {
+                    limit = 2;
+                }
+
+                if (pass < limit) {
+                    pass += 1;
+                    idx = sectionStart;
+                    jumped = true;
+                    continue;
+                }
+
+                // the next repeated section starts after this one, if it has no start of its own
+                pass = 1;
+                sectionStart = idx + 1;
+            } else if ((measure.ending !== null) && measure.ending.last) {
+                // the final ending leads on to the rest of the score
+                pass = 1;
+                sectionStart = idx + 1;
+            }
+
+            idx++;
+        }
+
+        return result;
+    }
+
+    function addPerformanceEvent(performance, event, start, length, where, semitones, tiedFrom, sounding) {
+        /**
+         * Adds an event and the notes it sounds to a performance
+         * 
+         * @param {object} performance A performance - will be modified
+         * @param {object} event An event of the score model
+         * @param {Array} start When the event is played
+         * @param {Array} length How long the event is played for
+         * @param {object} where An object with the indices of the event's part, staff, and the measure of the performance it is played in
+         * @param {number} semitones How far the part sounds from where it is written
+         * @param {object} tiedFrom The ID of the note each tied note continues, by the ID of the tied note
+         * @param {object} sounding The latest performance note of each note, by the note's ID - will be modified
+         */
+
+        performance.events.push(Object.assign(structuredClone(performanceEventTemplate), where, {"id": event.id, "start": start, "length": length, "grace": event.grace !== null}));
+        event.notes.map((note) => {
+            let performanceNote;
+
+            if (Object.hasOwn(tiedFrom, note.id) && Object.hasOwn(sounding, tiedFrom[note.id])) {
+                // a tied note keeps the note it continues sounding
+                performanceNote = sounding[tiedFrom[note.id]];
+                performanceNote.length = addFractions(start, addFractions(length, [-performanceNote.start[0], performanceNote.start[1]]));
+            } else {
+                performanceNote = Object.assign(structuredClone(performanceNoteTemplate), where, {"id": note.id, "event": event.id, "pitch": pitchToMIDI(note.pitch) + semitones, "start": start, "length": length});
+                performance.notes.push(performanceNote);
+            }
+
+            sounding[note.id] = performanceNote;
+        });
+        return;
+    }
+
+    function getGraceLength(length, count) {
+        /**
+         * Works out how long each grace note of a group is played for
+         * 
+         * @param {Array} length The length of the event the grace notes take their time from
+         * @param {number} count The number of grace notes
+         * 
+         * @returns {Array} The length of each grace note
+         */
+
+        let result;
+
+        // together, grace notes take no more than half of the event
+        result = multiplyFractions(length, [1, 2 * count]);
+        if (compareFractions(result, maxGraceLength) > 0) result = maxGraceLength;
+        return result;
+    }
+
+    function getPerformance(score) {
+        /**
+         * Works out when each event of a score is played, with repeats unrolled and tied notes joined
+         * 
+         * @param {object} score A score model
+         * 
+         * @returns {object} A performance, with its measures, events, notes, and tempos in the order they are played
+         */
+
+        let result, tiedFrom, sounding, start;
+
+        result = structuredClone(performanceTemplate);
+        tiedFrom = {};
+        score.ties.filter((tie) => (tie.start !== null) && (tie.end !== null)).map((tie) => tiedFrom[tie.end] = tie.start);
+        sounding = {};
+        start = [0, 1];
+        getMeasureOrder(score).map((measureIdx, performanceIdx) => {
+            let measure = score.measures[measureIdx];
+
+            result.measures.push(Object.assign(structuredClone(performanceMeasureTemplate), {"index": measureIdx, "start": start, "length": measure.length}));
+            // a tempo's beat can be any note value, so it is given in quarter notes
+            measure.tempos.map((tempo) => result.tempos.push(Object.assign(structuredClone(performanceTempoTemplate), {
+                "start": addFractions(start, tempo.position), 
+                "tempo": tempo.bpm * fractionToNumber(multiplyFractions(durationToFraction(tempo.value), [4, 1])), 
+            })));
+            score.parts.map((part, partIdx) => part.measures[measureIdx].sequences.map((sequence) => {
+                let grace, where, previous, graceLength, graceStart, semitones;
+
+                grace = [];
+                where = {"part": partIdx, "staff": sequence.staff, "measure": performanceIdx};
+                // transposing parts are played at the pitch they sound
+                semitones = (part.transposition === null) ? 0 : part.transposition.interval.semitones;
+                // each event is held back until the next one, since grace notes after it may take from its end
+                previous = null;
+                sequence.events.map((event) => {
+                    let eventStart, eventLength;
+
+                    // grace notes wait for the event they are played before
+                    if (event.grace !== null) {
+                        grace.push(event);
+                        return;
+                    }
+
+                    if (previous !== null) addPerformanceEvent(result, previous.event, previous.start, previous.length, where, semitones, tiedFrom, sounding);
+                    eventStart = addFractions(start, event.offset);
+                    eventLength = event.length;
+                    if (grace.length > 0) {
+                        // grace notes are played on the beat, taking their time from the start of the event
+                        graceLength = getGraceLength(eventLength, grace.length);
+                        grace.map((graceEvent) => {
+                            addPerformanceEvent(result, graceEvent, eventStart, graceLength, where, semitones, tiedFrom, sounding);
+                            eventStart = addFractions(eventStart, graceLength);
+                            eventLength = addFractions(eventLength, [-graceLength[0], graceLength[1]]);
+                        });
+                        grace = [];
+                    }
+
+                    previous = {"event": event, "start": eventStart, "length": eventLength};
+                });
+                if (grace.length == 0) {
+                    if (previous !== null) addPerformanceEvent(result, previous.event, previous.start, previous.length, where, semitones, tiedFrom, sounding);
+                    return;
+                }
+
+                // grace notes with no event after them are played before the barline, taking their time from the end of the event before them
+                if (previous === null) {
+                    graceLength = maxGraceLength;
+                    graceStart = addFractions(addFractions(start, measure.length), multiplyFractions(graceLength, [-grace.length, 1]));
+                } else {
+                    graceLength = getGraceLength(previous.length, grace.length);
+                    previous.length = addFractions(previous.length, multiplyFractions(graceLength, [-grace.length, 1]));
+                    addPerformanceEvent(result, previous.event, previous.start, previous.length, where, semitones, tiedFrom, sounding);
+                    graceStart = addFractions(previous.start, previous.length);
+                }
+
+                grace.map((graceEvent) => {
+                    addPerformanceEvent(result, graceEvent, graceStart, graceLength, where, semitones, tiedFrom, sounding);
+                    graceStart = addFractions(graceStart, graceLength);
+                });
+            }));
+            start = addFractions(start, measure.length);
+        });
+        result.length = start;
+        // events are listed in the order they are played
+        result.events.sort((a, b) => compareFractions(a.start, b.start));
+        result.notes.sort((a, b) => compareFractions(a.start, b.start));
+        result.tempos.sort((a, b) => compareFractions(a.start, b.start));
+        return result;
+    }
+
+    function getPlaybackOptions(options) {
+        /**
+         * Fills in the defaults of a set of playback options and checks them
+         * 
+         * @param {object} options Playback options, any of which may be missing
+         * 
+         * @returns {object} A complete set of playback options
+         */
+
+        let result;
+
+        result = Object.assign(structuredClone(playbackOptionsTemplate), options);
+        if ((result.tempo !== null) && (!(typeof result.tempo == "number") || !(result.tempo > 0))) throw new UnsupportedFeatureError("Tempo must be a positive number.");
+        return result;
+    }
+
+    function getTempoChanges(performance, options) {
+        /**
+         * Works out the tempo through a performance, and when each tempo starts
+         * 
+         * @param {object} performance A performance
+         * @param {object} options Playback options
+         * 
+         * @returns {Array} An array of performance tempos, each with the time it starts at in seconds, starting with the tempo at the start of the performance
+         */
+
+        let result;
+
+        if (options.tempo !== null) return [Object.assign(structuredClone(performanceTempoTemplate), {"tempo": options.tempo, "time": 0})];
+        result = [Object.assign(structuredClone(performanceTempoTemplate), {"tempo": defaultTempo, "time": 0})];
+        performance.tempos.map((change) => {
+            let last = result[result.length - 1];
+
+            // a later tempo at the same place takes over
+            if (compareFractions(change.start, last.start) == 0) {
+                last.tempo = change.tempo;
+                return;
+            }
+
+            result.push(Object.assign({}, change, {"time": positionToTime(result, fractionToNumber(change.start))}));
+        });
+        return result;
+    }
+
+    function positionToTime(tempos, position) {
+        /**
+         * Finds when a position in a performance is played
+         * 
+         * @param {Array} tempos The tempo changes of the performance
+         * @param {number} position The position, in whole notes from the start of the performance
+         * 
+         * @returns {number} The time, in seconds from the start of the performance
+         */
+
+        let tempo = tempos.findLast((change) => fractionToNumber(change.start) <= position) || tempos[0];
+
+        return tempo.time + (position - fractionToNumber(tempo.start)) * 240 / tempo.tempo;
+    }
+
+    function timeToPosition(tempos, time) {
+        /**
+         * Finds where a performance is at a time
+         * 
+         * @param {Array} tempos The tempo changes of the performance
+         * @param {number} time The time, in seconds from the start of the performance
+         * 
+         * @returns {number} The position, in whole notes from the start of the performance
+         */
+
+        let tempo = tempos.findLast((change) => change.time <= time) || tempos[0];
+
+        return fractionToNumber(tempo.start) + (time - tempo.time) * tempo.tempo / 240;
+    }
+
+    function fractionToNumber(fraction) {
+        /**
+         * Converts a fraction into a number
+         * 
+         * @param {Array} fraction A fraction, as a numerator and a denominator
+         * 
+         * @returns {number} The value of the fraction
+         */
+
+        return fraction[0] / fraction[1];
+    }
+
+    function fractionToMIDITicks(fraction) {
+        /**
+         * Converts a rhythmic position or length into MIDI ticks
+         * 
+         * @param {Array} fraction A position or length, as a fraction of a whole note
+         * 
+         * @returns {number} The number of ticks
+         */
+
+        // positions are converted on their own, rather than by adding up rounded lengths, so that rounding never builds up
+        return Math.round(4 * midiTicksPerQuarter * fraction[0] / fraction[1]);
+    }
+
+    function midiVariableLength(value) {
+        /**
+         * Encodes a number as a MIDI variable-length quantity
+         * 
+         * @param {number} value A non-negative integer
+         * 
+         * @returns {Array} The bytes, seven bits at a time with the most significant first
+         */
+
+        let result = [value & 0x7f];
+
+        value >>= 7;
+        while (value > 0) {
+            result.unshift((value & 0x7f) | 0x80);
+            value >>= 7;
+        }
+
+        return result;
+    }
+
+    function midiMetaEvent(type, data) {
+        /**
+         * Creates the bytes of a MIDI meta event
+         * 
+         * @param {number} type The type of meta event
+         * @param {Array} data The bytes of the event
+         * 
+         * @returns {Array} The bytes of the meta event, without its delta time
+         */
+
+        return [0xff, type].concat(midiVariableLength(data.length), data);
+    }
+
+    function midiChunk(type, data) {
+        /**
+         * Creates the bytes of a chunk of a Standard MIDI File
+         * 
+         * @param {string} type The four-letter type of the chunk
+         * @param {Array} data The bytes of the chunk
+         * 
+         * @returns {Array} The bytes of the chunk, with its header
+         */
+
+        return type.split('').map((letter) => letter.charCodeAt(0)).concat([
+            (data.length >>> 24) & 0xff, (data.length >>> 16) & 0xff, (data.length >>> 8) & 0xff, data.length & 0xff, 
+        ], data);
+    }
+
+    function midiTrack(events) {
+        /**
+         * Creates the bytes of a MIDI track
+         * 
+         * @param {Array} events An array of objects with the tick, the order among events at the same tick, and the bytes of each event
+         * 
+         * @returns {Array} The bytes of the track chunk
+         */
+
+        let data, tick;
+
+        data = [];
+        tick = 0;
+        events.slice().sort((a, b) => (a.tick - b.tick) || (a.order - b.order)).map((event) => {
+            data = data.concat(midiVariableLength(event.tick - tick), event.data);
+            tick = event.tick;
+        });
+        data = data.concat([0], midiMetaEvent(0x2f, []));
+        return midiChunk("MTrk", data);
+    }
+
+    function scoreToMIDI(score, options = {}) {
+        /**
+         * Creates a Type 1 Standard MIDI File of a score, with a track for the tempo, time, and key and one for each part
+         * 
+         * @param {object} score A score model
+         * @param {object} options Playback options, with defaults for any that are missing
+         * 
+         * @returns {Uint8Array} The bytes of the file
+         */
+
+        let playbackOptions, performance, conductor, tracks, curTime, curKey;
+
+        // each part needs a channel of its own, and there is no room to share them out
+        if (score.parts.length > midiChannelCount - 1) throw new UnsupportedFeatureError(`MIDI files can only hold ${midiChannelCount - 1} parts, but the score has ${score.parts.length}.`);
+        playbackOptions = getPlaybackOptions(options);
+        performance = getPerformance(score);
+        conductor = getTempoChanges(performance, playbackOptions).map((change) => {
+            // the tempo is in microseconds per quarter note
+            let tempo = Math.round(60000000 / change.tempo);
+
+            return {"tick": fractionToMIDITicks(change.start), "order": 0, "data": midiMetaEvent(0x51, [(tempo >> 16) & 0xff, (tempo >> 8) & 0xff, tempo & 0xff])};
+        });
+        // time and key signatures are repeated wherever a jump makes them change
+        curTime = null;
+        curKey = null;
+        performance.measures.map((performanceMeasure) => {
+            let measure, tick;
+
+            measure = score.measures[performanceMeasure.index];
+            tick = fractionToMIDITicks(performanceMeasure.start);
+            if ((curTime === null) || (curTime.count != measure.time.count) || (curTime.unit != measure.time.unit)) {
+                curTime = measure.time;
+                conductor.push({"tick": tick, "order": 0, "data": midiMetaEvent(0x58, [curTime.count, Math.round(Math.log2(curTime.unit)), 24, 8])});
+            }
+
+            // MIDI files cannot hold key signatures with double sharps or flats
+            if (((curKey === null) || (curKey.fifths != measure.key.fifths) || (curKey.mode != measure.key.mode)) && (Math.abs(measure.key.fifths) <= maxKeyFifths)) {
+                curKey = measure.key;
+                conductor.push({"tick": tick, "order": 0, "data": midiMetaEvent(0x59, [curKey.fifths & 0xff, midiMinorModes.includes(curKey.mode) ? 1 : 0])});
+            }
+
+        });
+        tracks = score.parts.map((part, partIdx) => {
+            let channel, events;
+
+            // the percussion channel is skipped
+            channel = (partIdx < midiPercussionChannel) ? partIdx : partIdx + 1;
+            events = [];
+            if (part.id !== null) events.push({"tick": 0, "order": 0, "data": midiMetaEvent(0x03, Array.from(new TextEncoder().encode(part.id)))});
+            performance.notes.filter((note) => note.part == partIdx).map((note) => {
+                // notes end before the notes starting at the same time begin, so that repeated notes are heard
+                events.push({"tick": fractionToMIDITicks(note.start), "order": 2, "data": [0x90 | channel, note.pitch, midiVelocity]});
+                events.push({"tick": fractionToMIDITicks(addFractions(note.start, note.length)), "order": 1, "data": [0x80 | channel, note.pitch, 0]});
+            });
+            return midiTrack(events);
+        });
+        return new Uint8Array(midiChunk("MThd", [0, 1, 0, tracks.length + 1, (midiTicksPerQuarter >> 8) & 0xff, midiTicksPerQuarter & 0xff]).concat(midiTrack(conductor), ...tracks));
+    }
+
+    return {getMeasureOrder, getPerformance, getPlaybackOptions, getTempoChanges, positionToTime, timeToPosition, fractionToNumber, scoreToMIDI};
+})();
+
+// when loaded as a Node.js module, export the namespace the other modules import from
+if (typeof module != "undefined") module.exports = mnxMIDI;
@@ -0,0 +1,1297 @@
+/**
+ * model.js - Score model for open-source MNX viewer.
+ * Reads MNX into a score model that does not depend on VexFlow, and transposes it.
+ */
+
+const mnxModel = (function () {
+    // imports: the other modules are globals when loaded with <script> tags, and packages otherwise
+    const {directionTypes, directionNames, lineOfFifths, maxKeyFifths, groupSymbolTranslation, keyTemplate, MNXParseError, UnsupportedFeatureError, validateClef, validatePositionedClef, validateDirection, validateTempo, validateMeasure, validateSequence, validateBeam, validateBeamHook, validateEnding, validateTransposition, validateBarline, validateLayoutItem, getSystemMeasure, getMeasureIndices, validateRepeatEnd, validateTimeSignature, validateKeySignature, validateNote, validatePitch, validateAccidentalDisplay, validateSequenceContentItem, validateNoteValueQuantity, validatePart, isObject, getPartStaves, getStaffIndex, keyFromMNX, clefFromMNX, reduceFraction, addFractions, multiplyFractions, compareFractions, durationToFraction, parseDuration} = (typeof mnxObjects != "undefined") ? mnxObjects : require("./objects.js");
+    const {validateMNX} = (typeof mnxValidate != "undefined") ? mnxValidate : require("./validate.js");
+
+    const diatonicPitchNames = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+
+    const commonTime = {"count": 4, "unit": 4};
+    const stemDirectionTypes = ["up", "down"];
+
+    // curve directions for slurs, where positive is downward
+    const slurSideTranslation = {
+        "up": -1, 
+        "down": 1, 
+    };
+
+    // semitones above C of each step, for playback
+    const stepSemitones = {'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11};
+
+    const articulationTranslation = {
+        "accent": "a>", 
+        "staccatissimo": "av", 
+        "staccato": "a.", 
+        "strongAccent": "a^", 
+        "tenuto": "a-", 
+    };
+
+    // templates for the score model, which holds what the MNX says without any engraving decisions
+    // rhythmic positions and lengths are fractions of a whole note, kept as arrays of a numerator and a denominator
+    const scoreTemplate = {
+        "measureCount": 0, 
+        "eventCount": 0, 
+        "measures": [], 
+        "parts": [], 
+        "groups": [], 
+        "slurs": [], 
+        "ties": [], 
+    };
+    // the index is the measure's place in the score, and the number is the index MNX gives it, which is how measures are referred to
+    const measureTemplate = {
+        "index": 0, 
+        "number": null, 
+        "position": [0, 1], 
+        "length": [1, 1], 
+        "time": null, 
+        "timeChange": false, 
+        "key": null, 
+        "keyChange": false, 
+        "repeatStart": false, 
+        "repeatEnd": false, 
+        "repeatTimes": null, 
+        "ending": null, 
+        "barline": null, 
+        "systemBreak": false, 
+        "pageBreak": false, 
+        "tempos": [], 
+    };
+    // tempos are at a position in their measure, with the number of beats per minute and the note value of a beat
+    const tempoTemplate = {
+        "position": [0, 1], 
+        "bpm": 120, 
+        "value": null, 
+        "text": null, 
+    };
+    const partTemplate = {
+        "id": null, 
+        "name": null, 
+        "shortName": null, 
+        "transposition": null, 
+        "staves": 1, 
+        "measures": [], 
+    };
+    // a transposing part is written at a different pitch from the one it sounds at: the interval takes written pitches to sounding ones
+    const transpositionTemplate = {
+        "interval": {"steps": 0, "semitones": 0}, 
+        "keyFifthsFlipAt": null, 
+    };
+    // groups join a run of staves, counted across all parts, with a brace or bracket and bar lines drawn through them
+    const staffGroupTemplate = {
+        "symbol": null, 
+        "firstStaff": 0, 
+        "lastStaff": 0, 
+    };
+    const partMeasureTemplate = {
+        "clefs": [], 
+        "beams": [], 
+        "directions": [], 
+        "sequences": [], 
+    };
+    // directions are at a position in their measure, and wedges run to a position in the same or a later measure
+    const directionTemplate = {
+        "type": null, 
+        "staff": 0, 
+        "position": [0, 1], 
+        "value": null, 
+        "placement": null, 
+        "end": null, 
+    };
+    const clefChangeTemplate = {
+        "staff": 0, 
+        "position": [0, 1], 
+        "graceIndex": null, 
+        "clef": null, 
+    };
+    const beamTemplate = {
+        "events": [], 
+        "levels": null, 
+    };
+    const sequenceTemplate = {
+        "staff": 0, 
+        "voice": null, 
+        "events": [], 
+        "tuplets": [], 
+    };
+    const tupletTemplate = {
+        "inner": null, 
+        "outer": null, 
+        "showValue": null, 
+        "bracket": null, 
+        "orientation": null, 
+    };
+    // offsets are from the start of the measure, and positions from the start of the score
+    const eventTemplate = {
+        "id": null, 
+        "measure": 0, 
+        "offset": [0, 1], 
+        "position": [0, 1], 
+        "length": [0, 1], 
+        "duration": null, 
+        "wholeMeasure": false, 
+        "grace": null, 
+        "tuplet": null, 
+        "rest": null, 
+        "notes": [], 
+        "stemDirection": null, 
+        "markings": [], 
+        "slurs": [], 
+    };
+    const noteTemplate = {
+        "id": null, 
+        "pitch": null, 
+        "accidentalDisplay": null, 
+        "ties": [], 
+    };
+    // spanners refer to the events and notes at their ends by ID, where null marks an end outside the score (an incoming or outgoing spanner)
+    const slurTemplate = {
+        "start": null, 
+        "end": null, 
+        "startNote": null, 
+        "endNote": null, 
+        "side": null, 
+    };
+    const tieTemplate = {
+        "start": null, 
+        "end": null, 
+    };
+    // tracks a sequence as it is read into the model
+    const sequenceParseStateTemplate = {
+        "measure": null, 
+        "offset": [0, 1], 
+        "ratio": [1, 1], 
+        "tuplet": null, 
+        "grace": 0, 
+        "directions": null, 
+    };
+
+    const beamSegmentTemplate = {
+        "start": 0, 
+        "end": 0, 
+        "direction": null, 
+    };
+
+    const endingInfoTemplate = {
+        "numbers": [], 
+        "open": false, 
+        "first": false, 
+        "last": false, 
+    };
+
+    const accidentalEntryTemplate = {
+        "offset": null, 
+        "sequence": 0, 
+        "alter": 0, 
+    };
+
+    function getMeasureKeys(globMeasures) {
+        /**
+         * Finds the key in effect in each measure
+         * 
+         * @param {Array} globMeasures Global object measures
+         * 
+         * @returns {Array} An array of keys, one per measure
+         */
+
+        let curKey;
+
+        // the key is C major until a key signature says otherwise
+        curKey = structuredClone(keyTemplate);
+        return globMeasures.map((globalMeasure) => {
+            if ("key" in globalMeasure) {
+                validateKeySignature(globalMeasure.key);
+                curKey = keyFromMNX(globalMeasure.key);
+            }
+
+            return curKey;
+        });
+    }
+
+    function transposePitch(pitch, interval) {
+        /**
+         * Transposes a pitch, spelling it by the steps of the interval and altering it to match its semitones
+         * 
+         * @param {object} pitch A pitch
+         * @param {object} interval An interval, with its steps and semitones
+         * 
+         * @returns {object} The transposed pitch
+         */
+
+        let stepIdx, result;
+
+        stepIdx = diatonicPitchNames.indexOf(pitch.step) + interval.steps;
+        result = {"step": diatonicPitchNames[((stepIdx % diatonicPitchNames.length) + diatonicPitchNames.length) % diatonicPitchNames.length], "alter": 0, "octave": pitch.octave + Math.floor(stepIdx / diatonicPitchNames.length)};
+        result.alter = pitchToMIDI(pitch) + interval.semitones - pitchToMIDI(result);
+        return result;
+    }
+
+    function getIntervalFifths(interval) {
+        /**
+         * Finds how far along the line of fifths an interval moves, which is how far it moves a key signature
+         * 
+         * @param {object} interval An interval, with its steps and semitones
+         * 
+         * @returns {number} The number of fifths, which is negative for intervals that go down the line of fifths
+         */
+
+        let pitch;
+
+        // C is where the line of fifths is counted from
+        pitch = transposePitch({"step": 'C', "alter": 0, "octave": 4}, interval);
+        return lineOfFifths.indexOf(pitch.step) - 1 + lineOfFifths.length * pitch.alter;
+    }
+
+    function getConcertInterval(interval) {
+        /**
+         * Finds the interval a part is moved by to show it at concert pitch
+         * 
+         * @param {object} interval The interval that takes the part's written pitches to sounding ones
+         * 
+         * @returns {object} The interval without its whole octaves, since parts that sound octaves away, such as the piccolo or double bass, keep them even in concert scores
+         */
+
+        let octaves = Math.trunc(interval.steps / diatonicPitchNames.length);
+
+        return {"steps": interval.steps - diatonicPitchNames.length * octaves, "semitones": interval.semitones - 12 * octaves};
+    }
+
+    function getPartKey(key, part, options) {
+        /**
+         * Finds the key a part is shown in
+         * 
+         * @param {object} key The key of the score, which is at concert pitch
+         * @param {object} part A part of the score model
+         * @param {object} options Render options
+         * 
+         * @returns {object} The key, transposed as the part is written unless the part is shown at concert pitch
+         */
+
+        let fifths, flipAt;
+
+        if ((part.transposition === null) || (options.pitch == "concert")) return key;
+        // the written key is as far from the key of the score as the written pitches are from the sounding ones
+        fifths = key.fifths - getIntervalFifths(part.transposition.interval);
+        flipAt = part.transposition.keyFifthsFlipAt;
+        // keys with too many sharps or flats are written with the key that sounds the same
+        if ((flipAt !== null) && (flipAt > 0) && (fifths >= flipAt)) fifths -= 12;
+        if ((flipAt !== null) && (flipAt < 0) && (fifths <= flipAt)) fifths += 12;
+        if (fifths > maxKeyFifths) fifths -= 12;
+        if (fifths < -maxKeyFifths) fifths += 12;
+        return keyFromMNX({"fifths": fifths, "mode": key.mode});
+    }
+
+    function getDisplayScore(score, options) {
+        /**
+         * Finds the score as it is to be shown
+         * 
+         * @param {object} score A score model
+         * @param {object} options Render options
+         * 
+         * @returns {object} The score itself, or a copy that is transposed, or has the pitches of its transposing parts at concert pitch
+         */
+
+        let result;
+
+        result = score;
+        if (options.transpose !== null) result = transposeScore(result, intervalFromMNX(options.transpose));
+        if ((options.pitch != "concert") || result.parts.every((part) => part.transposition === null)) return result;
+        result = structuredClone(result);
+        result.parts.filter((part) => part.transposition !== null).map((part) => {
+            let interval = getConcertInterval(part.transposition.interval);
+
+            part.measures.map((partMeasure) => partMeasure.sequences.map((sequence) => sequence.events.map((event) => event.notes.map((note) => note.pitch = spellPitch(transposePitch(note.pitch, interval))))));
+        });
+        return result;
+    }
+
+    function intervalFromMNX(interval) {
+        /**
+         * Reads an interval given as in MNX
+         * 
+         * @param {object} interval An interval object, with its staffDistance and halfSteps
+         * 
+         * @returns {object} An interval, with its steps and semitones
+         */
+
+        if (!isObject(interval) || !Number.isInteger(interval.staffDistance) || !Number.isInteger(interval.halfSteps)) throw new UnsupportedFeatureError("Transposition interval must have an integer staffDistance and halfSteps.");
+        return {"steps": interval.staffDistance, "semitones": interval.halfSteps};
+    }
+
+    function spellPitch(pitch) {
+        /**
+         * Respells a pitch that would need more than a double sharp or double flat
+         * 
+         * @param {object} pitch A pitch
+         * 
+         * @returns {object} The pitch, or the pitch that sounds the same on a neighbouring step
+         */
+
+        let result = pitch;
+
+        // the same pitch a step up has fewer sharps, and a step down fewer flats
+        while (result.alter > 2) result = transposePitch(result, {"steps": 1, "semitones": 0});
+        while (result.alter < -2) result = transposePitch(result, {"steps": -1, "semitones": 0});
+        return result;
+    }
+
+    function getKeyInterval(fifths, interval) {
+        /**
+         * Spells an interval for transposing a key, so that the key it goes to has a key signature
+         * 
+         * @param {number} fifths The key signature of the key, in fifths
+         * @param {object} interval An interval, with its steps and semitones
+         * 
+         * @returns {object} The interval, or one of the same size that goes to the key that sounds the same, where the other would have more than seven sharps or flats
+         */
+
+        let result = interval;
+
+        // adding a diminished second moves twelve fifths down the line of fifths without changing the sound, and taking one away twelve fifths up
+        while (fifths + getIntervalFifths(result) > maxKeyFifths) result = {"steps": result.steps + 1, "semitones": result.semitones};
+        while (fifths + getIntervalFifths(result) < -maxKeyFifths) result = {"steps": result.steps - 1, "semitones": result.semitones};
+        return result;
+    }
+
+    function transposeTiedPitch(pitch, interval, tiedSpelling) {
+        /**
+         * Transposes the pitch of a note, keeping a tie between notes spelled the same
+         * 
+         * @param {object} pitch A pitch
+         * @param {object} interval An interval, with its steps and semitones
+         * @param {object} tiedSpelling The transposed pitch of the note this one is tied from, or undefined if it is not tied into
+         * 
+         * @returns {object} The transposed pitch
+         */
+
+        let result = spellPitch(transposePitch(pitch, interval));
+
+        // a tie can run into a measure with a different key, which would otherwise spell the two ends apart
+        if ((tiedSpelling !== undefined) && (pitchToMIDI(tiedSpelling) == pitchToMIDI(result))) return tiedSpelling;
+        return result;
+    }
+
+    function transposeScore(score, interval) {
+        /**
+         * Transposes a score model by an interval, moving its key signatures along with its notes
+         * 
+         * @param {object} score A score model
+         * @param {object} interval An interval, with its steps and semitones
+         * 
+         * @returns {object} A transposed copy of the score
+         */
+
+        let result, measureIntervals, tieSpellings;
+
+        result = structuredClone(score);
+        // each measure is spelled in its own key
+        measureIntervals = result.measures.map((measure) => getKeyInterval(measure.key.fifths, interval));
+        result.measures.map((measure, measureIdx) => measure.key = keyFromMNX({"fifths": measure.key.fifths + getIntervalFifths(measureIntervals[measureIdx]), "mode": measure.key.mode}));
+        // the spellings of notes that ties run into, found as the notes they are tied from are reached
+        tieSpellings = {};
+        result.parts.map((part) => part.measures.map((partMeasure, measureIdx) => partMeasure.sequences.map((sequence) => sequence.events.map((event) => event.notes.map((note) => {
+            note.pitch = transposeTiedPitch(note.pitch, measureIntervals[measureIdx], tieSpellings[note.id]);
+            note.ties.map((tieIdx) => {
+                if (result.ties[tieIdx].end !== null) tieSpellings[result.ties[tieIdx].end] = note.pitch;
+            });
+        })))));
+        return result;
+    }
+
+    function getContentNotes(content) {
+        /**
+         * Lists the notes of the content of an MNX sequence, in order
+         * 
+         * @param {Array} content An array of sequence content items
+         * 
+         * @returns {Array} An array of note objects
+         */
+
+        return content.flatMap((item) => {
+            if ((item.type == "event") && ("notes" in item)) return item.notes;
+            if ((item.type == "grace") || (item.type == "tuplet")) return getContentNotes(item.content);
+            return [];
+        });
+    }
+
+    function transposeMNX(mnx, interval) {
+        /**
+         * Transposes an MNX object by an interval, as transposeScore does a score model, so that the transposed score can be saved
+         * 
+         * @param {object} mnx An MNX object
+         * @param {object} interval An interval object, with its staffDistance and halfSteps
+         * 
+         * @returns {object} A transposed copy of the MNX object
+         */
+
+        let problems, result, measureKeys, measureIntervals, keyFifths, tieSpellings;
+
+        problems = validateMNX(mnx);
+        if (problems.errors.length > 0) throw new MNXParseError(problems.errors[0].message, problems.errors[0].pointer);
+        result = structuredClone(mnx);
+        measureKeys = getMeasureKeys(mnx.global.measures);
+        measureIntervals = measureKeys.map((key) => getKeyInterval(key.fifths, intervalFromMNX(interval)));
+        keyFifths = measureKeys.map((key, measureIdx) => key.fifths + getIntervalFifths(measureIntervals[measureIdx]));
+        result.global.measures.map((globalMeasure, measureIdx) => {
+            if ("key" in globalMeasure) {
+                globalMeasure.key.fifths = keyFifths[measureIdx];
+            } else if ((measureIdx == 0) || (keyFifths[measureIdx] != keyFifths[measureIdx - 1])) {
+                // the implied key of C is transposed too, so it has to be written out, as does any key that would not carry over unchanged
+                globalMeasure.key = {"fifths": keyFifths[measureIdx]};
+                if (measureKeys[measureIdx].mode != keyTemplate.mode) globalMeasure.key.mode = measureKeys[measureIdx].mode;
+            }
+
+        });
+        tieSpellings = {};
+        result.parts.map((part) => part.measures.map((partMeasure, measureIdx) => partMeasure.sequences.map((sequence) => getContentNotes(sequence.content).map((note) => {
+            let pitch;
+
+            pitch = transposeTiedPitch(Object.assign(getPitchSpelling(note.pitch), {"octave": note.pitch.octave}), measureIntervals[measureIdx], ("id" in note) ? tieSpellings[note.id] : undefined);
+            // the alteration is given separately, and left out when there is none
+            note.pitch.step = pitch.step;
+            note.pitch.octave = pitch.octave;
+            if (pitch.alter == 0) {
+                delete note.pitch.alter;
+            } else {
+                note.pitch.alter = pitch.alter;
+            }
+
+            if (("tie" in note) && ("target" in note.tie)) tieSpellings[note.tie.target] = pitch;
+        }))));
+        return result;
+    }
+
+    function parseSlur(slur, event, score) {
+        /**
+         * Reads an MNX slur starting or ending at an event into the score model
+         * 
+         * @param {object} slur A slur object
+         * @param {object} event The event the slur belongs to
+         * @param {object} score The score model - will be modified
+         * 
+         * @returns {number} The index of the slur in the score, or null if the same slur is already there
+         */
+
+        let result;
+
+        if (slur.constructor != Object) throw new MNXParseError("Slur must be an object.");
+        result = structuredClone(slurTemplate);
+        if ("start-note" in slur) result.startNote = slur["start-note"];
+        if ("end-note" in slur) result.endNote = slur["end-note"];
+        if ("side" in slur) {
+            if (!(slur.side in slurSideTranslation)) throw new UnsupportedFeatureError(`Unrecognized slur side ${slur.side}.`);
+            result.side = slur.side;
+        }
+
+        if ("target" in slur) {
+            result.start = event.id;
+            result.end = slur.target;
+            // make sure that the same slur is not already there
+            if (score.slurs.some((other) => (other.start == result.start) && (other.end == result.end) && (other.startNote == result.startNote) && (other.endNote == result.endNote))) return null;
+        } else if ("location" in slur) {
+            if (slur.location == "outgoing") {
+                result.start = event.id;
+            } else if (slur.location == "incoming") {
+                result.end = event.id;
+            } else {
+                throw new UnsupportedFeatureError(`Unrecognized slur location ${slur.location}.`);
+            }
+
+        } else {
+            throw new UnsupportedFeatureError("Slur object must specify either a target or a location.");
+        }
+
+        score.slurs.push(result);
+        return score.slurs.length - 1;
+    }
+
+    function parseNote(note, noteIdx, event, score) {
+        /**
+         * Reads an MNX note into the score model
+         * 
+         * @param {object} note A note object
+         * @param {number} noteIdx The index of the note within its event
+         * @param {object} event The event the note belongs to
+         * @param {object} score The score model - will be modified
+         * 
+         * @returns {object} A note
+         */
+
+        let result;
+
+        validateNote(note);
+        validatePitch(note.pitch);
+        result = structuredClone(noteTemplate);
+        // there is no ID specified for this note, so just use one formed by concatenating the event ID with the index
+        result.id = ("id" in note) ? note.id : `${event.id}_NOTE${noteIdx}`;
+        result.pitch = Object.assign(getPitchSpelling(note.pitch), {"octave": note.pitch.octave});
+        if ("accidentalDisplay" in note) {
+            validateAccidentalDisplay(note.accidentalDisplay);
+            result.accidentalDisplay = {
+                "show": Boolean(note.accidentalDisplay.show), 
+                "cautionary": ("cautionary" in note.accidentalDisplay) && Boolean(note.accidentalDisplay.cautionary), 
+                "editorial": ("editorial" in note.accidentalDisplay) && Boolean(note.accidentalDisplay.editorial), 
+            };
+        }
+
+        if ("tie" in note) {
+            let tie;
+
+            if (note.tie.constructor != Object) throw new MNXParseError("Tie must be an object.");
+            tie = structuredClone(tieTemplate);
+            if ("target" in note.tie) {
+                tie.start = result.id;
+                tie.end = note.tie.target;
+            } else if ("location" in note.tie) {
+                if (note.tie.location == "outgoing") {
+                    tie.start = result.id;
+                } else if (note.tie.location == "incoming") {
+                    tie.end = result.id;
+                } else {
+                    throw new UnsupportedFeatureError(`Unrecognized tie location ${note.tie.location}.`);
+                }
+
+            } else {
+                throw new UnsupportedFeatureError("Tie object must specify either a target or a location.");
+            }
+
+            score.ties.push(tie);
+            result.ties.push(score.ties.length - 1);
+        }
+
+        return result;
+    }
+
+    function parseEvent(item, sequence, state, score, grace = null) {
+        /**
+         * Reads an MNX event into the score model
+         * 
+         * @param {object} item An event item
+         * @param {object} sequence The sequence the event belongs to - will be modified
+         * @param {object} state The state of the sequence being read - will be modified
+         * @param {object} score The score model - will be modified
+         * @param {object} grace Options for grace notes, or null if this is not a grace note
+         */
+
+        let event;
+
+        event = structuredClone(eventTemplate);
+        // if item does not contain an ID, we will assign it a known value that is unlikely to be found in actual MNX files, so that it can still be identified as a source for ties and slurs
+        event.id = ("id" in item) ? item.id : `EVENT21M383_${score.eventCount}`;
+        event.measure = state.measure.index;
+        event.offset = state.offset;
+        event.position = addFractions(state.measure.position, state.offset);
+        event.grace = grace;
+        event.tuplet = state.tuplet;
+        score.eventCount += 1;
+        if (("measure" in item) && (item.measure)) {
+            if ("duration" in item) throw new MNXParseError("Cannot specify duration for whole-measure event.");
+            if (!("rest" in item)) throw new MNXParseError("Whole-measure event must consist of a single rest.");
+            event.wholeMeasure = true;
+            event.length = state.measure.length;
+        } else {
+            if (!("duration" in item)) throw new MNXParseError("Event object requires duration except for whole-measure events.");
+            event.duration = parseDuration(item.duration);
+            // grace notes take no time
+            if (grace === null) event.length = multiplyFractions(durationToFraction(event.duration), state.ratio);
+        }
+
+        if (("notes" in item) && !event.wholeMeasure) {
+            if (!(item.notes instanceof Array)) throw new MNXParseError("Event notes must be an array.");
+            event.notes = item.notes.map((note, noteIdx) => parseNote(note, noteIdx, event, score));
+            if ("stemDirection" in item) {
+                if (!stemDirectionTypes.includes(item.stemDirection)) throw new UnsupportedFeatureError(`Stem direction ${item.stemDirection} not recognized.`);
+                event.stemDirection = item.stemDirection;
+            }
+
+            if ("markings" in item) {
+                if (item.markings.constructor != Object) throw new MNXParseError("Markings object must be an object.");
+                event.markings = Object.keys(item.markings).map((marking) => {
+                    if (!(marking in articulationTranslation)) throw new UnsupportedFeatureError(`Unrecognized articulation ${marking}.`);
+                    return marking;
+                });
+            }
+
+            if ("slurs" in item) {
+                if (!(item.slurs instanceof Array)) throw new MNXParseError("Event slurs must be an array.");
+                event.slurs = item.slurs.map((slur) => parseSlur(slur, event, score)).filter((slurIdx) => slurIdx !== null);
+            }
+
+        } else if ("rest" in item) {
+            event.rest = ("staffPosition" in item.rest) ? {"staffPosition": item.rest.staffPosition} : {};
+        } else {
+            throw new MNXParseError("Event object must contain either notes or a rest.");
+        }
+
+        sequence.events.push(event);
+        state.offset = addFractions(state.offset, event.length);
+        // grace notes wait for the event they are played before
+        state.grace = (grace === null) ? 0 : state.grace + 1;
+        return;
+    }
+
+    function parseSequenceContentItem(item, sequence, state, score) {
+        /**
+         * Reads a sequence content item into the score model
+         * 
+         * @param {object} item A sequence content item
+         * @param {object} sequence The sequence the item belongs to - will be modified
+         * @param {object} state The state of the sequence being read - will be modified
+         * @param {object} score The score model - will be modified
+         */
+
+        validateSequenceContentItem(item);
+        if (item.type == "event") {
+            // a simple event, containing one or more notes sounded simultaneously in a single voice
+            parseEvent(item, sequence, state, score);
+        } else if (item.type == "grace") {
+            // grace notes, which occupy measure space before an event
+            if (!("content" in item) || !(item.content instanceof Array)) throw new MNXParseError("Grace object missing content array.");
+            // validate that content consists *only* of events
+            item.content.map((ev) => {
+                validateSequenceContentItem(ev);
+                if (ev.type != "event") throw new MNXParseError("Grace object content can only contain events.");
+            });
+            // unless told otherwise, only the first of the grace notes before an event is slashed
+            item.content.map((ev) => parseEvent(ev, sequence, state, score, {"slash": ("slash" in item) ? Boolean(item.slash) : (state.grace == 0)}));
+        } else if (directionTypes.includes(item.type)) {
+            // a direction, placed where the sequence has got to
+            state.directions.push(parseDirection(item, item.type, sequence.staff, state.offset, state.measure, score));
+        } else if (item.type == "tuplet") {
+            // a tuplet, including inner and outer note values
+            let tuplet, innerLength, outerLength;
+
+            if (!("inner" in item)) throw new MNXParseError("Tuplet object missing inner.");
+            validateNoteValueQuantity(item.inner);
+            if (!("outer" in item)) throw new MNXParseError("Tuplet object missing outer.");
+            validateNoteValueQuantity(item.outer);
+            if (!("content" in item) || !(item.content instanceof Array)) throw new MNXParseError("Tuplet object missing content array.");
+            // validate that content consists *only* of events
+            item.content.map((ev) => {
+                validateSequenceContentItem(ev);
+                if (ev.type != "event") throw new MNXParseError("Tuplet object content can only contain events.");
+            });
+            tuplet = structuredClone(tupletTemplate);
+            tuplet.inner = {"duration": parseDuration(item.inner.duration), "multiple": item.inner.multiple};
+            tuplet.outer = {"duration": parseDuration(item.outer.duration), "multiple": item.outer.multiple};
+            if ("show-value" in item) tuplet.showValue = item["show-value"];
+            if ("bracket" in item) tuplet.bracket = item.bracket;
+            if ("orientation" in item) tuplet.orientation = item.orientation;
+            sequence.tuplets.push(tuplet);
+            state.tuplet = sequence.tuplets.length - 1;
+            // the events of the tuplet are scaled so that the inner durations fill the outer ones
+            innerLength = multiplyFractions(durationToFraction(tuplet.inner.duration), [tuplet.inner.multiple, 1]);
+            outerLength = multiplyFractions(durationToFraction(tuplet.outer.duration), [tuplet.outer.multiple, 1]);
+            state.ratio = multiplyFractions(outerLength, [innerLength[1], innerLength[0]]);
+            item.content.map((ev) => parseEvent(ev, sequence, state, score));
+            state.tuplet = null;
+            state.ratio = [1, 1];
+        } else {
+            throw new UnsupportedFeatureError(`Unsupported content type ${item.type}.`);
+        }
+
+        return;
+    }
+
+    function parseDirection(direction, type, staff, offset, measure, score) {
+        /**
+         * Reads a dynamic, wedge, or text direction into the score model
+         * 
+         * @param {object} direction A direction object
+         * @param {string} type The type of the direction
+         * @param {number} staff The index of the staff the direction is on
+         * @param {Array} offset Where the direction is in its measure, unless it gives a position of its own
+         * @param {object} measure The measure of the score model the direction is in
+         * @param {object} score The score model, with its measures already read
+         * 
+         * @returns {object} A direction
+         */
+
+        let result, endIdx, endPosition;
+
+        validateDirection(direction, type);
+        result = structuredClone(directionTemplate);
+        result.type = type;
+        result.staff = staff;
+        result.value = direction.value;
+        result.position = ("position" in direction) ? reduceFraction(direction.position.fraction) : offset;
+        if ("placement" in direction) result.placement = direction.placement;
+        if (compareFractions(result.position, measure.length) >= 0) throw new MNXParseError(`${directionNames[type]} is past the end of its measure.`);
+        if (type == "wedge") {
+            endIdx = score.measures.findIndex((other) => other.number == direction.end.bar);
+            if (endIdx == -1) throw new MNXParseError(`Measure ${direction.end.bar} does not exist.`);
+            // without a position, the wedge runs to the end of the measure
+            endPosition = ("position" in direction.end) ? reduceFraction(direction.end.position.fraction) : score.measures[endIdx].length;
+            if (compareFractions(endPosition, score.measures[endIdx].length) > 0) throw new MNXParseError("Wedge end is past the end of its measure.");
+            if (compareFractions(addFractions(score.measures[endIdx].position, endPosition), addFractions(measure.position, result.position)) <= 0) throw new MNXParseError("Wedge must end after it starts.");
+            result.end = {"measure": endIdx, "position": endPosition};
+        }
+
+        return result;
+    }
+
+    function parseSequence(sequence, measure, numStaves, directions, score) {
+        /**
+         * Reads an MNX sequence into the score model
+         * 
+         * @param {object} sequence A sequence object
+         * @param {object} measure The measure of the score model the sequence is in
+         * @param {number} numStaves The number of staves in the sequence's part
+         * @param {Array} directions The directions of the part measure, to which those in the sequence are added - will be modified
+         * @param {object} score The score model - will be modified
+         * 
+         * @returns {object} A sequence, with its events in order
+         */
+
+        let result, state;
+
+        validateSequence(sequence);
+        result = structuredClone(sequenceTemplate);
+        result.staff = getStaffIndex(sequence, numStaves);
+        if ("voice" in sequence) result.voice = sequence.voice;
+        state = Object.assign(structuredClone(sequenceParseStateTemplate), {"measure": measure, "directions": directions});
+        sequence.content.map((item) => parseSequenceContentItem(item, result, state, score));
+        if (state.grace != 0) throw new MNXParseError(`${state.grace} grace note(s) were not resolved.`);
+        return result;
+    }
+
+    function parsePartMeasure(partMeasure, measure, numStaves, score) {
+        /**
+         * Reads the measure of a part into the score model
+         * 
+         * @param {object} partMeasure A part measure object
+         * @param {object} measure The measure of the score model
+         * @param {number} numStaves The number of staves in the part
+         * @param {object} score The score model - will be modified
+         * 
+         * @returns {object} A part measure, with its clefs, beams, directions, and sequences
+         */
+
+        let result;
+
+        validateMeasure(partMeasure);
+        result = structuredClone(partMeasureTemplate);
+        if ("clefs" in partMeasure) {
+            if (!(partMeasure.clefs instanceof Array)) throw new MNXParseError("Clefs must be array.");
+            result.clefs = partMeasure.clefs.map((positionedClef) => {
+                let change;
+
+                validatePositionedClef(positionedClef);
+                validateClef(positionedClef.clef);
+                change = structuredClone(clefChangeTemplate);
+                change.staff = getStaffIndex(positionedClef, numStaves);
+                change.clef = clefFromMNX(positionedClef.clef);
+                if ("position" in positionedClef) {
+                    change.position = reduceFraction(positionedClef.position.fraction);
+                    if ("graceIndex" in positionedClef.position) change.graceIndex = positionedClef.position.graceIndex;
+                }
+
+                return change;
+            });
+            // a staff can only have one clef at a time
+            result.clefs.map((change, changeIdx) => {
+                if (!result.clefs.slice(0, changeIdx).some((other) => (other.staff == change.staff) && (compareFractions(other.position, change.position) == 0))) return;
+                if (change.position[0] == 0) throw new UnsupportedFeatureError("Multiple clefs at the start of measure.");
+                throw new UnsupportedFeatureError("Multiple clefs at the same position in measure.");
+            });
+            result.clefs.sort((a, b) => compareFractions(a.position, b.position));
+        }
+
+        if ("beams" in partMeasure) {
+            if (!(partMeasure.beams instanceof Array)) throw new MNXParseError("Measure beams must be an array.");
+            partMeasure.beams.map(validateBeam);
+            result.beams = partMeasure.beams.map((beam) => Object.assign(structuredClone(beamTemplate), {"events": beam.events.slice(), "levels": getBeamLevels(beam)}));
+        }
+
+        ["dynamics", "directions"].filter((field) => field in partMeasure).map((field) => {
+            if (!(partMeasure[field] instanceof Array)) throw new MNXParseError(`Measure ${field} must be an array.`);
+            partMeasure[field].map((direction) => {
+                if (!isObject(direction)) throw new MNXParseError(`${(field == "dynamics") ? "Dynamic" : "Direction"} must be an object.`);
+                result.directions.push(parseDirection(direction, (field == "dynamics") ? "dynamic" : direction.type, getStaffIndex(direction, numStaves), [0, 1], measure, score));
+            });
+        });
+        result.sequences = partMeasure.sequences.map((sequence) => parseSequence(sequence, measure, numStaves, result.directions, score));
+        // a staff with nothing on it is silent for the whole measure
+        for (let i = 0; i < numStaves; i++) {
+            if (result.sequences.some((sequence) => sequence.staff == i)) continue;
+            result.sequences.push(parseSequence({"staff": i + 1, "content": [{"type": "event", "measure": true, "rest": {}}]}, measure, numStaves, result.directions, score));
+        }
+
+        return result;
+    }
+
+    function parsePart(part, score) {
+        /**
+         * Reads an MNX part into the score model
+         * 
+         * @param {object} part A part object
+         * @param {object} score The score model, with its measures already read - will be modified
+         * 
+         * @returns {object} A part, with one part measure for each measure of the score
+         */
+
+        let result;
+
+        validatePart(part);
+        result = structuredClone(partTemplate);
+        if ("id" in part) result.id = part.id;
+        if ("name" in part) result.name = part.name;
+        if ("short-name" in part) result.shortName = part["short-name"];
+        if ("transposition" in part) {
+            if (part.transposition.constructor != Object) throw new MNXParseError("Part transposition must be an object.");
+            validateTransposition(part.transposition);
+            result.transposition = structuredClone(transpositionTemplate);
+            result.transposition.interval = intervalFromMNX(part.transposition.interval);
+            if ("keyFifthsFlipAt" in part.transposition) result.transposition.keyFifthsFlipAt = part.transposition.keyFifthsFlipAt;
+        }
+
+        result.staves = getPartStaves(part);
+        result.measures = part.measures.map((partMeasure, measureIdx) => parsePartMeasure(partMeasure, score.measures[measureIdx], result.staves, score));
+        return result;
+    }
+
+    function parseTempo(tempo, measure) {
+        /**
+         * Reads a tempo into the score model
+         * 
+         * @param {object} tempo A tempo object
+         * @param {object} measure The measure of the score model the tempo is in
+         * 
+         * @returns {object} A tempo
+         */
+
+        let result;
+
+        validateTempo(tempo);
+        result = structuredClone(tempoTemplate);
+        result.bpm = tempo.bpm;
+        result.value = parseDuration(tempo.value);
+        if ("location" in tempo) result.position = reduceFraction(tempo.location.fraction);
+        if ("text" in tempo) result.text = tempo.text;
+        if (compareFractions(result.position, measure.length) >= 0) throw new MNXParseError("Tempo is past the end of its measure.");
+        return result;
+    }
+
+    function parseGlobalMeasures(globMeasures) {
+        /**
+         * Reads the global measures into the measures of the score model
+         * 
+         * @param {Array} globMeasures Global object measures
+         * 
+         * @returns {Array} An array of measures, with their time, key, repeats, endings, barlines, and tempos
+         */
+
+        let measureKeys, curTime, curEnding, position, result;
+
+        measureKeys = getMeasureKeys(globMeasures);
+        // common time until a time signature says otherwise
+        curTime = commonTime;
+        // no alternate ending is active until one is found; otherwise, this holds the ending and how many measures it has left
+        curEnding = null;
+        position = [0, 1];
+        result = globMeasures.map((globalMeasure, measureIdx) => {
+            let measure;
+
+            measure = structuredClone(measureTemplate);
+            measure.index = measureIdx;
+            if ("repeatStart" in globalMeasure) {
+                if (globalMeasure["repeatStart"].constructor != Object) throw new MNXParseError("Global measure repeatStart must be an object.");
+                measure.repeatStart = true;
+            }
+
+            if ("repeatEnd" in globalMeasure) {
+                if (globalMeasure["repeatEnd"].constructor != Object) throw new MNXParseError("Global measure repeatEnd must be an object.");
+                validateRepeatEnd(globalMeasure.repeatEnd);
+                measure.repeatEnd = true;
+                if ("times" in globalMeasure.repeatEnd) measure.repeatTimes = globalMeasure.repeatEnd.times;
+            }
+
+            if ("ending" in globalMeasure) {
+                // an alternate ending starts here
+                if (globalMeasure.ending.constructor != Object) throw new MNXParseError("Global measure ending must be an object.");
+                validateEnding(globalMeasure.ending);
+                if (curEnding !== null) throw new MNXParseError("Ending starts before the previous ending is finished.");
+                curEnding = {
+                    "numbers": ("numbers" in globalMeasure.ending) ? globalMeasure.ending.numbers : [], 
+                    "open": ("open" in globalMeasure.ending) && globalMeasure.ending.open, 
+                    "remaining": globalMeasure.ending.duration, 
+                };
+                measure.ending = structuredClone(endingInfoTemplate);
+                measure.ending.first = true;
+            } else if (curEnding !== null) {
+                // this measure continues an alternate ending
+                measure.ending = structuredClone(endingInfoTemplate);
+            }
+
+            if (curEnding !== null) {
+                measure.ending.numbers = curEnding.numbers.slice();
+                measure.ending.open = curEnding.open;
+                curEnding.remaining -= 1;
+                if (curEnding.remaining == 0) {
+                    measure.ending.last = true;
+                    curEnding = null;
+                }
+
+            }
+
+            if ("barline" in globalMeasure) {
+                // the barline at the end of the measure
+                if (globalMeasure.barline.constructor != Object) throw new MNXParseError("Global measure barline must be an object.");
+                validateBarline(globalMeasure.barline);
+                measure.barline = globalMeasure.barline.type;
+            }
+
+            if ("time" in globalMeasure) {
+                validateTimeSignature(globalMeasure.time);
+                curTime = {"count": globalMeasure.time.count, "unit": globalMeasure.time.unit};
+                measure.timeChange = true;
+            }
+
+            measure.time = curTime;
+            measure.key = measureKeys[measureIdx];
+            measure.keyChange = "key" in globalMeasure;
+            measure.position = position;
+            measure.length = reduceFraction([curTime.count, curTime.unit]);
+            position = addFractions(position, measure.length);
+            if ("tempos" in globalMeasure) {
+                if (!(globalMeasure.tempos instanceof Array)) throw new MNXParseError("Global measure tempos must be an array.");
+                measure.tempos = globalMeasure.tempos.map((tempo) => parseTempo(tempo, measure));
+            }
+
+            return measure;
+        });
+        if (curEnding !== null) throw new MNXParseError(`Reached end of score, but ending has ${curEnding.remaining} measure(s) left.`);
+        Object.entries(getMeasureIndices(globMeasures)).map(([number, measureIdx]) => result[measureIdx].number = Number(number));
+        return result;
+    }
+
+    function parseSystemBreaks(mnxScores, globMeasures, measures) {
+        /**
+         * Marks the measures that start a system or a page of the source engraving
+         * 
+         * @param {Array} mnxScores Score objects
+         * @param {Array} globMeasures Global measure objects
+         * @param {Array} measures The measures of the score model - will be modified
+         */
+
+        let mnxScore, measureIndices;
+
+        // a document can have several scores, such as a full score and its parts, so follow the first that is laid out
+        mnxScore = mnxScores.find((candidate) => "pages" in candidate);
+        if (mnxScore === undefined) return;
+        measureIndices = getMeasureIndices(globMeasures);
+        mnxScore.pages.map((page) => page.systems.map((system, systemIdx) => {
+            let measure = measures[getSystemMeasure(system, measureIndices)];
+
+            measure.systemBreak = true;
+            if (systemIdx == 0) measure.pageBreak = true;
+        }));
+        return;
+    }
+
+    function getLayoutGroups(content, staffOffsets, groups) {
+        /**
+         * Finds the staves in the items of a layout, and the groups among them
+         * 
+         * @param {Array} content The layout items
+         * @param {object} staffOffsets The index of the first staff of each part, counted across all parts, and its number of staves, by the part's ID
+         * @param {Array} groups The staff groups found so far - will be modified
+         * 
+         * @returns {Array} The indices of the staves in the items, counted across all parts
+         */
+
+        return content.flatMap((item) => {
+            let staves;
+
+            validateLayoutItem(item);
+            if (item.type == "staff") {
+                // a staff that shows several parts at once is placed with the first
+                if (!Object.hasOwn(staffOffsets, item.sources[0].part)) throw new MNXParseError(`Staff source part ${item.sources[0].part} does not exist.`);
+                return [staffOffsets[item.sources[0].part].offset + getStaffIndex(item.sources[0], staffOffsets[item.sources[0].part].staves)];
+            }
+
+            staves = getLayoutGroups(item.content, staffOffsets, groups);
+            // staves are always drawn in the order of the parts, so a group spans from its highest staff to its lowest
+            if (staves.length > 0) groups.push(Object.assign(structuredClone(staffGroupTemplate), {
+                "symbol": ("symbol" in item) ? groupSymbolTranslation[item.symbol] : null, 
+                "firstStaff": Math.min(...staves), 
+                "lastStaff": Math.max(...staves), 
+            }));
+            return staves;
+        });
+    }
+
+    function parseStaffGroups(mnx, parts) {
+        /**
+         * Reads the staff groups of the layout of the score, or groups the staves of each part if there is none
+         * 
+         * @param {object} mnx An MNX object
+         * @param {Array} parts The parts of the score model
+         * 
+         * @returns {Array} The staff groups
+         */
+
+        let mnxScore, layout, staffOffsets, offset, result;
+
+        staffOffsets = {};
+        offset = 0;
+        parts.map((part) => {
+            if (part.id !== null) staffOffsets[part.id] = {"offset": offset, "staves": part.staves};
+            offset += part.staves;
+        });
+        // the first score that names a layout says how the staves are grouped
+        layout = undefined;
+        mnxScore = ("scores" in mnx) ? mnx.scores.find((candidate) => "layout" in candidate) : undefined;
+        if (mnxScore !== undefined) {
+            layout = ("layouts" in mnx) ? mnx.layouts.find((candidate) => candidate.id == mnxScore.layout) : undefined;
+            if (layout === undefined) throw new MNXParseError(`Score layout ${mnxScore.layout} does not exist.`);
+        }
+
+        result = [];
+        if (layout !== undefined) {
+            getLayoutGroups(layout.content, staffOffsets, result);
+            return result;
+        }
+
+        // without a layout, the staves of a part are joined with a brace, as for a piano
+        offset = 0;
+        parts.map((part) => {
+            if (part.staves > 1) result.push(Object.assign(structuredClone(staffGroupTemplate), {"symbol": "brace", "firstStaff": offset, "lastStaff": offset + part.staves - 1}));
+            offset += part.staves;
+        });
+        return result;
+    }
+
+    function parseScore(mnx) {
+        /**
+         * Reads an MNX object into a score model, which has everything needed to engrave or play the score without going back to the MNX
+         * 
+         * @param {object} mnx A potential MNX object
+         * 
+         * @returns {object} A score model, with its measures, parts, staff groups, slurs, and ties
+         */
+
+        let result, problems;
+
+        // check the whole document first, so that the first error can say where it is
+        problems = validateMNX(mnx);
+        if (problems.errors.length > 0) throw new MNXParseError(problems.errors[0].message, problems.errors[0].pointer);
+        result = structuredClone(scoreTemplate);
+        result.measureCount = mnx.global.measures.length;
+        // to treat parts, we will first verify that the global measures and each part's measures array has the same length
+        mnx.parts.map(validatePart);
+        mnx.parts.map((part) => {
+            if (part.measures.length != result.measureCount) throw new MNXParseError("Global and parts measures arrays have unmatching measure counts.");
+        });
+        result.measures = parseGlobalMeasures(mnx.global.measures);
+        result.parts = mnx.parts.map((part) => parsePart(part, result));
+        result.groups = parseStaffGroups(mnx, result.parts);
+        if ("scores" in mnx) parseSystemBreaks(mnx.scores, mnx.global.measures, result.measures);
+        return result;
+    }
+
+    function pitchToMIDI(pitch) {
+        /**
+         * Computes the MIDI note number of a pitch
+         * 
+         * @param {object} pitch A pitch of the score model
+         * 
+         * @returns {number} The MIDI note number, where middle C is 60
+         */
+
+        return 12 * (pitch.octave + 1) + stepSemitones[pitch.step] + pitch.alter;
+    }
+
+    function getPitchSpelling(pitch) {
+        /**
+         * Splits a pitch into its letter name and total alteration, since steps may carry their own sharps and flats (e.g. "F#")
+         * 
+         * @param {object} pitch A pitch
+         * 
+         * @returns {object} An object with the letter step and the alter of the pitch
+         */
+
+        let alter;
+
+        alter = ("alter" in pitch) ? pitch.alter : 0;
+        pitch.step.slice(1).split('').map((symbol) => alter += (symbol == '#') ? 1 : -1);
+        return {"step": pitch.step[0], "alter": alter};
+    }
+
+    function getLatestAlter(entries, offset, sequenceIdx) {
+        /**
+         * Finds the alteration most recently given to a step and octave, as seen from a point in a sequence
+         * 
+         * @param {Array} entries An array of accidental entries for the step and octave, in the order they were read
+         * @param {Array} offset The rhythmic offset within the measure, or null to see the whole measure
+         * @param {number} sequenceIdx The index of the sequence on the staff
+         * 
+         * @returns {number} The alteration, or null if the step and octave have not been altered
+         */
+
+        let latest;
+
+        // sequences are read one after the other, so other sequences only count once they have reached the offset
+        latest = entries.filter(
+            (entry) => (offset === null) || (entry.sequence == sequenceIdx) || (compareFractions(entry.offset, offset) < 0)
+        ).reduce(
+            (current, entry) => ((current === null) || (compareFractions(entry.offset, current.offset) >= 0)) ? entry : current, null
+        );
+        if (latest === null) return null;
+        return latest.alter;
+    }
+
+    function startMeasureAccidentals(accidentalState, key) {
+        /**
+         * Moves the accidentals of a staff on to a new measure
+         * 
+         * @param {object} accidentalState The accidental state of a staff - will be modified
+         * @param {object} key The key of the new measure
+         */
+
+        accidentalState.previous = {};
+        Object.keys(accidentalState.measure).map((name) => accidentalState.previous[name] = getLatestAlter(accidentalState.measure[name], null, 0));
+        accidentalState.measure = {};
+        accidentalState.key = key;
+        return;
+    }
+
+    function resolveAccidentals(notes, noteIDs, ties, sequenceState) {
+        /**
+         * Decides which notes of an event need accidentals, following the key, the accidentals earlier in the measure, and ties
+         * 
+         * @param {Array} notes An array of notes of the score model
+         * @param {Array} noteIDs The IDs of the notes
+         * @param {object} ties A ties object
+         * @param {object} sequenceState The state of the sequence - will be modified
+         * 
+         * @returns {Array} An array with an accidental display for each note, or null where no accidental is shown
+         */
+
+        let state = sequenceState.accidentals;
+
+        return notes.map((note, noteIdx) => {
+            let name, alter, previousAlter, effectiveAlter, tiedInto, show, result;
+
+            name = `${note.pitch.step}${note.pitch.octave}`;
+            alter = note.pitch.alter;
+            if (!(name in state.measure)) state.measure[name] = [];
+            effectiveAlter = getLatestAlter(state.measure[name], sequenceState.offset, sequenceState.index);
+            previousAlter = (name in state.previous) ? state.previous[name] : null;
+            // a note continuing a tie keeps the accidental of the note it is tied from
+            tiedInto = ties.ids.some((tie) => tie.destination == noteIDs[noteIdx]);
+            if (tiedInto) {
+                show = false;
+            } else if (effectiveAlter !== null) {
+                show = alter != effectiveAlter;
+            } else {
+                // the key applies, but remind the reader if the previous measure altered this note differently
+                show = (alter != state.key.alters[note.pitch.step]) || ((previousAlter !== null) && (previousAlter != alter));
+            }
+
+            result = show ? {"alter": alter, "cautionary": false} : null;
+            // explicit accidental displays always win
+            if (note.accidentalDisplay !== null) result = note.accidentalDisplay.show ? {"alter": alter, "cautionary": note.accidentalDisplay.cautionary || note.accidentalDisplay.editorial} : null;
+            if (!tiedInto) state.measure[name].push(Object.assign(structuredClone(accidentalEntryTemplate), {"offset": sequenceState.offset, "sequence": sequenceState.index, "alter": alter}));
+            return result;
+        });
+    }
+
+    function addBeamSegments(beam, events, depth, levels) {
+        /**
+         * Adds the segments of a beam's inner beams and hooks, and those of all beams nested within them
+         * 
+         * @param {object} beam A beam object
+         * @param {Array} events The event IDs of the top-level beam, used to turn IDs into note indices
+         * @param {number} depth The secondary level of the inner beams and hooks, where 0 is the first secondary beam
+         * @param {Array} levels An array of segment arrays, one per secondary level - will be modified
+         */
+
+        let eventIndex = (id) => {
+            let idx = events.indexOf(id);
+            if (idx == -1) throw new MNXParseError(`Event ${id} of inner beam or hook is not in the enclosing beam.`);
+            return idx;
+        };
+
+        while (levels.length <= depth) levels.push([]);
+        if ("hooks" in beam) {
+            beam.hooks.map((hook) => {
+                let segment;
+
+                validateBeamHook(hook);
+                segment = structuredClone(beamSegmentTemplate);
+                segment.start = segment.end = eventIndex(hook.event);
+                segment.direction = hook.direction;
+                levels[depth].push(segment);
+            });
+        }
+
+        if ("inner" in beam) {
+            beam.inner.map((innerBeam) => {
+                let segment, indices;
+
+                validateBeam(innerBeam);
+                indices = innerBeam.events.map(eventIndex);
+                segment = structuredClone(beamSegmentTemplate);
+                segment.start = Math.min(...indices);
+                segment.end = Math.max(...indices);
+                levels[depth].push(segment);
+                addBeamSegments(innerBeam, events, depth + 1, levels);
+            });
+        }
+
+        return;
+    }
+
+    function getBeamLevels(beam) {
+        /**
+         * Gets the secondary beam structure of a beam from its inner beams and hooks
+         * 
+         * @param {object} beam A top-level beam object
+         * 
+         * @returns {Array} An array of segments for each secondary level, or null if the secondary beams should be determined automatically
+         */
+
+        let levels;
+
+        // a beam that says nothing about its secondary beams leaves them up to VexFlow
+        if (!("inner" in beam) && !("hooks" in beam)) return null;
+        levels = [];
+        addBeamSegments(beam, beam.events, 0, levels);
+        return levels;
+    }
+
+    function sliceBeamLevels(levels, start, end) {
+        /**
+         * Restricts the secondary beam structure of a beam to a range of its notes, such as when a beam is split across lines
+         * 
+         * @param {Array} levels An array of segments for each secondary level, or null
+         * @param {number} start The index of the first note in the range
+         * @param {number} end The index of the last note in the range
+         * 
+         * @returns {Array} The segments for each secondary level within the range, indexed relative to its start
+         */
+
+        if (levels === null) return null;
+        return levels.map((segments) => segments.filter(
+            (segment) => (segment.end >= start) && (segment.start <= end)
+        ).map((segment) => {
+            let result;
+
+            result = structuredClone(segment);
+            result.start = Math.max(segment.start, start) - start;
+            result.end = Math.min(segment.end, end) - start;
+            // a segment cut down to a single note becomes a hook pointing where the rest of it went
+            if ((result.start == result.end) && (segment.start != segment.end)) result.direction = (segment.start < start) ? "left" : "right";
+            return result;
+        }));
+    }
+
+    return {diatonicPitchNames, slurSideTranslation, articulationTranslation, getMeasureKeys, transposePitch, getIntervalFifths, getConcertInterval, getPartKey, getDisplayScore, intervalFromMNX, spellPitch, transposeScore, transposeMNX, parseScore, pitchToMIDI, getPitchSpelling, startMeasureAccidentals, resolveAccidentals, getBeamLevels, sliceBeamLevels};
+})();
+
+// when loaded as a Node.js module, export the namespace the other modules import from
+if (typeof module != "undefined") module.exports = mnxModel;
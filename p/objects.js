@@ -0,0 +1,755 @@
+/**
+ * objects.js - MNX objects for open-source MNX viewer.
+ * Checks single MNX objects, and reads pitches, keys, clefs, durations and fractions from them.
+ */
+
+const mnxObjects = (function () {
+    // the kinds of direction, and the sides of the staff they can go on
+    const directionTypes = ["dynamic", "wedge", "text"];
+    const directionNames = {"dynamic": "Dynamic", "wedge": "Wedge", "text": "Text direction"};
+    const wedgeTypes = ["crescendo", "diminuendo"];
+    const directionPlacements = ["above", "below"];
+
+    // the steps in the order that sharps are added to key signatures; flats are added in reverse
+    const lineOfFifths = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+    // key signatures with more accidentals than this need double sharps or flats
+    const maxKeyFifths = 7;
+    // how far along the line of fifths the tonic of each mode is from that of the major key with the same signature
+    const keyModeTonicFifths = {
+        "major": 0, 
+        "minor": 3, 
+        "ionian": 0, 
+        "dorian": 2, 
+        "phrygian": 4, 
+        "lydian": -1, 
+        "mixolydian": 1, 
+        "aeolian": 3, 
+        "locrian": 5, 
+    };
+
+    // clef names keyed by sign, then by the staff position of the sign's reference line
+    const clefTranslation = {
+        'G': {"-2": "treble", "-4": "french"}, 
+        'C': {"-4": "soprano", "-2": "mezzo-soprano", 0: "alto", 2: "tenor", 4: "baritone-c"}, 
+        'F': {0: "baritone-f", 2: "bass", 4: "subbass"}, 
+    };
+    // the octave annotations VexFlow can draw, by clef name
+    const clefOctaveAnnotations = {
+        "treble": {1: "8va", "-1": "8vb"}, 
+        "bass": {"-1": "8vb"}, 
+    };
+
+    // steps are letter names, which may carry their own sharps or flats (e.g. "F#")
+    const stepPattern = /^[A-G](#*|b*)$/;
+
+    // lengths of the duration bases, as fractions of a whole note
+    const durationFractions = {
+        "whole": [1, 1], 
+        "half": [1, 2], 
+        "quarter": [1, 4], 
+        "eighth": [1, 8], 
+        "16th": [1, 16], 
+        "32nd": [1, 32], 
+        "64th": [1, 64], 
+        "128th": [1, 128], 
+        "256th": [1, 256], 
+    };
+
+    const beamHookDirections = ["left", "right"];
+
+    const barlineTypes = ["regular", "double", "final", "dashed", "dotted", "heavy", "heavy-light", "tick", "short", "none"];
+
+    // how each staff group symbol is drawn, if at all
+    const groupSymbolTranslation = {
+        "brace": "brace", 
+        "bracket": "bracket", 
+        "none": null, 
+    };
+
+    // templates for the objects read from MNX
+    const clefTemplate = {
+        "name": "treble", 
+        "octave": 0, 
+    };
+
+    const keyTemplate = {
+        "fifths": 0, 
+        "mode": "major", 
+        "tonic": {"step": 'C', "alter": 0}, 
+        "alters": {'C': 0, 'D': 0, 'E': 0, 'F': 0, 'G': 0, 'A': 0, 'B': 0}, 
+    };
+
+    /** @class MNXParseError representing an error encountered during MNX parsing */
+    class MNXParseError extends Error {
+        constructor (message, pointer = null) {
+            super(message);
+            this.name = "MNXParseError";
+            // the JSON pointer of the object with the problem, if known
+            this.pointer = pointer;
+        }
+
+    }
+
+    /** @class UnsupportedFeatureError representing a feature that is not yet supported */
+    class UnsupportedFeatureError extends Error {
+        constructor (message, pointer = null) {
+            super(message);
+            this.name = "UnsupportedFeatureError";
+            // the JSON pointer of the object with the problem, if known
+            this.pointer = pointer;
+        }
+
+    }
+
+    function validateMNXObject(mnxObject) {
+        /**
+         * Validates MNX object
+         * 
+         * @param {object} mnxObject The MNX object to be validated
+         */
+
+        if (!("mnx" in mnxObject)) throw new MNXParseError("Metadata object not found.");
+        if (!("global" in mnxObject)) throw new MNXParseError("Global data object not found.");
+        if (!("parts" in mnxObject) || !(mnxObject.parts instanceof Array)) throw new MNXParseError("Parts object array not found.");
+        return;
+    }
+
+    function validateMNXMetadata(mnxMetadata) {
+        /**
+         * Validates MNX metadata object
+         * 
+         * @param {object} mnxMetadata The metadata object to be validated
+         */
+
+        if (!("version" in mnxMetadata)) throw new MNXParseError("Metadata missing version.");
+        return;
+    }
+
+    function validateMNXGlobal(mnxGlobal) {
+        /**
+         * Validates MNX global data object
+         * 
+         * @param {object} mnxGlobal The global data object to be validated
+         */
+
+        if (!("measures" in mnxGlobal) || !(mnxGlobal.measures instanceof Array)) throw new MNXParseError("Global missing measures object array.");
+        return;
+    }
+
+    function validateClef(clef) {
+        /**
+         * Validates a clef object
+         * 
+         * @param {object} clef A clef object
+         */
+
+        if (!("sign" in clef)) throw new MNXParseError("Clef object missing sign.");
+        // the percussion clef has no reference line, so its position is optional
+        if ((clef.sign != "percussion") && !("staffPosition" in clef)) throw new MNXParseError("Clef object missing staff position.");
+        if (("octave" in clef) && !Number.isInteger(clef.octave)) throw new MNXParseError("Clef octave must be an integer.");
+        return;
+    }
+
+    function validatePositionedClef(positionedClef) {
+        /**
+         * Validates a positioned clef object
+         * 
+         * @param {object} positionedClef A positioned clef object
+         */
+
+        if (!("clef" in positionedClef)) throw new MNXParseError("Positioned clef object missing clef object.");
+        if ("position" in positionedClef) validateRhythmicPosition(positionedClef.position, "Positioned clef");
+        return;
+    }
+
+    function validateRhythmicPosition(position, name) {
+        /**
+         * Validates a rhythmic position object
+         * 
+         * @param {object} position The position to be validated
+         * @param {string} name The name of the object the position belongs to, for the error messages
+         */
+
+        if (!isObject(position)) throw new MNXParseError(`${name} position must be an object.`);
+        if (!("fraction" in position)) throw new MNXParseError(`${name} position missing fraction.`);
+        if (!(position.fraction instanceof Array) || (position.fraction.length != 2) || !position.fraction.every(Number.isInteger)) throw new MNXParseError("Position fraction must be an array of two integers.");
+        if ((position.fraction[0] < 0) || (position.fraction[1] <= 0)) throw new MNXParseError("Position fraction must be non-negative.");
+        return;
+    }
+
+    function validateDirection(direction, type) {
+        /**
+         * Validates a dynamic, wedge, or text direction
+         * 
+         * @param {object} direction The direction to be validated
+         * @param {string} type The type of the direction
+         */
+
+        if (type === undefined) throw new MNXParseError("Direction object missing type.");
+        if (!directionTypes.includes(type)) throw new UnsupportedFeatureError(`Unsupported direction type ${type}.`);
+        if (!("value" in direction)) throw new MNXParseError(`${directionNames[type]} missing value.`);
+        if (type == "wedge") {
+            if (!wedgeTypes.includes(direction.value)) throw new UnsupportedFeatureError(`Unsupported wedge ${direction.value}.`);
+            if (!("end" in direction) || !isObject(direction.end)) throw new MNXParseError("Wedge missing end object.");
+            if (!Number.isInteger(direction.end.bar)) throw new MNXParseError("Wedge end bar must be an integer.");
+            if ("position" in direction.end) validateRhythmicPosition(direction.end.position, "Wedge end");
+        } else if ((typeof direction.value != "string") || (direction.value == "")) {
+            throw new MNXParseError(`${directionNames[type]} value must be a non-empty string.`);
+        }
+
+        if (("placement" in direction) && !directionPlacements.includes(direction.placement)) throw new UnsupportedFeatureError(`Unrecognized placement ${direction.placement}.`);
+        if ("position" in direction) validateRhythmicPosition(direction.position, directionNames[type]);
+        return;
+    }
+
+    function validateTempo(tempo) {
+        /**
+         * Validates a tempo object
+         * 
+         * @param {object} tempo The tempo to be validated
+         */
+
+        if (!("bpm" in tempo)) throw new MNXParseError("Tempo missing bpm.");
+        if ((typeof tempo.bpm != "number") || !(tempo.bpm > 0)) throw new MNXParseError("Tempo bpm must be a positive number.");
+        if (!("value" in tempo) || !isObject(tempo.value)) throw new MNXParseError("Tempo missing value object.");
+        if (("text" in tempo) && (typeof tempo.text != "string")) throw new MNXParseError("Tempo text must be a string.");
+        if ("location" in tempo) validateRhythmicPosition(tempo.location, "Tempo");
+        return;
+    }
+
+    function validateMeasure(measure) {
+        /**
+         * Validates a measure object
+         * 
+         * @param {object} measure A measure to be validated
+         */
+
+        if (!("sequences" in measure) || !(measure.sequences instanceof Array)) throw new MNXParseError("Measure object missing sequences array.");
+        return;
+    }
+
+    function validateSequence(sequence) {
+        /**
+         * Validates a sequence object
+         * 
+         * @param {object} sequence A sequence to be validated
+         */
+
+        if (!("content" in sequence) || !(sequence.content instanceof Array)) throw new MNXParseError("Sequence object missing content array.");
+        return;
+    }
+
+    function validateBeam(beam) {
+        /**
+         * Validates a beam object
+         * 
+         * @param {object} beam A beam to be validated
+         */
+
+        if (!("events" in beam) || !(beam.events instanceof Array)) throw new MNXParseError("Beam object missing events array.");
+        if (("inner" in beam) && !(beam.inner instanceof Array)) throw new MNXParseError("Beam inner must be an array.");
+        if (("hooks" in beam) && !(beam.hooks instanceof Array)) throw new MNXParseError("Beam hooks must be an array.");
+        return;
+    }
+
+    function validateBeamHook(hook) {
+        /**
+         * Validates a beam hook object
+         * 
+         * @param {object} hook A beam hook to be validated
+         */
+
+        if (!("event" in hook)) throw new MNXParseError("Beam hook object missing event.");
+        if (!("direction" in hook)) throw new MNXParseError("Beam hook object missing direction.");
+        if (!beamHookDirections.includes(hook.direction)) throw new MNXParseError(`Unrecognized beam hook direction ${hook.direction}.`);
+        return;
+    }
+
+    function validateEnding(ending) {
+        /**
+         * Validates an ending object
+         * 
+         * @param {object} ending Ending to be validated
+         */
+
+        if (!("duration" in ending)) throw new MNXParseError("Ending object missing duration.");
+        if (!Number.isInteger(ending.duration) || (ending.duration < 1)) throw new MNXParseError("Ending duration must be a positive integer.");
+        if (("numbers" in ending) && !(ending.numbers instanceof Array)) throw new MNXParseError("Ending numbers must be an array.");
+        return;
+    }
+
+    function validateTransposition(transposition) {
+        /**
+         * Validates the transposition of a part
+         * 
+         * @param {object} transposition Transposition to be validated
+         */
+
+        if (!("interval" in transposition) || !isObject(transposition.interval)) throw new MNXParseError("Transposition missing interval object.");
+        if (!Number.isInteger(transposition.interval.staffDistance)) throw new MNXParseError("Transposition interval staffDistance must be an integer.");
+        if (!Number.isInteger(transposition.interval.halfSteps)) throw new MNXParseError("Transposition interval halfSteps must be an integer.");
+        if (("keyFifthsFlipAt" in transposition) && (!Number.isInteger(transposition.keyFifthsFlipAt) || (transposition.keyFifthsFlipAt == 0))) throw new MNXParseError("Transposition keyFifthsFlipAt must be a nonzero integer.");
+        return;
+    }
+
+    function validateBarline(barline) {
+        /**
+         * Validates a barline object
+         * 
+         * @param {object} barline Barline to be validated
+         */
+
+        if (!("type" in barline)) throw new MNXParseError("Barline object missing type.");
+        if (!barlineTypes.includes(barline.type)) throw new UnsupportedFeatureError(`Unsupported barline type ${barline.type}.`);
+        return;
+    }
+
+    function validateLayout(layout) {
+        /**
+         * Validates a layout object
+         * 
+         * @param {object} layout Layout to be validated
+         */
+
+        if (!("id" in layout)) throw new MNXParseError("Layout object missing id.");
+        if (!("content" in layout) || !(layout.content instanceof Array)) throw new MNXParseError("Layout object missing content array.");
+        return;
+    }
+
+    function validateLayoutItem(item) {
+        /**
+         * Validates an item of a layout's content, which is a group of items or a staff
+         * 
+         * @param {object} item Layout item to be validated
+         */
+
+        if (item.type == "group") {
+            if (!("content" in item) || !(item.content instanceof Array)) throw new MNXParseError("Layout group missing content array.");
+            if (("symbol" in item) && !Object.hasOwn(groupSymbolTranslation, item.symbol)) throw new UnsupportedFeatureError(`Unsupported group symbol ${item.symbol}.`);
+        } else if (item.type == "staff") {
+            if (!("sources" in item) || !(item.sources instanceof Array) || (item.sources.length == 0)) throw new MNXParseError("Layout staff missing sources array.");
+        } else {
+            throw new MNXParseError(`Unrecognized layout item type ${item.type}.`);
+        }
+
+        return;
+    }
+
+    function validateStaffSource(source) {
+        /**
+         * Validates the source of a layout staff, which says which staff of which part it shows
+         * 
+         * @param {object} source Staff source to be validated
+         */
+
+        if (!("part" in source)) throw new MNXParseError("Staff source missing part.");
+        return;
+    }
+
+    function validatePage(page) {
+        /**
+         * Validates a page object of a score
+         * 
+         * @param {object} page Page to be validated
+         */
+
+        if (!("systems" in page) || !(page.systems instanceof Array)) throw new MNXParseError("Page object missing systems array.");
+        return;
+    }
+
+    function getSystemMeasure(system, measureIndices) {
+        /**
+         * Finds the measure a system of a score starts with
+         * 
+         * @param {object} system A system object
+         * @param {object} measureIndices The position of each global measure, by its MNX index
+         * 
+         * @returns {number} The index of the measure in the score
+         */
+
+        if (!("measure" in system)) throw new MNXParseError("System object missing measure.");
+        if (!Object.hasOwn(measureIndices, system.measure)) throw new MNXParseError(`Measure ${system.measure} does not exist.`);
+        return measureIndices[system.measure];
+    }
+
+    function getMeasureIndices(globMeasures) {
+        /**
+         * Finds the index MNX gives each global measure, which is how scores refer to measures
+         * 
+         * @param {Array} globMeasures Global measure objects
+         * 
+         * @returns {object} The position of each measure in the array, by its MNX index
+         */
+
+        let result, index;
+
+        result = {};
+        // measures count up from 1, unless one says otherwise
+        index = 0;
+        globMeasures.map((globalMeasure, measureIdx) => {
+            index = (isObject(globalMeasure) && Number.isInteger(globalMeasure.index)) ? globalMeasure.index : index + 1;
+            result[index] = measureIdx;
+        });
+        return result;
+    }
+
+    function validateRepeatEnd(repeatEnd) {
+        /**
+         * Validates a repeat end object
+         * 
+         * @param {object} repeatEnd Repeat end to be validated
+         */
+
+        if (("times" in repeatEnd) && (!Number.isInteger(repeatEnd.times) || (repeatEnd.times < 1))) throw new MNXParseError("Repeat times must be a positive integer.");
+        return;
+    }
+
+    function validateTimeSignature(ts) {
+        /**
+         * Validates a time signature object
+         * 
+         * @param {object} ts Time signature to be validated
+         */
+
+        if (!("count" in ts)) throw new MNXParseError("Time object missing count.");
+        if (!("unit" in ts)) throw new MNXParseError("Time object missing unit.");
+        if (!Number.isInteger(ts.count) || (ts.count <= 0)) throw new MNXParseError("Time count must be a positive integer.");
+        // the unit is a note value, so it halves each time
+        if (!Number.isInteger(ts.unit) || (ts.unit <= 0) || ((ts.unit & (ts.unit - 1)) != 0)) throw new MNXParseError("Time unit must be a positive power of two.");
+        return;
+    }
+
+    function validateKeySignature(ks) {
+        /**
+         * Validates a key signature object
+         * 
+         * @param {object} ks Key signature to be validated
+         */
+
+        if (!("fifths" in ks)) throw new MNXParseError("Key signature object missing fifths.");
+        if (!Number.isInteger(ks.fifths)) throw new MNXParseError("Key signature fifths must be an integer.");
+        if (("mode" in ks) && (typeof ks.mode != "string")) throw new MNXParseError("Key signature mode must be a string.");
+        return;
+    }
+
+    function validateDuration(dur) {
+        /**
+         * Validates a duration object
+         * 
+         * @param {object} dur Duration object to be validated
+         */
+
+        if (!("base" in dur)) throw new MNXParseError("Duration object missing base.");
+        return;
+    }
+
+    function validateNote(note) {
+        /**
+         * Validates a note object
+         * 
+         * @param {object} note Note object to be validated
+         */
+
+        if (!("pitch" in note)) throw new MNXParseError("Note object missing pitch.");
+        return;
+    }
+
+    function validatePitch(pitch) {
+        /**
+         * Validates a pitch object
+         * 
+         * @param {object} pitch Pitch object to be validated
+         */
+
+        if (!("octave" in pitch)) throw new MNXParseError("Pitch object missing octave.");
+        if (!("step" in pitch)) throw new MNXParseError("Pitch object missing step.");
+        if ((typeof pitch.step != "string") || !stepPattern.test(pitch.step)) throw new MNXParseError(`Unknown step ${pitch.step}.`);
+        if (!Number.isInteger(pitch.octave)) throw new MNXParseError("Pitch octave must be an integer.");
+        if (("alter" in pitch) && !Number.isInteger(pitch.alter)) throw new MNXParseError("Pitch alter must be an integer.");
+        return;
+    }
+
+    function validateAccidentalDisplay(accidentalDisplay) {
+        /**
+         * Validates a accidental display
+         * 
+         * @param {object} accidentalDisplay Accidental display object to be validated
+         */
+
+        if (!("show" in accidentalDisplay)) throw new MNXParseError("Accidental display object missing show.");
+        return;
+    }
+
+    function validateSequenceContentItem(sc) {
+        /**
+         * Validates a sequence content item
+         * 
+         * @param {object} sc The sequence content item
+         */
+
+        if (!("type" in sc)) throw new MNXParseError("Sequence content object missing type.");
+        return;
+    }
+
+    function validateNoteValueQuantity(nvq) {
+        /**
+         * Validates a note value quantity
+         * 
+         * @param {object} nvq The note value quantity object to be validated
+         */
+
+        if (!("duration" in nvq)) throw new MNXParseError("Note value quantity object missing duration.");
+        if (!("multiple" in nvq)) throw new MNXParseError("Note value quantity object missing multiple.");
+        if (!Number.isInteger(nvq.multiple) || (nvq.multiple <= 0)) throw new MNXParseError("Note value quantity multiple must be a positive integer.");
+        return;
+    }
+
+    function validatePart(part) {
+        /**
+         * Validates a part
+         * 
+         * @param {object} part The part to be validated
+         */
+
+        if (!("measures" in part) || !(part.measures instanceof Array)) throw new MNXParseError("Part object missing measures array.");
+        if (("staves" in part) && (!Number.isInteger(part.staves) || (part.staves < 1))) throw new MNXParseError("Part staves must be a positive integer.");
+        if (("name" in part) && (typeof part.name != "string")) throw new MNXParseError("Part name must be a string.");
+        if (("short-name" in part) && (typeof part["short-name"] != "string")) throw new MNXParseError("Part short-name must be a string.");
+        return;
+    }
+
+    function isObject(value) {
+        /**
+         * Checks whether a value is a plain object, as JSON objects are
+         * 
+         * @param {any} value The value to check
+         * 
+         * @returns {bool} Whether the value is an object
+         */
+
+        return (value !== null) && (value !== undefined) && (value.constructor == Object);
+    }
+
+    function getMNXVersion(mnxObject) {
+        /**
+         * Gets the MNX version. Should only be called on a valid MNX object
+         * 
+         * @param {object} mnxObject An MNX object
+         */
+
+        return mnxObject.mnx.version;
+    }
+
+    function getPartStaves(part) {
+        /**
+         * Gets the number of staves of a part. Should only be called on a valid part
+         * 
+         * @param {object} part A part
+         * 
+         * @returns {number} The number of staves, which is 1 unless specified
+         */
+
+        if ("staves" in part) return part.staves;
+        return 1;
+    }
+
+    function getPartStavesByID(parts) {
+        /**
+         * Gets the number of staves of each part that has an ID
+         * 
+         * @param {Array} parts Part objects, which need not be valid
+         * 
+         * @returns {object} The number of staves of each part, by its ID
+         */
+
+        let result = {};
+
+        parts.filter((part) => isObject(part) && ("id" in part)).map((part) => {
+            // bad staff counts are reported on the part itself
+            result[part.id] = (Number.isInteger(part.staves) && (part.staves >= 1)) ? part.staves : 1;
+        });
+        return result;
+    }
+
+    function getStaffIndex(item, numStaves) {
+        /**
+         * Gets the index of the staff an item (such as a sequence or positioned clef) belongs to
+         * 
+         * @param {object} item An item that may specify a staff
+         * @param {number} numStaves The number of staves in the item's part
+         * 
+         * @returns {number} The zero-based index of the staff
+         */
+
+        if (!("staff" in item)) return 0;
+        if (!Number.isInteger(item.staff) || (item.staff < 1) || (item.staff > numStaves)) throw new MNXParseError(`Staff ${item.staff} does not exist in part with ${numStaves} staves.`);
+        return item.staff - 1;
+    }
+
+    function fifthsToPitch(fifths) {
+        /**
+         * Finds the step and alteration a number of perfect fifths above C
+         * 
+         * @param {number} fifths The number of fifths, which is negative for fifths below C
+         * 
+         * @returns {object} An object with the step and alter of the pitch
+         */
+
+        let idx;
+
+        // the line of fifths starts on F, one fifth below C
+        idx = fifths + 1;
+        return {"step": lineOfFifths[((idx % lineOfFifths.length) + lineOfFifths.length) % lineOfFifths.length], "alter": Math.floor(idx / lineOfFifths.length)};
+    }
+
+    function keyFromMNX(key) {
+        /**
+         * Returns a key given MNX key signature object
+         * 
+         * @param {object} key A key signature object
+         * 
+         * @returns {object} A key with its signature, mode, tonic, and the alteration it gives each step
+         */
+
+        let result;
+
+        result = structuredClone(keyTemplate);
+        if (Math.abs(key.fifths) > maxKeyFifths) throw new UnsupportedFeatureError(`Theoretical key with ${key.fifths} fifths is not supported.`);
+        result.fifths = key.fifths;
+        if ("mode" in key) {
+            if (!(key.mode in keyModeTonicFifths)) throw new UnsupportedFeatureError(`Unrecognized key mode ${key.mode}.`);
+            result.mode = key.mode;
+        }
+
+        result.tonic = fifthsToPitch(result.fifths + keyModeTonicFifths[result.mode]);
+        // sharps are added up the line of fifths, and flats down it
+        if (result.fifths > 0) {
+            lineOfFifths.slice(0, result.fifths).map((step) => result.alters[step] = 1);
+        } else if (result.fifths < 0) {
+            lineOfFifths.slice(result.fifths).map((step) => result.alters[step] = -1);
+        }
+
+        return result;
+    }
+
+    function clefFromMNX(clef) {
+        /**
+         * Returns a clef given MNX clef object
+         * 
+         * @param {object} clef A clef object
+         * 
+         * @returns {object} A clef with the common name of the clef and its octave displacement
+         */
+
+        let result;
+
+        result = structuredClone(clefTemplate);
+        if (clef.sign == "percussion") {
+            result.name = "percussion";
+        } else if ((clef.sign in clefTranslation) && (clef.staffPosition in clefTranslation[clef.sign])) {
+            result.name = clefTranslation[clef.sign][clef.staffPosition];
+        } else {
+            throw new UnsupportedFeatureError("Unrecognized clef.");
+        }
+
+        if ("octave" in clef) result.octave = clef.octave;
+        // make sure the octave displacement can be drawn
+        if ((result.octave != 0) && !((result.name in clefOctaveAnnotations) && (result.octave in clefOctaveAnnotations[result.name]))) throw new UnsupportedFeatureError(`Unsupported octave ${result.octave} for ${result.name} clef.`);
+        return result;
+    }
+
+    function reduceFraction(fraction) {
+        /**
+         * Reduces a fraction to lowest terms
+         * 
+         * @param {Array} fraction A fraction, as an array of a numerator and a positive denominator
+         * 
+         * @returns {Array} The reduced fraction
+         */
+
+        let a, b;
+
+        // anything else would never reduce, so it is bad input rather than a fraction
+        if (!fraction.every(Number.isFinite) || (fraction[1] == 0)) throw new MNXParseError(`Fraction ${fraction[0]}/${fraction[1]} must be finite, with a non-zero denominator.`);
+        a = Math.abs(fraction[0]);
+        b = fraction[1];
+        while (b != 0) [a, b] = [b, a % b];
+        if (a == 0) return [0, 1];
+        return [fraction[0] / a, fraction[1] / a];
+    }
+
+    function addFractions(a, b) {
+        /**
+         * Adds two fractions
+         * 
+         * @param {Array} a A fraction
+         * @param {Array} b A fraction
+         * 
+         * @returns {Array} The sum, in lowest terms
+         */
+
+        return reduceFraction([a[0] * b[1] + b[0] * a[1], a[1] * b[1]]);
+    }
+
+    function multiplyFractions(a, b) {
+        /**
+         * Multiplies two fractions
+         * 
+         * @param {Array} a A fraction
+         * @param {Array} b A fraction
+         * 
+         * @returns {Array} The product, in lowest terms
+         */
+
+        return reduceFraction([a[0] * b[0], a[1] * b[1]]);
+    }
+
+    function compareFractions(a, b) {
+        /**
+         * Compares two fractions
+         * 
+         * @param {Array} a A fraction
+         * @param {Array} b A fraction
+         * 
+         * @returns {number} A negative number if a is less than b, zero if they are equal, and a positive number otherwise
+         */
+
+        return a[0] * b[1] - b[0] * a[1];
+    }
+
+    function durationToFraction(duration) {
+        /**
+         * Computes the length of a duration as a fraction of a whole note
+         * 
+         * @param {object} duration A duration
+         * 
+         * @returns {Array} The length of the duration
+         */
+
+        // each dot adds half of the previous value
+        return multiplyFractions(durationFractions[duration.base], [2 ** (duration.dots + 1) - 1, 2 ** duration.dots]);
+    }
+
+    function parseDuration(duration) {
+        /**
+         * Reads an MNX duration object
+         * 
+         * @param {object} duration A duration object
+         * 
+         * @returns {object} A duration with its base and number of dots
+         */
+
+        let result;
+
+        validateDuration(duration);
+        if (!(duration.base in durationFractions)) throw new UnsupportedFeatureError(`Duration type ${duration.base} not recognized.`);
+        result = {"base": duration.base, "dots": ("dots" in duration) ? duration.dots : 0};
+        if (!Number.isInteger(result.dots) || (result.dots < 0)) throw new MNXParseError(`Illegal number of dots ${result.dots}.`);
+        return result;
+    }
+
+    return {directionTypes, directionNames, lineOfFifths, maxKeyFifths, clefOctaveAnnotations, barlineTypes, groupSymbolTranslation, clefTemplate, keyTemplate, MNXParseError, UnsupportedFeatureError, validateMNXObject, validateMNXMetadata, validateMNXGlobal, validateClef, validatePositionedClef, validateDirection, validateTempo, validateMeasure, validateSequence, validateBeam, validateBeamHook, validateEnding, validateTransposition, validateBarline, validateLayout, validateLayoutItem, validateStaffSource, validatePage, getSystemMeasure, getMeasureIndices, validateRepeatEnd, validateTimeSignature, validateKeySignature, validateNote, validatePitch, validateAccidentalDisplay, validateSequenceContentItem, validateNoteValueQuantity, validatePart, isObject, getMNXVersion, getPartStaves, getPartStavesByID, getStaffIndex, keyFromMNX, clefFromMNX, reduceFraction, addFractions, multiplyFractions, compareFractions, durationToFraction, parseDuration};
+})();
+
+// when loaded as a Node.js module, export the namespace the other modules import from
+if (typeof module != "undefined") module.exports = mnxObjects;
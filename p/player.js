@@ -0,0 +1,313 @@
+/**
+ * player.js - Playback for open-source MNX viewer.
+ * Plays rendered scores in the browser with Web Audio.
+ */
+
+const mnxPlayer = (function () {
+    // imports: the other modules are globals when loaded with <script> tags, and packages otherwise
+    const {addFractions, compareFractions} = (typeof mnxObjects != "undefined") ? mnxObjects : require("./objects.js");
+    const {getPerformance, getPlaybackOptions, getTempoChanges, positionToTime, timeToPosition, fractionToNumber} = (typeof mnxMIDI != "undefined") ? mnxMIDI : require("./midi.js");
+    const {svgNamespace} = (typeof mnxEngrave != "undefined") ? mnxEngrave : require("./engrave.js");
+
+    // playback is scheduled a little ahead of time, so that timers running late are not heard
+    const playbackStartDelay = 0.05;
+    const playbackLookahead = 0.2;
+    const playbackUpdateInterval = 25;
+    // the sound of each note, with times in seconds
+    const playbackWaveform = "triangle";
+    const playbackNoteGain = 0.15;
+    const playbackAttack = 0.01;
+    const playbackRelease = 0.05;
+
+    // the cursor is drawn over the image of the score
+    const playbackCursorColor = "rgba(60, 120, 216, 0.5)";
+    const playbackCursorWidth = 4.;
+    const playbackCursorMargin = 6.;
+    const playbackHighlightStyle = ".mnx-playing * {fill: #3c78d8; stroke: #3c78d8;} .mnx-playing [fill=\"none\"] {fill: none;}";
+
+    /** @class ScorePlayer representing the playback of a rendered score, with a cursor following along */
+    class ScorePlayer {
+        constructor (handle, options = {}) {
+            /**
+             * Prepares a rendered score for playback with Web Audio
+             * 
+             * @param {ScoreHandle} handle A rendered score
+             * @param {object} options Playback options, with defaults for any that are missing
+             */
+
+            this.handle = handle;
+            this.options = getPlaybackOptions(options);
+            this.performance = getPerformance(handle.score);
+            this.tempos = getTempoChanges(this.performance, this.options);
+            // the audio context can only be started by the user, so it is made when playback first starts
+            this.audioContext = null;
+            this.output = null;
+            this.state = "stopped";
+            // where playback is, in whole notes from the start of the performance, and when that was in audio time
+            this.position = 0;
+            this.startPosition = 0;
+            this.startTime = 0;
+            this.nextNote = 0;
+            this.voices = [];
+            this.timer = null;
+            this.cursor = null;
+            this.cursorStyle = null;
+            this.highlighted = [];
+        }
+
+        play(measure = null) {
+            /**
+             * Starts or resumes playback
+             * 
+             * @param {number} measure The index of a measure to start from, or null to carry on from the current position
+             * 
+             * @returns {ScorePlayer} This player
+             */
+
+            if (measure !== null) this.seek(measure);
+            if (this.state == "playing") return this;
+            if (this.audioContext === null) {
+                this.audioContext = new AudioContext();
+                this.output = this.audioContext.createGain();
+                this.output.connect(this.audioContext.destination);
+            }
+
+            this.audioContext.resume();
+            this.state = "playing";
+            this.startPosition = this.position;
+            this.startTime = this.audioContext.currentTime + playbackStartDelay;
+            // notes already sounding when playback starts are left out
+            this.nextNote = this.performance.notes.findIndex((note) => fractionToNumber(note.start) >= this.position);
+            if (this.nextNote == -1) this.nextNote = this.performance.notes.length;
+            this.timer = setInterval(() => this.update(), playbackUpdateInterval);
+            this.update();
+            return this;
+        }
+
+        pause() {
+            /**
+             * Pauses playback, keeping the cursor where it is
+             * 
+             * @returns {ScorePlayer} This player
+             */
+
+            if (this.state != "playing") return this;
+            this.position = this.getPosition();
+            this.silence();
+            this.state = "paused";
+            return this;
+        }
+
+        stop() {
+            /**
+             * Stops playback and goes back to the start of the score
+             * 
+             * @returns {ScorePlayer} This player
+             */
+
+            this.silence();
+            this.state = "stopped";
+            this.position = 0;
+            this.clearCursor();
+            return this;
+        }
+
+        seek(measure) {
+            /**
+             * Moves playback to the first time a measure is played
+             * 
+             * @param {number} measure The index of the measure
+             * 
+             * @returns {ScorePlayer} This player
+             */
+
+            let performanceMeasure, wasPlaying;
+
+            if (!Number.isInteger(measure) || (measure < 0) || (measure >= this.handle.score.measureCount)) throw new RangeError(`No measure ${measure} to play from.`);
+            // an ending may never be reached, in which case playback starts at the next measure that is
+            performanceMeasure = this.performance.measures.find((candidate) => candidate.index >= measure);
+            if (performanceMeasure === undefined) return this;
+            wasPlaying = this.state == "playing";
+            if (wasPlaying) this.pause();
+            this.position = fractionToNumber(performanceMeasure.start);
+            if (this.state == "stopped") this.state = "paused";
+            if (wasPlaying) {
+                this.play();
+            } else {
+                this.drawCursor(this.position);
+            }
+
+            return this;
+        }
+
+        setTempo(tempo) {
+            /**
+             * Changes the tempo, even during playback
+             * 
+             * @param {number} tempo The tempo, in quarter notes per minute, or null to follow the tempos of the score
+             * 
+             * @returns {ScorePlayer} This player
+             */
+
+            let options, wasPlaying;
+
+            options = getPlaybackOptions(Object.assign({}, this.options, {"tempo": tempo}));
+            wasPlaying = this.state == "playing";
+            if (wasPlaying) this.pause();
+            this.options = options;
+            this.tempos = getTempoChanges(this.performance, this.options);
+            if (wasPlaying) this.play();
+            return this;
+        }
+
+        getPosition() {
+            /**
+             * Finds where playback is
+             * 
+             * @returns {number} The position, in whole notes from the start of the performance
+             */
+
+            if (this.state != "playing") return this.position;
+            return timeToPosition(this.tempos, positionToTime(this.tempos, this.startPosition) + Math.max(0, this.audioContext.currentTime - this.startTime));
+        }
+
+        update() {
+            /**
+             * Schedules the notes coming up and moves the cursor, called regularly during playback
+             */
+
+            let position, horizon;
+
+            position = this.getPosition();
+            if (position >= fractionToNumber(this.performance.length)) {
+                this.stop();
+                return;
+            }
+
+            horizon = timeToPosition(this.tempos, positionToTime(this.tempos, position) + playbackLookahead);
+            while ((this.nextNote < this.performance.notes.length) && (fractionToNumber(this.performance.notes[this.nextNote].start) < horizon)) {
+                this.scheduleNote(this.performance.notes[this.nextNote]);
+                this.nextNote += 1;
+            }
+
+            this.drawCursor(position);
+            return;
+        }
+
+        scheduleNote(note) {
+            /**
+             * Plays a note of the performance at its time
+             * 
+             * @param {object} note A note of the performance
+             */
+
+            let start, end, oscillator, gain;
+
+            start = this.startTime + positionToTime(this.tempos, fractionToNumber(note.start)) - positionToTime(this.tempos, this.startPosition);
+            end = this.startTime + positionToTime(this.tempos, fractionToNumber(addFractions(note.start, note.length))) - positionToTime(this.tempos, this.startPosition);
+            oscillator = this.audioContext.createOscillator();
+            oscillator.type = playbackWaveform;
+            oscillator.frequency.value = 440 * Math.pow(2, (note.pitch - 69) / 12);
+            gain = this.audioContext.createGain();
+            gain.gain.setValueAtTime(0, start);
+            gain.gain.linearRampToValueAtTime(playbackNoteGain, start + playbackAttack);
+            gain.gain.setValueAtTime(playbackNoteGain, Math.max(start + playbackAttack, end - playbackRelease));
+            gain.gain.linearRampToValueAtTime(0, Math.max(start + playbackAttack, end));
+            oscillator.connect(gain);
+            gain.connect(this.output);
+            oscillator.start(start);
+            oscillator.stop(Math.max(start + playbackAttack, end));
+            oscillator.addEventListener("ended", () => this.voices = this.voices.filter((voice) => voice !== oscillator));
+            this.voices.push(oscillator);
+            return;
+        }
+
+        silence() {
+            /**
+             * Stops the timer and every note that is sounding or scheduled
+             */
+
+            if (this.timer !== null) clearInterval(this.timer);
+            this.timer = null;
+            this.voices.slice().map((oscillator) => oscillator.stop());
+            this.voices = [];
+            return;
+        }
+
+        drawCursor(position) {
+            /**
+             * Moves the cursor to the events being played, and highlights them
+             * 
+             * @param {number} position The position, in whole notes from the start of the performance
+             */
+
+            let svg, origin, scale, performanceMeasure, layoutMeasure, layoutEvents, sounding, latest, x, box;
+
+            performanceMeasure = this.performance.measures.findLast((candidate) => fractionToNumber(candidate.start) <= position);
+            if ((performanceMeasure === undefined) || (this.handle.svg === null)) return;
+            layoutMeasure = this.handle.measures[performanceMeasure.index];
+            // the cursor goes on the page the measure is on
+            svg = this.handle.pages[layoutMeasure.page];
+            // the score may have been drawn again, or playback turned a page, since the cursor was made
+            if ((this.cursor === null) || (this.cursor.ownerSVGElement !== svg)) {
+                this.clearCursor();
+                this.cursorStyle = svg.ownerDocument.createElementNS(svgNamespace, "style");
+                this.cursorStyle.textContent = playbackHighlightStyle;
+                this.cursor = svg.ownerDocument.createElementNS(svgNamespace, "rect");
+                this.cursor.setAttribute("class", "mnx-cursor");
+                this.cursor.setAttribute("fill", playbackCursorColor);
+                this.cursor.setAttribute("stroke", "none");
+                this.cursor.setAttribute("pointer-events", "none");
+                svg.appendChild(this.cursorStyle);
+                svg.appendChild(this.cursor);
+            }
+
+            layoutEvents = {};
+            this.handle.events.filter((event) => event.id !== null).map((event) => layoutEvents[event.id] = event);
+            // the events sounding now, and the latest of them to start, which the cursor sits on
+            sounding = this.performance.events.filter((event) => {
+                let start = fractionToNumber(event.start);
+
+                return (start <= position) && (position < start + fractionToNumber(event.length)) && Object.hasOwn(layoutEvents, event.id);
+            });
+            latest = sounding.filter((event) => event.measure == this.performance.measures.indexOf(performanceMeasure));
+            latest = latest.filter((event) => compareFractions(event.start, latest[latest.length - 1].start) == 0);
+            x = (latest.length > 0) ? Math.min(...latest.map((event) => layoutEvents[event.id].boundingBox.x)) : layoutMeasure.boundingBox.x;
+            // layout boxes are in the coordinates of the scaled image, but the cursor is drawn in those of the drawing
+            scale = this.handle.scale;
+            origin = svg.getAttribute("viewBox").split(' ').map(Number);
+            box = layoutMeasure.boundingBox;
+            this.cursor.setAttribute('x', origin[0] + (x - playbackCursorMargin) / scale);
+            this.cursor.setAttribute('y', origin[1] + (box.y - playbackCursorMargin) / scale);
+            this.cursor.setAttribute("width", playbackCursorWidth);
+            this.cursor.setAttribute("height", (box.height + 2 * playbackCursorMargin) / scale);
+            this.highlighted.map((element) => element.classList.remove("mnx-playing"));
+            this.highlighted = sounding.map((event) => this.handle.pages[layoutEvents[event.id].page].querySelector(`#${layoutEvents[event.id].svgId}`)).filter((element) => element !== null);
+            this.highlighted.map((element) => element.classList.add("mnx-playing"));
+            return;
+        }
+
+        clearCursor() {
+            /**
+             * Removes the cursor and the highlights from the score
+             */
+
+            this.highlighted.map((element) => element.classList.remove("mnx-playing"));
+            this.highlighted = [];
+            if (this.cursor !== null) {
+                this.cursorStyle.remove();
+                this.cursor.remove();
+            }
+
+            this.cursor = null;
+            this.cursorStyle = null;
+            return;
+        }
+
+    }
+
+    return {ScorePlayer};
+})();
+
+// when loaded as a Node.js module, export the namespace the other modules import from
+if (typeof module != "undefined") module.exports = mnxPlayer;
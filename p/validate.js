@@ -0,0 +1,676 @@
+/**
+ * validate.js - Validation for open-source MNX viewer.
+ * Finds every problem of an MNX object, by JSON pointer and by its place in the JSON text.
+ */
+
+const mnxValidate = (function () {
+    // imports: the other modules are globals when loaded with <script> tags, and packages otherwise
+    const {directionTypes, directionNames, MNXParseError, UnsupportedFeatureError, validateMNXObject, validateMNXMetadata, validateMNXGlobal, validateClef, validatePositionedClef, validateDirection, validateTempo, validateMeasure, validateSequence, validateBeam, validateBeamHook, validateEnding, validateTransposition, validateBarline, validateLayout, validateLayoutItem, validateStaffSource, validatePage, getSystemMeasure, getMeasureIndices, validateRepeatEnd, validateTimeSignature, validateKeySignature, validateNote, validatePitch, validateAccidentalDisplay, validateSequenceContentItem, validateNoteValueQuantity, validatePart, isObject, getMNXVersion, getPartStaves, getPartStavesByID, getStaffIndex, keyFromMNX, clefFromMNX, parseDuration} = (typeof mnxObjects != "undefined") ? mnxObjects : require("./objects.js");
+
+    // the pieces of a JSON document, for finding where its values are in the text
+    const jsonWhitespace = " \t\n\r";
+    const jsonStringPattern = /"(?:[^"\\\u0000-\u001f]|\\(?:["\\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y;
+    const jsonLiteralPattern = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+
+    // the kinds of object that IDs can refer to, for messages
+    const validationKindNames = {
+        "event": "an event", 
+        "note": "a note", 
+        "part": "a part", 
+        "layout": "a layout", 
+    };
+
+    // templates for validating a whole document
+    // where a value is in the source text: offsets of its start and end, and the line and column it starts at
+    const sourceLocationTemplate = {
+        "start": 0, 
+        "end": 0, 
+        "line": 1, 
+        "column": 1, 
+    };
+    const validationProblemTemplate = {
+        "pointer": "", 
+        "message": "", 
+    };
+    // IDs are kept by ID with what they belong to and where they are, and references by where they are
+    // the measures are the position of each global measure by its MNX index, for what refers to measures
+    const validationContextTemplate = {
+        "errors": [], 
+        "warnings": [], 
+        "ids": {}, 
+        "references": [], 
+        "measures": {}, 
+    };
+
+    function jsonPointer(pointer, token) {
+        /**
+         * Extends a JSON pointer by one step
+         * 
+         * @param {string} pointer A JSON pointer, where "" is the whole document
+         * @param {string|number} token An object key or an array index
+         * 
+         * @returns {string} The JSON pointer of the child
+         */
+
+        return `${pointer}/${String(token).replaceAll('~', "~0").replaceAll('/', "~1")}`;
+    }
+
+    function checkProblems(context, pointer, check) {
+        /**
+         * Runs a check, recording the problem it throws instead of stopping
+         * 
+         * @param {object} context The validation context - will be modified
+         * @param {string} pointer The JSON pointer of the object being checked
+         * @param {function} check A function that throws MNXParseError or UnsupportedFeatureError if there is a problem
+         * 
+         * @returns {bool} Whether the check passed
+         */
+
+        try {
+            check();
+            return true;
+        } catch (e) {
+            // broken MNX is an error, but MNX this viewer can't draw is only a warning
+            if (e instanceof MNXParseError) {
+                context.errors.push(Object.assign(structuredClone(validationProblemTemplate), {"pointer": (e.pointer === null) ? pointer : e.pointer, "message": e.message}));
+            } else if (e instanceof UnsupportedFeatureError) {
+                context.warnings.push(Object.assign(structuredClone(validationProblemTemplate), {"pointer": (e.pointer === null) ? pointer : e.pointer, "message": e.message}));
+            } else {
+                throw e;
+            }
+
+            return false;
+        }
+
+    }
+
+    function checkObject(context, value, pointer, name) {
+        /**
+         * Checks that a value is an object, so that its fields can be checked
+         * 
+         * @param {object} context The validation context - will be modified
+         * @param {any} value The value to check
+         * @param {string} pointer The JSON pointer of the value
+         * @param {string} name What the value is, for the message
+         * 
+         * @returns {bool} Whether the value is an object
+         */
+
+        return checkProblems(context, pointer, () => {
+            if (!isObject(value)) throw new MNXParseError(`${name} must be an object.`);
+        });
+    }
+
+    function addValidationID(context, id, kind, pointer) {
+        /**
+         * Records the ID of an object, so that references to it can be checked
+         * 
+         * @param {object} context The validation context - will be modified
+         * @param {string} id The ID
+         * @param {string} kind What has the ID, such as "event" or "note"
+         * @param {string} pointer The JSON pointer of the ID
+         */
+
+        checkProblems(context, pointer, () => {
+            // IDs are unique across the whole document
+            if (Object.hasOwn(context.ids, id)) throw new MNXParseError(`Duplicate ID ${id}, first used at ${context.ids[id].pointer}.`);
+            context.ids[id] = {"kind": kind, "pointer": pointer};
+        });
+        return;
+    }
+
+    function addValidationReference(context, id, kind, pointer, name) {
+        /**
+         * Records a reference to an object by ID, which is checked once the whole document has been seen
+         * 
+         * @param {object} context The validation context - will be modified
+         * @param {string} id The ID referred to
+         * @param {string} kind What the ID must belong to, such as "event" or "note"
+         * @param {string} pointer The JSON pointer of the reference
+         * @param {string} name What the reference is, for the message
+         */
+
+        context.references.push({"id": id, "kind": kind, "pointer": pointer, "name": name});
+        return;
+    }
+
+    function walkBeam(beam, pointer, context) {
+        /**
+         * Checks a beam, along with its inner beams and hooks
+         * 
+         * @param {object} beam A beam object
+         * @param {string} pointer The JSON pointer of the beam
+         * @param {object} context The validation context - will be modified
+         */
+
+        if (!checkObject(context, beam, pointer, "Beam") || !checkProblems(context, pointer, () => validateBeam(beam))) return;
+        beam.events.map((id, idx) => addValidationReference(context, id, "event", jsonPointer(jsonPointer(pointer, "events"), idx), "Beam event"));
+        if ("hooks" in beam) beam.hooks.map((hook, idx) => {
+            let hookPointer = jsonPointer(jsonPointer(pointer, "hooks"), idx);
+
+            if (!checkObject(context, hook, hookPointer, "Beam hook") || !checkProblems(context, hookPointer, () => validateBeamHook(hook))) return;
+            addValidationReference(context, hook.event, "event", jsonPointer(hookPointer, "event"), "Beam hook event");
+        });
+        if ("inner" in beam) beam.inner.map((innerBeam, idx) => walkBeam(innerBeam, jsonPointer(jsonPointer(pointer, "inner"), idx), context));
+        return;
+    }
+
+    function walkNote(note, pointer, context) {
+        /**
+         * Checks a note, along with its pitch and tie
+         * 
+         * @param {object} note A note object
+         * @param {string} pointer The JSON pointer of the note
+         * @param {object} context The validation context - will be modified
+         */
+
+        if (!checkObject(context, note, pointer, "Note") || !checkProblems(context, pointer, () => validateNote(note))) return;
+        if ("id" in note) addValidationID(context, note.id, "note", jsonPointer(pointer, "id"));
+        if (checkObject(context, note.pitch, jsonPointer(pointer, "pitch"), "Pitch")) checkProblems(context, jsonPointer(pointer, "pitch"), () => validatePitch(note.pitch));
+        if (("accidentalDisplay" in note) && checkObject(context, note.accidentalDisplay, jsonPointer(pointer, "accidentalDisplay"), "Accidental display")) {
+            checkProblems(context, jsonPointer(pointer, "accidentalDisplay"), () => validateAccidentalDisplay(note.accidentalDisplay));
+        }
+
+        if (("tie" in note) && checkObject(context, note.tie, jsonPointer(pointer, "tie"), "Tie")) {
+            checkProblems(context, jsonPointer(pointer, "tie"), () => {
+                if ("target" in note.tie) return;
+                if (!("location" in note.tie)) throw new MNXParseError("Tie object must specify either a target or a location.");
+                if (!["incoming", "outgoing"].includes(note.tie.location)) throw new MNXParseError(`Unrecognized tie location ${note.tie.location}.`);
+            });
+            if ("target" in note.tie) addValidationReference(context, note.tie.target, "note", jsonPointer(jsonPointer(pointer, "tie"), "target"), "Tie target");
+        }
+
+        return;
+    }
+
+    function walkEvent(event, pointer, context) {
+        /**
+         * Checks an event, along with its notes and slurs
+         * 
+         * @param {object} event An event item
+         * @param {string} pointer The JSON pointer of the event
+         * @param {object} context The validation context - will be modified
+         */
+
+        if ("id" in event) addValidationID(context, event.id, "event", jsonPointer(pointer, "id"));
+        checkProblems(context, pointer, () => {
+            if (("measure" in event) && (event.measure)) {
+                if ("duration" in event) throw new MNXParseError("Cannot specify duration for whole-measure event.");
+                if (!("rest" in event)) throw new MNXParseError("Whole-measure event must consist of a single rest.");
+            } else {
+                if (!("duration" in event)) throw new MNXParseError("Event object requires duration except for whole-measure events.");
+            }
+
+            if (!("notes" in event) && !("rest" in event)) throw new MNXParseError("Event object must contain either notes or a rest.");
+        });
+        if (("duration" in event) && checkObject(context, event.duration, jsonPointer(pointer, "duration"), "Duration")) {
+            checkProblems(context, jsonPointer(pointer, "duration"), () => parseDuration(event.duration));
+        }
+
+        if (("rest" in event) && checkObject(context, event.rest, jsonPointer(pointer, "rest"), "Rest") && ("notes" in event)) {
+            context.warnings.push(Object.assign(structuredClone(validationProblemTemplate), {"pointer": jsonPointer(pointer, "rest"), "message": "Event has both notes and a rest, so the rest is ignored."}));
+        }
+
+        if ("notes" in event) {
+            if (checkProblems(context, jsonPointer(pointer, "notes"), () => {
+                if (!(event.notes instanceof Array)) throw new MNXParseError("Event notes must be an array.");
+            })) event.notes.map((note, idx) => walkNote(note, jsonPointer(jsonPointer(pointer, "notes"), idx), context));
+        }
+
+        if ("slurs" in event) {
+            if (checkProblems(context, jsonPointer(pointer, "slurs"), () => {
+                if (!(event.slurs instanceof Array)) throw new MNXParseError("Event slurs must be an array.");
+            })) event.slurs.map((slur, idx) => {
+                let slurPointer = jsonPointer(jsonPointer(pointer, "slurs"), idx);
+
+                if (!checkObject(context, slur, slurPointer, "Slur")) return;
+                checkProblems(context, slurPointer, () => {
+                    if ("target" in slur) return;
+                    if (!("location" in slur)) throw new MNXParseError("Slur object must specify either a target or a location.");
+                    if (!["incoming", "outgoing"].includes(slur.location)) throw new MNXParseError(`Unrecognized slur location ${slur.location}.`);
+                });
+                if ("target" in slur) addValidationReference(context, slur.target, "event", jsonPointer(slurPointer, "target"), "Slur target");
+                if ("start-note" in slur) addValidationReference(context, slur["start-note"], "note", jsonPointer(slurPointer, "start-note"), "Slur start note");
+                if ("end-note" in slur) addValidationReference(context, slur["end-note"], "note", jsonPointer(slurPointer, "end-note"), "Slur end note");
+            });
+        }
+
+        return;
+    }
+
+    function walkContent(content, pointer, context, eventsOnly = null) {
+        /**
+         * Checks the content of a sequence, grace, or tuplet
+         * 
+         * @param {Array} content An array of sequence content items
+         * @param {string} pointer The JSON pointer of the content array
+         * @param {object} context The validation context - will be modified
+         * @param {string} eventsOnly The name of the enclosing object if it may only contain events, or null
+         */
+
+        content.map((item, idx) => {
+            let itemPointer = jsonPointer(pointer, idx);
+
+            if (!checkObject(context, item, itemPointer, "Sequence content") || !checkProblems(context, itemPointer, () => validateSequenceContentItem(item))) return;
+            if ((eventsOnly !== null) && (item.type != "event")) {
+                checkProblems(context, itemPointer, () => {
+                    throw new MNXParseError(`${eventsOnly} object content can only contain events.`);
+                });
+            } else if (item.type == "event") {
+                walkEvent(item, itemPointer, context);
+            } else if (directionTypes.includes(item.type)) {
+                // directions in a sequence are on its staff, where it has got to
+                walkDirection(item, item.type, itemPointer, null, context);
+            } else if ((item.type == "grace") || (item.type == "tuplet")) {
+                if (item.type == "tuplet") ["inner", "outer"].map((field) => {
+                    let fieldPointer = jsonPointer(itemPointer, field);
+
+                    if (!checkProblems(context, itemPointer, () => {
+                        if (!(field in item)) throw new MNXParseError(`Tuplet object missing ${field}.`);
+                    })) return;
+                    if (!checkObject(context, item[field], fieldPointer, `Tuplet ${field}`) || !checkProblems(context, fieldPointer, () => validateNoteValueQuantity(item[field]))) return;
+                    if (checkObject(context, item[field].duration, jsonPointer(fieldPointer, "duration"), "Duration")) {
+                        checkProblems(context, jsonPointer(fieldPointer, "duration"), () => parseDuration(item[field].duration));
+                    }
+
+                });
+                if (checkProblems(context, itemPointer, () => {
+                    if (!("content" in item) || !(item.content instanceof Array)) throw new MNXParseError(`${(item.type == "grace") ? "Grace" : "Tuplet"} object missing content array.`);
+                })) walkContent(item.content, jsonPointer(itemPointer, "content"), context, (item.type == "grace") ? "Grace" : "Tuplet");
+            } else {
+                checkProblems(context, itemPointer, () => {
+                    throw new UnsupportedFeatureError(`Unsupported content type ${item.type}.`);
+                });
+            }
+
+        });
+        return;
+    }
+
+    function walkDirection(direction, type, pointer, numStaves, context) {
+        /**
+         * Checks a dynamic, wedge, or text direction, and the measure a wedge ends in
+         * 
+         * @param {object} direction A direction object
+         * @param {string} type The type of the direction
+         * @param {string} pointer The JSON pointer of the direction
+         * @param {number} numStaves The number of staves in the part, or null if the direction is in a sequence, and so has no staff of its own
+         * @param {object} context The validation context - will be modified
+         */
+
+        if (!checkObject(context, direction, pointer, directionNames[type] || "Direction") || !checkProblems(context, pointer, () => validateDirection(direction, type))) return;
+        if (numStaves !== null) checkProblems(context, pointer, () => getStaffIndex(direction, numStaves));
+        if (type == "wedge") checkProblems(context, jsonPointer(pointer, "end"), () => {
+            if (!Object.hasOwn(context.measures, direction.end.bar)) throw new MNXParseError(`Measure ${direction.end.bar} does not exist.`);
+        });
+        return;
+    }
+
+    function walkPartMeasure(partMeasure, pointer, numStaves, context) {
+        /**
+         * Checks the measure of a part, along with its clefs, beams, directions, and sequences
+         * 
+         * @param {object} partMeasure A part measure object
+         * @param {string} pointer The JSON pointer of the measure
+         * @param {number} numStaves The number of staves in the part
+         * @param {object} context The validation context - will be modified
+         */
+
+        if (!checkObject(context, partMeasure, pointer, "Measure") || !checkProblems(context, pointer, () => validateMeasure(partMeasure))) return;
+        if (("clefs" in partMeasure) && checkProblems(context, jsonPointer(pointer, "clefs"), () => {
+            if (!(partMeasure.clefs instanceof Array)) throw new MNXParseError("Clefs must be array.");
+        })) partMeasure.clefs.map((positionedClef, idx) => {
+            let clefPointer = jsonPointer(jsonPointer(pointer, "clefs"), idx);
+
+            if (!checkObject(context, positionedClef, clefPointer, "Positioned clef") || !checkProblems(context, clefPointer, () => validatePositionedClef(positionedClef))) return;
+            checkProblems(context, clefPointer, () => getStaffIndex(positionedClef, numStaves));
+            if (checkObject(context, positionedClef.clef, jsonPointer(clefPointer, "clef"), "Clef") && checkProblems(context, jsonPointer(clefPointer, "clef"), () => validateClef(positionedClef.clef))) {
+                checkProblems(context, jsonPointer(clefPointer, "clef"), () => clefFromMNX(positionedClef.clef));
+            }
+
+        });
+        if (("beams" in partMeasure) && checkProblems(context, jsonPointer(pointer, "beams"), () => {
+            if (!(partMeasure.beams instanceof Array)) throw new MNXParseError("Measure beams must be an array.");
+        })) partMeasure.beams.map((beam, idx) => walkBeam(beam, jsonPointer(jsonPointer(pointer, "beams"), idx), context));
+        // dynamics are directions of their own, and the other directions say what type they are
+        ["dynamics", "directions"].filter((field) => field in partMeasure).map((field) => {
+            if (checkProblems(context, jsonPointer(pointer, field), () => {
+                if (!(partMeasure[field] instanceof Array)) throw new MNXParseError(`Measure ${field} must be an array.`);
+            })) partMeasure[field].map((direction, idx) => walkDirection(direction, (field == "dynamics") ? "dynamic" : (isObject(direction) ? direction.type : null), jsonPointer(jsonPointer(pointer, field), idx), numStaves, context));
+        });
+        partMeasure.sequences.map((sequence, idx) => {
+            let sequencePointer = jsonPointer(jsonPointer(pointer, "sequences"), idx);
+
+            if (!checkObject(context, sequence, sequencePointer, "Sequence") || !checkProblems(context, sequencePointer, () => validateSequence(sequence))) return;
+            checkProblems(context, sequencePointer, () => getStaffIndex(sequence, numStaves));
+            walkContent(sequence.content, jsonPointer(sequencePointer, "content"), context);
+        });
+        return;
+    }
+
+    function walkGlobalMeasure(globalMeasure, pointer, context) {
+        /**
+         * Checks a global measure, along with its time, key, repeats, ending, barline, and tempos
+         * 
+         * @param {object} globalMeasure A global measure object
+         * @param {string} pointer The JSON pointer of the measure
+         * @param {object} context The validation context - will be modified
+         */
+
+        if (!checkObject(context, globalMeasure, pointer, "Global measure")) return;
+        if ("index" in globalMeasure) checkProblems(context, jsonPointer(pointer, "index"), () => {
+            if (!Number.isInteger(globalMeasure.index)) throw new MNXParseError("Global measure index must be an integer.");
+        });
+        ["repeatStart", "repeatEnd", "ending", "barline", "time", "key"].filter((field) => field in globalMeasure).map((field) => {
+            checkObject(context, globalMeasure[field], jsonPointer(pointer, field), `Global measure ${field}`);
+        });
+        if (("repeatEnd" in globalMeasure) && isObject(globalMeasure.repeatEnd)) checkProblems(context, jsonPointer(pointer, "repeatEnd"), () => validateRepeatEnd(globalMeasure.repeatEnd));
+        if (("ending" in globalMeasure) && isObject(globalMeasure.ending)) checkProblems(context, jsonPointer(pointer, "ending"), () => validateEnding(globalMeasure.ending));
+        if (("barline" in globalMeasure) && isObject(globalMeasure.barline)) checkProblems(context, jsonPointer(pointer, "barline"), () => validateBarline(globalMeasure.barline));
+        if (("time" in globalMeasure) && isObject(globalMeasure.time)) checkProblems(context, jsonPointer(pointer, "time"), () => validateTimeSignature(globalMeasure.time));
+        if (("key" in globalMeasure) && isObject(globalMeasure.key) && checkProblems(context, jsonPointer(pointer, "key"), () => validateKeySignature(globalMeasure.key))) {
+            checkProblems(context, jsonPointer(pointer, "key"), () => keyFromMNX(globalMeasure.key));
+        }
+
+        if (("tempos" in globalMeasure) && checkProblems(context, jsonPointer(pointer, "tempos"), () => {
+            if (!(globalMeasure.tempos instanceof Array)) throw new MNXParseError("Global measure tempos must be an array.");
+        })) globalMeasure.tempos.map((tempo, idx) => {
+            let tempoPointer = jsonPointer(jsonPointer(pointer, "tempos"), idx);
+
+            if (!checkObject(context, tempo, tempoPointer, "Tempo") || !checkProblems(context, tempoPointer, () => validateTempo(tempo))) return;
+            checkProblems(context, jsonPointer(tempoPointer, "value"), () => parseDuration(tempo.value));
+        });
+        return;
+    }
+
+    function walkScore(mnxScore, pointer, measureIndices, context) {
+        /**
+         * Checks a score, and the measures its systems start at
+         * 
+         * @param {object} mnxScore A score object
+         * @param {string} pointer The JSON pointer of the score
+         * @param {object} measureIndices The position of each global measure, by its MNX index
+         * @param {object} context The validation context - will be modified
+         */
+
+        if (!checkObject(context, mnxScore, pointer, "Score")) return;
+        if ("layout" in mnxScore) addValidationReference(context, mnxScore.layout, "layout", jsonPointer(pointer, "layout"), "Score layout");
+        if (!("pages" in mnxScore)) return;
+        if (!checkProblems(context, jsonPointer(pointer, "pages"), () => {
+            if (!(mnxScore.pages instanceof Array)) throw new MNXParseError("Score pages must be an array.");
+        })) return;
+        mnxScore.pages.map((page, pageIdx) => {
+            let pagePointer = jsonPointer(jsonPointer(pointer, "pages"), pageIdx);
+
+            if (!checkObject(context, page, pagePointer, "Page") || !checkProblems(context, pagePointer, () => validatePage(page))) return;
+            page.systems.map((system, systemIdx) => {
+                let systemPointer = jsonPointer(jsonPointer(pagePointer, "systems"), systemIdx);
+
+                if (checkObject(context, system, systemPointer, "System")) checkProblems(context, systemPointer, () => getSystemMeasure(system, measureIndices));
+            });
+        });
+        return;
+    }
+
+    function walkLayoutContent(content, pointer, partStaves, context) {
+        /**
+         * Checks the items of a layout or of a group in it, along with any groups inside them
+         * 
+         * @param {Array} content The layout items
+         * @param {string} pointer The JSON pointer of the array
+         * @param {object} partStaves The number of staves of each part, by its ID
+         * @param {object} context The validation context - will be modified
+         */
+
+        content.map((item, idx) => {
+            let itemPointer = jsonPointer(pointer, idx);
+
+            if (!checkObject(context, item, itemPointer, "Layout item") || !checkProblems(context, itemPointer, () => validateLayoutItem(item))) return;
+            if (item.type == "group") {
+                walkLayoutContent(item.content, jsonPointer(itemPointer, "content"), partStaves, context);
+                return;
+            }
+
+            item.sources.map((source, sourceIdx) => {
+                let sourcePointer = jsonPointer(jsonPointer(itemPointer, "sources"), sourceIdx);
+
+                if (!checkObject(context, source, sourcePointer, "Staff source") || !checkProblems(context, sourcePointer, () => validateStaffSource(source))) return;
+                addValidationReference(context, source.part, "part", jsonPointer(sourcePointer, "part"), "Staff source part");
+                // a missing part is reported with the other references
+                if (Object.hasOwn(partStaves, source.part)) checkProblems(context, sourcePointer, () => getStaffIndex(source, partStaves[source.part]));
+            });
+        });
+        return;
+    }
+
+    function walkLayout(layout, pointer, partStaves, context) {
+        /**
+         * Checks a layout, which groups the staves of the parts
+         * 
+         * @param {object} layout A layout object
+         * @param {string} pointer The JSON pointer of the layout
+         * @param {object} partStaves The number of staves of each part, by its ID
+         * @param {object} context The validation context - will be modified
+         */
+
+        if (!checkObject(context, layout, pointer, "Layout") || !checkProblems(context, pointer, () => validateLayout(layout))) return;
+        addValidationID(context, layout.id, "layout", jsonPointer(pointer, "id"));
+        walkLayoutContent(layout.content, jsonPointer(pointer, "content"), partStaves, context);
+        return;
+    }
+
+    function sourceLocation(lineStarts, start, end) {
+        /**
+         * Describes a span of a source text
+         * 
+         * @param {Array} lineStarts The offset of the start of each line of the text
+         * @param {number} start The offset of the start of the span
+         * @param {number} end The offset just past the end of the span
+         * 
+         * @returns {object} A source location, with the offsets and the line and column the span starts at
+         */
+
+        let low, high;
+
+        // find the last line starting at or before the span
+        low = 0;
+        high = lineStarts.length - 1;
+        while (low < high) {
+            let mid = Math.ceil((low + high) / 2);
+
+            if (lineStarts[mid] <= start) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+
+        }
+
+        return Object.assign(structuredClone(sourceLocationTemplate), {"start": start, "end": end, "line": low + 1, "column": start - lineStarts[low] + 1});
+    }
+
+    function getJSONLocations(text) {
+        /**
+         * Finds where each value of a JSON document sits in its text, so that problems found by JSON pointer can be shown in the source
+         * 
+         * @param {string} text A JSON document
+         * 
+         * @returns {object} The source location of each value, by its JSON pointer; bad JSON throws a SyntaxError with the location of the problem
+         */
+
+        let result, lineStarts, idx, fail, skipWhitespace, readString, readValue;
+
+        result = {};
+        lineStarts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] == '\n') lineStarts.push(i + 1);
+        }
+
+        idx = 0;
+        fail = (expected) => {
+            let location, error;
+
+            location = sourceLocation(lineStarts, idx, Math.min(idx + 1, text.length));
+            error = new SyntaxError(`Expected ${expected}.`);
+            error.location = location;
+            throw error;
+        };
+        skipWhitespace = () => {
+            while ((idx < text.length) && jsonWhitespace.includes(text[idx])) idx++;
+        };
+        readString = () => {
+            let match;
+
+            jsonStringPattern.lastIndex = idx;
+            match = jsonStringPattern.exec(text);
+            if (match === null) fail("a string");
+            idx += match[0].length;
+            return JSON.parse(match[0]);
+        };
+        readValue = (pointer) => {
+            let start;
+
+            skipWhitespace();
+            start = idx;
+            if (text[idx] == '{') {
+                idx++;
+                skipWhitespace();
+                if (text[idx] == '}') {
+                    idx++;
+                } else {
+                    while (true) {
+                        let key;
+
+                        skipWhitespace();
+                        key = readString();
+                        skipWhitespace();
+                        if (text[idx] != ':') fail("':'");
+                        idx++;
+                        readValue(jsonPointer(pointer, key));
+                        skipWhitespace();
+                        if (text[idx] == '}') break;
+                        if (text[idx] != ',') fail("',' or '}'");
+                        idx++;
+                    }
+
+                    idx++;
+                }
+
+            } else if (text[idx] == '[') {
+                idx++;
+                skipWhitespace();
+                if (text[idx] == ']') {
+                    idx++;
+                } else {
+                    for (let i = 0; true; i++) {
+                        readValue(jsonPointer(pointer, i));
+                        skipWhitespace();
+                        if (text[idx] == ']') break;
+                        if (text[idx] != ',') fail("',' or ']'");
+                        idx++;
+                    }
+
+                    idx++;
+                }
+
+            } else if (text[idx] == '"') {
+                readString();
+            } else {
+                let match;
+
+                // numbers, true, false, and null
+                jsonLiteralPattern.lastIndex = idx;
+                match = jsonLiteralPattern.exec(text);
+                if (match === null) fail("a value");
+                idx += match[0].length;
+            }
+
+            result[pointer] = sourceLocation(lineStarts, start, idx);
+        };
+        readValue("");
+        skipWhitespace();
+        if (idx < text.length) fail("the end of the document");
+        return result;
+    }
+
+    function getPointerLocation(locations, pointer) {
+        /**
+         * Finds where the object a JSON pointer refers to is in the source, falling back to the nearest enclosing object that exists
+         * 
+         * @param {object} locations The source locations of a document, by JSON pointer
+         * @param {string} pointer A JSON pointer
+         * 
+         * @returns {object} A source location, or null if the document has none
+         */
+
+        // a missing field is reported on the object that should have had it
+        while (!Object.hasOwn(locations, pointer) && (pointer != "")) pointer = pointer.slice(0, pointer.lastIndexOf('/'));
+        if (!Object.hasOwn(locations, pointer)) return null;
+        return locations[pointer];
+    }
+
+    function validateMNX(mnx) {
+        /**
+         * Checks a whole MNX document, finding every problem instead of stopping at the first
+         * 
+         * @param {object} mnx A potential MNX object
+         * 
+         * @returns {object} An object with arrays of errors and warnings, each with the JSON pointer of the object it concerns and a message
+         */
+
+        let context;
+
+        context = structuredClone(validationContextTemplate);
+        if (!checkObject(context, mnx, "", "MNX document") || !checkProblems(context, "", () => validateMNXObject(mnx))) return {"errors": context.errors, "warnings": context.warnings};
+        if (checkObject(context, mnx.mnx, "/mnx", "Metadata") && checkProblems(context, "/mnx", () => validateMNXMetadata(mnx.mnx))) {
+            checkProblems(context, "/mnx/version", () => {
+                if (getMNXVersion(mnx) != 1) throw new MNXParseError("Unsupported version.");
+            });
+        }
+
+        if (checkObject(context, mnx.global, "/global", "Global") && checkProblems(context, "/global", () => validateMNXGlobal(mnx.global))) {
+            mnx.global.measures.map((globalMeasure, idx) => walkGlobalMeasure(globalMeasure, jsonPointer("/global/measures", idx), context));
+            context.measures = getMeasureIndices(mnx.global.measures);
+        }
+
+        mnx.parts.map((part, partIdx) => {
+            let partPointer = jsonPointer("/parts", partIdx);
+
+            if (!checkObject(context, part, partPointer, "Part") || !checkProblems(context, partPointer, () => validatePart(part))) return;
+            if ("id" in part) addValidationID(context, part.id, "part", jsonPointer(partPointer, "id"));
+            if (("transposition" in part) && checkObject(context, part.transposition, jsonPointer(partPointer, "transposition"), "Part transposition")) {
+                checkProblems(context, jsonPointer(partPointer, "transposition"), () => validateTransposition(part.transposition));
+            }
+
+            if (isObject(mnx.global) && (mnx.global.measures instanceof Array)) checkProblems(context, jsonPointer(partPointer, "measures"), () => {
+                if (part.measures.length != mnx.global.measures.length) throw new MNXParseError("Global and parts measures arrays have unmatching measure counts.");
+            });
+            part.measures.map((partMeasure, idx) => walkPartMeasure(partMeasure, jsonPointer(jsonPointer(partPointer, "measures"), idx), getPartStaves(part), context));
+        });
+        // layouts say how the staves of the parts are grouped
+        if (("layouts" in mnx) && checkProblems(context, "/layouts", () => {
+            if (!(mnx.layouts instanceof Array)) throw new MNXParseError("Layouts must be an array.");
+        })) {
+            mnx.layouts.map((layout, idx) => walkLayout(layout, jsonPointer("/layouts", idx), getPartStavesByID(mnx.parts), context));
+        }
+
+        // scores say where the systems and pages of an engraving start
+        if (("scores" in mnx) && checkProblems(context, "/scores", () => {
+            if (!(mnx.scores instanceof Array)) throw new MNXParseError("Scores must be an array.");
+        }) && isObject(mnx.global) && (mnx.global.measures instanceof Array)) {
+            mnx.scores.map((mnxScore, idx) => walkScore(mnxScore, jsonPointer("/scores", idx), getMeasureIndices(mnx.global.measures), context));
+        }
+
+        // references can point anywhere in the document, so they are checked once every ID is known
+        context.references.map((reference) => checkProblems(context, reference.pointer, () => {
+            if (!Object.hasOwn(context.ids, reference.id)) throw new MNXParseError(`${reference.name} ${reference.id} does not exist.`);
+            if (context.ids[reference.id].kind != reference.kind) throw new MNXParseError(`${reference.name} ${reference.id} does not refer to ${validationKindNames[reference.kind]}.`);
+        }));
+        return {"errors": context.errors, "warnings": context.warnings};
+    }
+
+    return {getJSONLocations, getPointerLocation, validateMNX};
+})();
+
+// when loaded as a Node.js module, export the namespace the other modules import from
+if (typeof module != "undefined") module.exports = mnxValidate;
@@ -0,0 +1,96 @@
+// Checks which notes are given accidentals
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {loadViewer, loadExample, renderExample} = require("./helpers.js");
+
+const {resolveAccidentals, startMeasureAccidentals, keyFromMNX, getPitchSpelling, addFractions} = loadViewer();
+
+function startStaff(fifths) {
+    /**
+     * Makes the state of a sequence at the start of a staff
+     * 
+     * @param {number} fifths The key signature of the staff
+     * 
+     * @returns {object} A sequence state, with no accidentals yet
+     */
+
+    return {"offset": [0, 1], "index": 0, "accidentals": {"key": keyFromMNX({"fifths": fifths}), "measure": {}, "previous": {}}};
+}
+
+function play(state, pitches, ties = [], noteIDs = []) {
+    /**
+     * Reads a run of single notes, a quarter note apart, and finds their accidentals
+     * 
+     * @param {object} state A sequence state - will be modified
+     * @param {Array} pitches An array of MNX pitches, or of notes of the score model for notes with more than a pitch
+     * @param {Array} ties The ties waiting for their notes
+     * @param {Array} noteIDs The IDs of the notes
+     * 
+     * @returns {Array} The accidental of each note, or null where none is shown
+     */
+
+    return pitches.map((pitch, pitchIdx) => {
+        let note, result;
+
+        note = ("pitch" in pitch) ? pitch : {"pitch": pitch, "accidentalDisplay": null};
+        note.pitch = Object.assign(getPitchSpelling(note.pitch), {"octave": note.pitch.octave});
+        result = resolveAccidentals([note], [noteIDs[pitchIdx]], {"ids": ties, "partial": []}, state)[0];
+        state.offset = addFractions(state.offset, [1, 4]);
+        return result;
+    });
+}
+
+const sharp = {"alter": 1, "cautionary": false};
+const natural = {"alter": 0, "cautionary": false};
+
+test("notes outside the key are given accidentals, once in each measure", () => {
+    let state = startStaff(0);
+
+    assert.deepStrictEqual(play(state, [{"step": 'F', "alter": 1, "octave": 4}, {"step": 'F', "alter": 1, "octave": 4}, {"step": 'F', "octave": 4}]), [sharp, null, natural]);
+});
+
+test("notes in the key need no accidentals", () => {
+    assert.deepStrictEqual(play(startStaff(1), [{"step": 'F', "alter": 1, "octave": 4}, {"step": 'C', "octave": 5}]), [null, null]);
+    assert.deepStrictEqual(play(startStaff(1), [{"step": 'F', "octave": 4}]), [natural]);
+});
+
+test("accidentals hold only for their own octave", () => {
+    assert.deepStrictEqual(play(startStaff(0), [{"step": 'F', "alter": 1, "octave": 4}, {"step": 'F', "alter": 1, "octave": 5}]), [sharp, sharp]);
+});
+
+test("sharps and flats spelled into the step count as alterations", () => {
+    assert.deepStrictEqual(play(startStaff(0), [{"step": "F#", "octave": 4}, {"step": 'F', "alter": 1, "octave": 4}]), [sharp, null]);
+});
+
+test("a note altered in the previous measure is reminded of the key after the barline", () => {
+    let state = startStaff(0);
+
+    play(state, [{"step": 'F', "alter": 1, "octave": 4}]);
+    startMeasureAccidentals(state.accidentals, state.accidentals.key);
+    state.offset = [0, 1];
+    assert.deepStrictEqual(play(state, [{"step": 'F', "octave": 4}, {"step": 'F', "octave": 4}]), [natural, null]);
+});
+
+test("notes continuing a tie keep the accidental of the note they are tied from", () => {
+    let state = startStaff(0);
+
+    play(state, [{"step": 'F', "alter": 1, "octave": 4}], [{"source": "n1", "destination": "n2"}], ["n1"]);
+    startMeasureAccidentals(state.accidentals, state.accidentals.key);
+    state.offset = [0, 1];
+    assert.deepStrictEqual(play(state, [{"step": 'F', "alter": 1, "octave": 4}, {"step": 'F', "alter": 1, "octave": 4}], [{"destination": "n2"}], ["n2", "n3"]), [null, sharp]);
+});
+
+test("accidental displays in the MNX override the rules", () => {
+    let state = startStaff(0);
+
+    assert.deepStrictEqual(play(state, [
+        {"pitch": {"step": 'C', "octave": 4}, "accidentalDisplay": {"show": true, "cautionary": true, "editorial": false}}, 
+        {"pitch": {"step": 'F', "alter": 1, "octave": 4}, "accidentalDisplay": {"show": false, "cautionary": false, "editorial": false}}, 
+        {"pitch": {"step": 'G', "octave": 4}, "accidentalDisplay": {"show": true, "cautionary": false, "editorial": true}}, 
+    ]), [{"alter": 0, "cautionary": true}, null, {"alter": 0, "cautionary": true}]);
+});
+
+test("the accidentals example is drawn", () => {
+    assert.ok(renderExample(loadExample("example_accidentals.json")));
+});
@@ -0,0 +1,72 @@
+// Checks the barline types and how repeats share barlines
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {loadViewer, loadExample, renderExample} = require("./helpers.js");
+
+const {parseScore, validateBarline, validateMNX, barlineTypes, MNXParseError, UnsupportedFeatureError} = loadViewer();
+
+function scale(first, second) {
+    /**
+     * Loads the two-bar scale, with fields added to its global measures
+     * 
+     * @param {object} first Fields of the first measure
+     * @param {object} second Fields of the second measure
+     * 
+     * @returns {object} An MNX object
+     */
+
+    let mnx = loadExample("example_two_bar_c_major_scale.json");
+
+    Object.assign(mnx.global.measures[0], first);
+    Object.assign(mnx.global.measures[1], second);
+    return mnx;
+}
+
+function getBarlines(svg) {
+    /**
+     * Finds the barlines drawn in an image
+     * 
+     * @param {SVGElement} svg An image
+     * 
+     * @returns {Array} The number of rectangles and paths of each barline, in the order they are drawn
+     */
+
+    return Array.from(svg.querySelectorAll(".vf-stavebarline")).map((group) => [group.querySelectorAll("rect").length, group.querySelectorAll("path").length]);
+}
+
+test("measures keep the type of their barline", () => {
+    assert.deepStrictEqual(parseScore(loadExample("example_two_bar_c_major_scale.json")).measures.map((measure) => measure.barline), [null, "regular"]);
+    assert.deepStrictEqual(parseScore(scale({"barline": {"type": "heavy-light"}}, {})).measures.map((measure) => measure.barline), ["heavy-light", "regular"]);
+});
+
+test("barlines must have a type the viewer knows", () => {
+    barlineTypes.map((type) => validateBarline({"type": type}));
+    assert.throws(() => validateBarline({}), MNXParseError);
+    assert.throws(() => validateBarline({"type": "wavy"}), UnsupportedFeatureError);
+    assert.throws(() => parseScore(scale({"barline": "double"}, {})), MNXParseError);
+    assert.deepStrictEqual(validateMNX(scale({"barline": {"type": "wavy"}}, {"barline": {}})), {
+        "errors": [{"pointer": "/global/measures/1/barline", "message": "Barline object missing type."}],
+        "warnings": [{"pointer": "/global/measures/0/barline", "message": "Unsupported barline type wavy."}],
+    });
+});
+
+test("every barline type is drawn", () => {
+    // each stave draws a barline at its start and at its end, and the first stave's end barline is the second drawn
+    assert.deepStrictEqual(getBarlines(renderExample(scale({}, {}), {"width": 800})), [[1, 0], [1, 0], [1, 0], [1, 0]]);
+    assert.deepStrictEqual(getBarlines(renderExample(scale({"barline": {"type": "double"}}, {}), {"width": 800}))[1], [2, 0]);
+    assert.deepStrictEqual(getBarlines(renderExample(scale({"barline": {"type": "dashed"}}, {}), {"width": 800}))[1], [6, 0]);
+    assert.deepStrictEqual(getBarlines(renderExample(scale({"barline": {"type": "none"}}, {}), {"width": 800}))[1], [0, 0]);
+    assert.deepStrictEqual(getBarlines(renderExample(scale({}, {"barline": {"type": "heavy-light"}}), {"width": 800}))[3], [2, 0]);
+    barlineTypes.map((type) => {
+        assert.strictEqual(getBarlines(renderExample(scale({"barline": {"type": type}}, {}), {"width": 800})).length, 4);
+    });
+});
+
+test("repeats take the place of the barlines they fall on", () => {
+    // the dots of a repeat sign are paths
+    assert.deepStrictEqual(getBarlines(renderExample(scale({"repeatEnd": {}, "barline": {"type": "dashed"}}, {}), {"width": 800})), [[1, 0], [2, 2], [0, 0], [1, 0]]);
+    assert.deepStrictEqual(getBarlines(renderExample(scale({"barline": {"type": "double"}}, {"repeatStart": {}}), {"width": 800})), [[1, 0], [0, 0], [2, 2], [1, 0]]);
+    // back to back, both are kept
+    assert.deepStrictEqual(getBarlines(renderExample(scale({"repeatEnd": {}}, {"repeatStart": {}}), {"width": 800})), [[1, 0], [2, 2], [2, 2], [1, 0]]);
+});
@@ -0,0 +1,64 @@
+// Checks secondary beams, beam hooks, and beams split across lines
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {loadViewer, loadExample, renderExample} = require("./helpers.js");
+
+const {getBeamLevels, sliceBeamLevels, MNXParseError} = loadViewer();
+
+function segment(start, end, direction = null) {
+    /**
+     * Makes a segment of a secondary beam
+     * 
+     * @param {number} start The index of its first note in the beam
+     * @param {number} end The index of its last note in the beam
+     * @param {string} direction The direction of a hook, or null
+     * 
+     * @returns {object} A beam segment
+     */
+
+    return {"start": start, "end": end, "direction": direction};
+}
+
+test("beams without inner beams or hooks are left to VexFlow", () => {
+    assert.strictEqual(getBeamLevels({"events": ["e1", "e2"]}), null);
+    assert.strictEqual(sliceBeamLevels(null, 0, 1), null);
+});
+
+test("a dotted eighth and sixteenth has a hook", () => {
+    let beam = {"events": ["e1", "e2"], "hooks": [{"event": "e2", "direction": "left"}]};
+
+    assert.deepStrictEqual(getBeamLevels(beam), [[segment(1, 1, "left")]]);
+});
+
+test("inner beams are read level by level", () => {
+    let beam = {
+        "events": ["e1", "e2", "e3", "e4"], 
+        "inner": [
+            {"events": ["e1", "e2"], "inner": [{"events": ["e1", "e2"]}]}, 
+            {"events": ["e3", "e4"]}, 
+        ], 
+    };
+
+    // the level below the innermost beams is empty
+    assert.deepStrictEqual(getBeamLevels(beam), [[segment(0, 1), segment(2, 3)], [segment(0, 1)], []]);
+});
+
+test("inner beams and hooks must be on events of their beam", () => {
+    assert.throws(() => getBeamLevels({"events": ["e1", "e2"], "inner": [{"events": ["e2", "e3"]}]}), MNXParseError);
+    assert.throws(() => getBeamLevels({"events": ["e1", "e2"], "hooks": [{"event": "e3", "direction": "left"}]}), MNXParseError);
+    assert.throws(() => getBeamLevels({"events": ["e1", "e2"], "hooks": [{"event": "e2", "direction": "up"}]}), MNXParseError);
+});
+
+test("a beam split across lines keeps its secondary beams on each side", () => {
+    let levels = [[segment(0, 3)], [segment(1, 2)]];
+
+    assert.deepStrictEqual(sliceBeamLevels(levels, 0, 1), [[segment(0, 1)], [segment(1, 1, "right")]]);
+    assert.deepStrictEqual(sliceBeamLevels(levels, 2, 3), [[segment(0, 1)], [segment(0, 0, "left")]]);
+});
+
+test("scores with hooks, broken secondary beams, and beams across barlines are drawn", () => {
+    ["example_beam_hooks.json", "example_secondary_beam_breaks@.json", "example_beams_across_barlines.json"].map((name) => {
+        assert.ok(renderExample(loadExample(name)).querySelectorAll(".vf-beam").length > 0, name);
+    });
+});
@@ -0,0 +1,88 @@
+// Checks clefs, and where rests go on the staves they set
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {loadViewer, loadExample, renderExample} = require("./helpers.js");
+
+const {clefFromMNX, staffposToPitch, UnsupportedFeatureError} = loadViewer();
+
+function scaleWithClef(clef) {
+    /**
+     * Makes the C major scale, on a staff with another clef
+     * 
+     * @param {object} clef An MNX clef
+     * 
+     * @returns {object} An MNX object
+     */
+
+    let mnx = loadExample("example_two_bar_c_major_scale.json");
+
+    mnx.parts[0].measures[0].clefs = [{"clef": clef}];
+    return mnx;
+}
+
+function getNoteheadYs(svg) {
+    /**
+     * Finds how high each notehead of a drawing is
+     * 
+     * @param {SVGElement} svg The drawing
+     * 
+     * @returns {Array} The y-position each notehead is drawn at, in order
+     */
+
+    return Array.from(svg.querySelectorAll(".vf-notehead path"), (path) => Math.round(Number(/^M[\d.-]+ ([\d.-]+)/.exec(path.getAttribute("d"))[1])));
+}
+
+test("clefs are named by their sign and line", () => {
+    assert.deepStrictEqual(clefFromMNX({"sign": 'G', "staffPosition": -2}), {"name": "treble", "octave": 0});
+    assert.deepStrictEqual(clefFromMNX({"sign": 'F', "staffPosition": 2}), {"name": "bass", "octave": 0});
+    assert.deepStrictEqual(clefFromMNX({"sign": 'C', "staffPosition": 0}), {"name": "alto", "octave": 0});
+    assert.deepStrictEqual(clefFromMNX({"sign": 'C', "staffPosition": 2}), {"name": "tenor", "octave": 0});
+    assert.deepStrictEqual(clefFromMNX({"sign": 'C', "staffPosition": -4}), {"name": "soprano", "octave": 0});
+    assert.deepStrictEqual(clefFromMNX({"sign": "percussion"}), {"name": "percussion", "octave": 0});
+    assert.throws(() => clefFromMNX({"sign": 'G', "staffPosition": 0}), UnsupportedFeatureError);
+});
+
+test("octave clefs keep their octave, where it can be drawn", () => {
+    assert.deepStrictEqual(clefFromMNX({"sign": 'G', "staffPosition": -2, "octave": -1}), {"name": "treble", "octave": -1});
+    assert.deepStrictEqual(clefFromMNX({"sign": 'G', "staffPosition": -2, "octave": 1}), {"name": "treble", "octave": 1});
+    assert.deepStrictEqual(clefFromMNX({"sign": 'F', "staffPosition": 2, "octave": -1}), {"name": "bass", "octave": -1});
+    assert.throws(() => clefFromMNX({"sign": 'C', "staffPosition": 0, "octave": 1}), UnsupportedFeatureError);
+});
+
+test("staff positions are read through the clef", () => {
+    assert.deepStrictEqual(staffposToPitch(0, {"name": "alto", "octave": 0}), {"step": 'C', "alter": 0, "octave": 4});
+    assert.deepStrictEqual(staffposToPitch(2, {"name": "tenor", "octave": 0}), {"step": 'C', "alter": 0, "octave": 4});
+    assert.deepStrictEqual(staffposToPitch(-4, {"name": "bass", "octave": 0}), {"step": 'G', "alter": 0, "octave": 2});
+    // an octave clef moves the pitches of its staff by an octave
+    assert.deepStrictEqual(staffposToPitch(0, {"name": "treble", "octave": -1}), {"step": 'B', "alter": 0, "octave": 3});
+});
+
+test("scores in C clefs, octave clefs, and the percussion clef are drawn", () => {
+    [
+        {"sign": 'C', "staffPosition": 0}, 
+        {"sign": 'C', "staffPosition": 2}, 
+        {"sign": 'G', "staffPosition": -2, "octave": -1}, 
+        {"sign": 'F', "staffPosition": 2, "octave": -1}, 
+        {"sign": "percussion"}, 
+    ].map((clef) => assert.strictEqual(renderExample(scaleWithClef(clef)).querySelectorAll(".vf-clef").length, 1, JSON.stringify(clef)));
+});
+
+test("a clef change halfway through a measure moves the notes after it, in that measure and the next", () => {
+    let mnx, ys;
+
+    mnx = loadExample("example_two_bar_c_major_scale.json");
+    mnx.parts[0].measures[0].clefs.push({"clef": {"sign": 'F', "staffPosition": 2}, "position": {"fraction": [1, 2]}});
+    ys = getNoteheadYs(renderExample(mnx));
+    // each step up the scale is half a staff space higher, except across the change, where E4 in the bass clef is thirteen steps above D4 in the treble
+    assert.deepStrictEqual(ys.slice(1).map((y, noteIdx) => ys[noteIdx] - y), [5, 65, 5, 5, 5, 5, 5]);
+});
+
+test("a clef change at the start of a measure replaces the clef", () => {
+    let mnx, ys;
+
+    mnx = loadExample("example_two_bar_c_major_scale.json");
+    mnx.parts[0].measures[1].clefs = [{"clef": {"sign": 'F', "staffPosition": 2}}];
+    ys = getNoteheadYs(renderExample(mnx));
+    assert.strictEqual(ys[3] - ys[4], 65);
+});
@@ -0,0 +1,118 @@
+// Checks the command-line tool
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {execFileSync, spawnSync} = require("child_process");
+
+const cli = path.join(__dirname, "..", "bin", "mnxview.js");
+const examples = path.join(__dirname, "..", "examples");
+const {parseArgs, parseInterval} = require(cli);
+
+test("arguments are read into files and options", () => {
+    assert.deepStrictEqual(parseArgs(["-w", "800", "a.json", "--scale", "0.5", "--out-dir", "out", "b.json"]), {"files": ["a.json", "b.json"], "options": {"width": 800, "scale": 0.5}, "outDir": "out", "help": false, "validate": false});
+    assert.strictEqual(parseArgs(["--validate", "a.json"]).validate, true);
+    assert.deepStrictEqual(parseArgs(["--paper", "A4", "--margins", "10", "--staff-size", "6"]).options, {"layout": "pages", "paperSize": "a4", "margins": 10, "staffSize": 6});
+    assert.throws(() => parseArgs(["--paper"]), /--paper requires a paper size/);
+    assert.deepStrictEqual(parseArgs(["-m", "4", "--auto-breaks"]).options, {"measuresPerSystem": 4, "breaks": "auto"});
+    assert.deepStrictEqual(parseArgs(["--concert"]).options, {"pitch": "concert"});
+    assert.deepStrictEqual(parseArgs(["-t", "-m3"]).options, {"transpose": {"staffDistance": -2, "halfSteps": -3}});
+    assert.throws(() => parseArgs(["--transpose"]), /--transpose requires an interval/);
+    assert.strictEqual(parseArgs(["--help"]).help, true);
+    assert.throws(() => parseArgs(["--width", "wide"]), /--width requires a number/);
+    assert.throws(() => parseArgs(["--out-dir"]), /--out-dir requires a directory/);
+    assert.throws(() => parseArgs(["--colour"]), /Unknown option --colour/);
+});
+
+test("intervals are read from their quality and number", () => {
+    assert.deepStrictEqual(parseInterval("M2"), {"staffDistance": 1, "halfSteps": 2});
+    assert.deepStrictEqual(parseInterval("-m3"), {"staffDistance": -2, "halfSteps": -3});
+    assert.deepStrictEqual(parseInterval("P5"), {"staffDistance": 4, "halfSteps": 7});
+    assert.deepStrictEqual(parseInterval("A4"), {"staffDistance": 3, "halfSteps": 6});
+    assert.deepStrictEqual(parseInterval("d5"), {"staffDistance": 4, "halfSteps": 6});
+    assert.deepStrictEqual(parseInterval("+M9"), {"staffDistance": 8, "halfSteps": 14});
+    assert.throws(() => parseInterval("P2"), /There is no interval P2/);
+    assert.throws(() => parseInterval("M4"), /There is no interval M4/);
+    assert.throws(() => parseInterval("M0"), /Unrecognized interval M0/);
+    assert.throws(() => parseInterval("third"), /Unrecognized interval third/);
+});
+
+test("each score is written to an SVG file of the same name", () => {
+    let outDir, output, svg;
+
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), "mnxview-"));
+    try {
+        output = execFileSync(process.execPath, [cli, "--width", "800", "--out-dir", outDir, path.join(examples, "example_hello_world.json")], {"encoding": "utf8"});
+        assert.match(output, /example_hello_world\.json -> .*example_hello_world\.svg/);
+        svg = fs.readFileSync(path.join(outDir, "example_hello_world.svg"), "utf8");
+        assert.ok(svg.startsWith("<?xml"));
+        assert.match(svg, /<svg[^>]* xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+        assert.match(svg, /<svg[^>]* width="800"/);
+    } finally {
+        fs.rmSync(outDir, {"recursive": true, "force": true});
+    }
+
+});
+
+test("scores laid out on pages are written to a file for each page", () => {
+    let outDir, output;
+
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), "mnxview-"));
+    try {
+        output = execFileSync(process.execPath, [cli, "--paper", "a4", "--staff-size", "9", "-o", outDir, path.join(examples, "bach_minuet_grand_staff.json")], {"encoding": "utf8"});
+        assert.deepStrictEqual(fs.readdirSync(outDir).sort(), ["bach_minuet_grand_staff-1.svg", "bach_minuet_grand_staff-2.svg"]);
+        assert.match(output, /bach_minuet_grand_staff-2\.svg/);
+        assert.match(fs.readFileSync(path.join(outDir, "bach_minuet_grand_staff-2.svg"), "utf8"), /<svg[^>]* height="297mm"/);
+    } finally {
+        fs.rmSync(outDir, {"recursive": true, "force": true});
+    }
+
+});
+
+test("scores that cannot be rendered are reported and fail the run", () => {
+    let outDir, result;
+
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), "mnxview-"));
+    try {
+        fs.writeFileSync(path.join(outDir, "bad.json"), "{");
+        result = spawnSync(process.execPath, [cli, path.join(outDir, "bad.json"), path.join(outDir, "missing.json")], {"encoding": "utf8"});
+        assert.strictEqual(result.status, 1);
+        assert.match(result.stderr, /bad\.json: .*JSON/);
+        assert.match(result.stderr, /missing\.json: ENOENT/);
+        assert.ok(!fs.existsSync(path.join(outDir, "bad.svg")));
+    } finally {
+        fs.rmSync(outDir, {"recursive": true, "force": true});
+    }
+
+});
+
+test("validating lists every problem with where it is", () => {
+    let outDir, mnx, result;
+
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), "mnxview-"));
+    try {
+        mnx = JSON.parse(fs.readFileSync(path.join(examples, "example_two_bar_c_major_scale.json"), "utf8"));
+        mnx.parts[0].measures[0].sequences[0].content[0].notes[0].pitch.step = 'H';
+        mnx.parts[0].measures[1].sequences[0].content[0].notes[0].pitch.step = 'J';
+        fs.writeFileSync(path.join(outDir, "bad.json"), JSON.stringify(mnx));
+        result = spawnSync(process.execPath, [cli, "--validate", path.join(outDir, "bad.json"), path.join(examples, "example_hello_world.json")], {"encoding": "utf8"});
+        assert.strictEqual(result.status, 1);
+        assert.match(result.stderr, /bad\.json:1:\d+: error: Unknown step H\. \(\/parts\/0\/measures\/0\/sequences\/0\/content\/0\/notes\/0\/pitch\)/);
+        assert.match(result.stderr, /bad\.json:1:\d+: error: Unknown step J\. \(\/parts\/0\/measures\/1\/sequences\/0\/content\/0\/notes\/0\/pitch\)/);
+        assert.doesNotMatch(result.stderr, /hello_world/);
+        assert.ok(!fs.existsSync(path.join(outDir, "bad.svg")));
+    } finally {
+        fs.rmSync(outDir, {"recursive": true, "force": true});
+    }
+
+});
+
+test("running without files prints the usage", () => {
+    let result;
+
+    result = spawnSync(process.execPath, [cli], {"encoding": "utf8"});
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stdout, /^Usage: mnxview/);
+});
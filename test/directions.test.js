@@ -0,0 +1,99 @@
+// Checks dynamics, hairpins, and text directions
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {loadViewer, loadExample, renderExample} = require("./helpers.js");
+
+const {parseScore, validateMNX, validateDirection, MNXParseError, UnsupportedFeatureError} = loadViewer();
+
+function markedScale() {
+    /**
+     * Loads the two-bar scale, with a dynamic, a text direction, and a crescendo into a dynamic in the second measure
+     * 
+     * @returns {object} An MNX object
+     */
+
+    let mnx = loadExample("example_two_bar_c_major_scale.json");
+
+    mnx.parts[0].measures[0].dynamics = [{"value": "mf"}];
+    mnx.parts[0].measures[0].directions = [
+        {"type": "wedge", "value": "crescendo", "position": {"fraction": [1, 4]}, "end": {"bar": 2, "position": {"fraction": [1, 4]}}},
+        {"type": "text", "value": "dolce"},
+    ];
+    mnx.parts[0].measures[1].sequences[0].content.splice(1, 0, {"type": "dynamic", "value": "ff"});
+    return mnx;
+}
+
+test("directions are read from part measures and sequences", () => {
+    let score = parseScore(markedScale());
+
+    assert.deepStrictEqual(score.parts[0].measures[0].directions, [
+        {"type": "dynamic", "staff": 0, "position": [0, 1], "value": "mf", "placement": null, "end": null},
+        {"type": "wedge", "staff": 0, "position": [1, 4], "value": "crescendo", "placement": null, "end": {"measure": 1, "position": [1, 4]}},
+        {"type": "text", "staff": 0, "position": [0, 1], "value": "dolce", "placement": null, "end": null},
+    ]);
+    // a dynamic in a sequence is where the events before it end
+    assert.deepStrictEqual(score.parts[0].measures[1].directions, [{"type": "dynamic", "staff": 0, "position": [1, 4], "value": "ff", "placement": null, "end": null}]);
+});
+
+test("directions must have a value, and wedges an end after their start", () => {
+    let mnx;
+
+    assert.throws(() => validateDirection({"value": "p"}, undefined), MNXParseError);
+    assert.throws(() => validateDirection({"value": "p"}, "tempo"), UnsupportedFeatureError);
+    assert.throws(() => validateDirection({"value": ""}, "dynamic"), MNXParseError);
+    assert.throws(() => validateDirection({"value": "crescendo"}, "wedge"), MNXParseError);
+    assert.throws(() => validateDirection({"value": "p", "placement": "inside"}, "dynamic"), UnsupportedFeatureError);
+    mnx = markedScale();
+    mnx.parts[0].measures[0].directions[0].end = {"bar": 1, "position": {"fraction": [1, 4]}};
+    assert.throws(() => parseScore(mnx), /Wedge must end after it starts/);
+    mnx = markedScale();
+    mnx.parts[0].measures[0].dynamics[0].position = {"fraction": [4, 4]};
+    assert.throws(() => parseScore(mnx), /Dynamic is past the end of its measure/);
+    mnx = markedScale();
+    mnx.parts[0].measures[0].dynamics[0].value = "";
+    mnx.parts[0].measures[0].directions[0].end.bar = 7;
+    mnx.parts[0].measures[0].directions.push({"type": "wedge", "value": "swell", "end": {"bar": 1}});
+    assert.deepStrictEqual(validateMNX(mnx), {
+        "errors": [
+            {"pointer": "/parts/0/measures/0/dynamics/0", "message": "Dynamic value must be a non-empty string."},
+            {"pointer": "/parts/0/measures/0/directions/0/end", "message": "Measure 7 does not exist."},
+        ],
+        "warnings": [{"pointer": "/parts/0/measures/0/directions/2", "message": "Unsupported wedge swell."}],
+    });
+});
+
+test("dynamics are drawn with the music font where they can be, and other directions as text", () => {
+    let mnx, svg;
+
+    svg = renderExample(markedScale(), {"width": 800});
+    assert.strictEqual(svg.querySelectorAll(".vf-dynamic").length, 2);
+    assert.strictEqual(svg.querySelectorAll(".vf-hairpin").length, 1);
+    assert.deepStrictEqual(Array.from(svg.querySelectorAll("text.mnx-direction"), (text) => text.textContent), ["dolce"]);
+    mnx = markedScale();
+    mnx.parts[0].measures[0].dynamics[0].value = "sempre f";
+    svg = renderExample(mnx, {"width": 800});
+    assert.strictEqual(svg.querySelectorAll(".vf-dynamic").length, 1);
+    assert.deepStrictEqual(Array.from(svg.querySelectorAll("text.mnx-dynamic"), (text) => text.textContent), ["sempre f"]);
+});
+
+test("directions go on their side of the staff", () => {
+    let mnx, svg, staffTop, staffBottom;
+
+    mnx = markedScale();
+    mnx.parts[0].measures[0].dynamics[0] = {"value": "sempre f", "placement": "above"};
+    mnx.parts[0].measures[0].directions[1].placement = "below";
+    svg = renderExample(mnx, {"width": 800});
+    staffTop = Math.min(...Array.from(svg.querySelectorAll(".vf-stave path"), (line) => Number(/M[^ ]+ ([^L]+)L/.exec(line.getAttribute('d'))[1])));
+    staffBottom = Math.max(...Array.from(svg.querySelectorAll(".vf-stave path"), (line) => Number(/M[^ ]+ ([^L]+)L/.exec(line.getAttribute('d'))[1])));
+    assert.ok(Number(svg.querySelector("text.mnx-dynamic").getAttribute('y')) < staffTop);
+    assert.ok(Number(svg.querySelector("text.mnx-direction").getAttribute('y')) > staffBottom);
+});
+
+test("hairpins are split across systems", () => {
+    let svg = renderExample(markedScale(), {"width": 800, "breaks": "auto", "measuresPerSystem": 1});
+
+    assert.strictEqual(svg.querySelectorAll(".vf-hairpin").length, 1);
+    // each piece is drawn as a pair of lines
+    assert.strictEqual(svg.querySelectorAll(".vf-hairpin path").length, 2);
+});
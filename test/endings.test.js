@@ -0,0 +1,55 @@
+// Checks the volta brackets of alternate endings
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {loadViewer, loadExample, renderExample} = require("./helpers.js");
+
+const {endingToVoltaType, endingToVoltaLabel, validateEnding, Volta, MNXParseError} = loadViewer();
+
+function ending(first, last, open = false) {
+    /**
+     * Makes the ending information of a measure
+     * 
+     * @param {bool} first Whether the measure starts the ending
+     * @param {bool} last Whether the measure finishes the ending
+     * @param {bool} open Whether the ending is open
+     * 
+     * @returns {object} The ending information
+     */
+
+    return {"numbers": [1], "open": open, "first": first, "last": last};
+}
+
+test("brackets are hooked at the start, and at the end of closed endings", () => {
+    assert.strictEqual(endingToVoltaType(ending(true, true)), Volta.type.BEGIN_END);
+    assert.strictEqual(endingToVoltaType(ending(true, true, true)), Volta.type.BEGIN);
+    assert.strictEqual(endingToVoltaType(ending(true, false)), Volta.type.BEGIN);
+    assert.strictEqual(endingToVoltaType(ending(false, false)), Volta.type.MID);
+    assert.strictEqual(endingToVoltaType(ending(false, true)), Volta.type.END);
+    assert.strictEqual(endingToVoltaType(ending(false, true, true)), Volta.type.MID);
+});
+
+test("brackets are labelled with the numbers of their endings", () => {
+    assert.strictEqual(endingToVoltaLabel({"numbers": [1, 2]}), "1, 2.");
+    assert.strictEqual(endingToVoltaLabel({"numbers": []}), "");
+});
+
+test("endings must last at least a measure", () => {
+    assert.throws(() => validateEnding({}), MNXParseError);
+    assert.throws(() => validateEnding({"duration": 0}), MNXParseError);
+    assert.throws(() => validateEnding({"duration": 1, "numbers": 1}), MNXParseError);
+    validateEnding({"duration": 2, "numbers": [1, 2]});
+});
+
+test("each ending is labelled over the score", () => {
+    let labels = Array.from(renderExample(loadExample("example_repeats_alternate_endings_advanced@.json")).querySelectorAll("text"), (text) => text.textContent);
+
+    assert.deepStrictEqual(labels.filter((label) => label.endsWith('.')), ["1, 2.", "3."]);
+});
+
+test("endings cannot run past the end of the score", () => {
+    let mnx = loadExample("example_repeats_alternate_endings_advanced@.json");
+
+    mnx.global.measures[3].ending.duration = 4;
+    assert.throws(() => renderExample(mnx), MNXParseError);
+});
@@ -0,0 +1,116 @@
+// Checks part names and the staff groups of the MNX layout
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {loadViewer, loadExample} = require("./helpers.js");
+
+const viewer = loadViewer();
+
+function renameIDs(part, prefix) {
+    /**
+     * Copies a part, giving its events and notes IDs of its own so that it can appear twice in a score
+     * 
+     * @param {object} part An MNX part
+     * @param {string} prefix The start of the new IDs
+     * 
+     * @returns {object} The copy
+     */
+
+    // the example's IDs are all "ev" or "note" and a number, as are the references to them
+    return JSON.parse(JSON.stringify(part).replace(/"((ev|note)\d+)"/g, `"${prefix}$1"`));
+}
+
+function ensemble() {
+    /**
+     * Builds a score for a piano and two melody parts, named, with a layout bracketing the melodies
+     * 
+     * @returns {object} An MNX object
+     */
+
+    let mnx, melody;
+
+    mnx = loadExample("bach_minuet_grand_staff.json");
+    melody = loadExample("bach_minuet_rh.json").parts[0];
+    mnx.parts = [
+        Object.assign(renameIDs(melody, "fl"), {"id": "P1", "name": "Flute", "short-name": "Fl."}), 
+        Object.assign(renameIDs(melody, "ob"), {"id": "P2", "name": "Oboe", "short-name": "Ob."}), 
+        Object.assign(mnx.parts[0], {"id": "P3", "name": "Piano"}), 
+    ];
+    mnx.layouts = [{"id": "L1", "content": [
+        {"type": "group", "symbol": "bracket", "content": [{"type": "staff", "sources": [{"part": "P1"}]}, {"type": "staff", "sources": [{"part": "P2"}]}]}, 
+        {"type": "group", "symbol": "brace", "content": [{"type": "staff", "sources": [{"part": "P3", "staff": 1}]}, {"type": "staff", "sources": [{"part": "P3", "staff": 2}]}]}, 
+    ]}];
+    mnx.scores = [{"name": "Score", "layout": "L1"}];
+    return mnx;
+}
+
+function getTexts(svg) {
+    /**
+     * Finds the text drawn in an image
+     * 
+     * @param {SVGElement} svg An image
+     * 
+     * @returns {Array} The contents of each text element, in order
+     */
+
+    return Array.from(svg.querySelectorAll("text")).map((text) => text.textContent);
+}
+
+test("the groups of the layout are read by staff", () => {
+    let score = viewer.parseScore(ensemble());
+
+    assert.deepStrictEqual(score.groups.map((group) => [group.symbol, group.firstStaff, group.lastStaff]), [["bracket", 0, 1], ["brace", 2, 3]]);
+    assert.deepStrictEqual(score.parts.map((part) => [part.name, part.shortName]), [["Flute", "Fl."], ["Oboe", "Ob."], ["Piano", null]]);
+});
+
+test("without a layout, the staves of each part are braced", () => {
+    let mnx = ensemble();
+
+    delete mnx.scores;
+    assert.deepStrictEqual(viewer.parseScore(mnx).groups.map((group) => [group.symbol, group.firstStaff, group.lastStaff]), [["brace", 2, 3]]);
+});
+
+test("layouts must refer to parts and symbols that exist", () => {
+    let mnx;
+
+    mnx = ensemble();
+    mnx.scores[0].layout = "L2";
+    assert.throws(() => viewer.parseScore(mnx), /Score layout L2 does not exist/);
+    mnx = ensemble();
+    mnx.layouts[0].content[0].content[1].sources[0].part = "P9";
+    assert.throws(() => viewer.parseScore(mnx), /Staff source part P9 does not exist/);
+    mnx = ensemble();
+    mnx.layouts[0].content[0].symbol = "line";
+    assert.throws(() => viewer.parseScore(mnx), viewer.UnsupportedFeatureError);
+});
+
+test("part names are written on the first system, and short names on the others", () => {
+    let score, texts;
+
+    score = viewer.render(ensemble(), "output", {"width": 1200});
+    texts = getTexts(score.svg);
+    assert.ok(score.systems.length > 1);
+    assert.deepStrictEqual(texts.filter((text) => ["Flute", "Oboe", "Piano"].includes(text)), ["Flute", "Oboe", "Piano"]);
+    assert.strictEqual(texts.filter((text) => text == "Fl.").length, score.systems.length - 1);
+    assert.strictEqual(texts.filter((text) => text == "Ob.").length, score.systems.length - 1);
+    // the first system is pushed in by the longest name, and the others by the longest short name
+    assert.ok(score.systems[0].boundingBox.x > score.systems[1].boundingBox.x);
+    assert.ok(score.systems[1].boundingBox.x > 0);
+    score.destroy();
+});
+
+test("measures are fitted into the room left by the part names", () => {
+    let mnx, plain, named;
+
+    mnx = loadExample("bach_minuet_rh.json");
+    plain = viewer.render(mnx, "output", {"width": 800});
+    mnx.parts[0].name = "A very long name for an instrument";
+    named = viewer.render(mnx, "output", {"width": 800});
+    // a line does not take the measures that would fit on it without the name
+    assert.ok(named.systems[0].measures.length < plain.systems[0].measures.length);
+    assert.ok(named.systems.every((system) => system.boundingBox.x + system.boundingBox.width <= 800));
+    // and a measure that fits on the sheet, but not beside the name, is squeezed
+    assert.deepStrictEqual(viewer.render(mnx, "output", {"width": 500}).warnings, ["Measure 1 is wider than the sheet, so its notes were squeezed together."]);
+    delete mnx.parts[0].name;
+    assert.deepStrictEqual(viewer.render(mnx, "output", {"width": 500}).warnings, []);
+});
@@ -0,0 +1,66 @@
+// Loads the viewer into Node for testing, with a DOM as globals the way a page has one
+
+const fs = require("fs");
+const path = require("path");
+const {JSDOM} = require("jsdom");
+
+// the viewer's modules, in the order the page loads them
+const viewerModules = ["objects.js", "validate.js", "model.js", "midi.js", "engrave.js", "player.js", "common.js"];
+
+let viewer = null;
+
+function loadViewer() {
+    /**
+     * Loads the viewer's modules, once for each test file
+     * 
+     * @returns {object} Looks up the functions, classes, and constants the modules export, by name
+     */
+
+    let dom, exported;
+
+    if (viewer !== null) return viewer;
+    // the score is drawn into the output div, as on the viewer page
+    dom = new JSDOM('<!DOCTYPE html><body><div id="output"></div></body>');
+    globalThis.window = dom.window;
+    globalThis.document = dom.window.document;
+    // each module exports what the others use, along with what the tests check
+    exported = Object.assign({}, ...viewerModules.map((name) => require(path.join(__dirname, "..", "p", name))));
+    viewer = new Proxy(exported, {"get": (target, name) => {
+        if (!(name in target)) throw new ReferenceError(`${String(name)} is not exported by any of the viewer's modules`);
+        return target[name];
+    }});
+    return viewer;
+}
+
+function loadExample(name) {
+    /**
+     * Reads one of the example scores
+     * 
+     * @param {string} name The file name of the example
+     * 
+     * @returns {object} A fresh copy of the MNX object
+     */
+
+    return JSON.parse(fs.readFileSync(path.join(__dirname, "..", "examples", name), "utf8"));
+}
+
+function renderExample(mnx, options = {}) {
+    /**
+     * Draws a score into the output div, in place of whatever was there
+     * 
+     * @param {object} mnx An MNX object
+     * @param {object} options Render options
+     * 
+     * @returns {SVGElement} The drawing
+     */
+
+    let viewer, output;
+
+    viewer = loadViewer();
+    output = document.getElementById("output");
+    output.innerHTML = "";
+    viewer.parseMNXv1(mnx, "output", options);
+    return output.querySelector("svg");
+}
+
+module.exports = {loadViewer, loadExample, renderExample};
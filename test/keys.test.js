@@ -0,0 +1,58 @@
+// Checks keys, their modes, and the naturals that cancel a key signature
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {loadViewer, loadExample, renderExample} = require("./helpers.js");
+
+const {keyFromMNX, getMeasureKeys, getRenderOptions, UnsupportedFeatureError} = loadViewer();
+
+function getKeySignatureSizes(options) {
+    /**
+     * Draws the scale in A major, changing to C major in its second measure
+     * 
+     * @param {object} options Render options
+     * 
+     * @returns {Array} The number of sharps, flats, and naturals drawn in each key signature
+     */
+
+    let mnx = loadExample("example_two_bar_c_major_scale.json");
+
+    mnx.global.measures[0].key = {"fifths": 3};
+    mnx.global.measures[1].key = {"fifths": 0};
+    return Array.from(renderExample(mnx, options).querySelectorAll(".vf-keysignature"), (signature) => signature.querySelectorAll("path").length);
+}
+
+test("keys are major unless a mode is given", () => {
+    let key = keyFromMNX({"fifths": 2});
+
+    assert.strictEqual(key.mode, "major");
+    assert.deepStrictEqual(key.tonic, {"step": 'D', "alter": 0});
+    assert.deepStrictEqual(key.alters, {'C': 1, 'D': 0, 'E': 0, 'F': 1, 'G': 0, 'A': 0, 'B': 0});
+});
+
+test("the mode of a key decides its tonic", () => {
+    assert.deepStrictEqual(keyFromMNX({"fifths": -3, "mode": "minor"}).tonic, {"step": 'C', "alter": 0});
+    assert.deepStrictEqual(keyFromMNX({"fifths": 1, "mode": "dorian"}).tonic, {"step": 'A', "alter": 0});
+    assert.deepStrictEqual(keyFromMNX({"fifths": 4, "mode": "minor"}).tonic, {"step": 'C', "alter": 1});
+    assert.deepStrictEqual(keyFromMNX({"fifths": -7}).tonic, {"step": 'C', "alter": -1});
+    assert.deepStrictEqual(keyFromMNX({"fifths": -3, "mode": "minor"}).alters, {'C': 0, 'D': 0, 'E': -1, 'F': 0, 'G': 0, 'A': -1, 'B': -1});
+});
+
+test("keys past seven sharps or flats, and unknown modes, are turned away", () => {
+    assert.throws(() => keyFromMNX({"fifths": 8}), UnsupportedFeatureError);
+    assert.throws(() => keyFromMNX({"fifths": -8}), UnsupportedFeatureError);
+    assert.throws(() => keyFromMNX({"fifths": 0, "mode": "blues"}), UnsupportedFeatureError);
+});
+
+test("each measure is in the last key given", () => {
+    let keys = getMeasureKeys([{}, {"key": {"fifths": -1, "mode": "minor"}}, {}, {"key": {"fifths": 0}}]);
+
+    assert.deepStrictEqual(keys.map((key) => [key.fifths, key.mode]), [[0, "major"], [-1, "minor"], [-1, "minor"], [0, "major"]]);
+});
+
+test("naturals cancel the previous key signature unless turned off", () => {
+    assert.deepStrictEqual(getKeySignatureSizes({}), [3, 3]);
+    assert.deepStrictEqual(getKeySignatureSizes({"keyCancellation": "always"}), [3, 3]);
+    assert.deepStrictEqual(getKeySignatureSizes({"keyCancellation": "never"}), [3, 0]);
+    assert.throws(() => getRenderOptions({"keyCancellation": "sometimes"}), UnsupportedFeatureError);
+});
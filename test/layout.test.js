@@ -0,0 +1,204 @@
+// Checks laying scores out on the sheet: its width, and reflowing when it changes
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {loadViewer, loadExample} = require("./helpers.js");
+
+const viewer = loadViewer();
+
+/** @class FakeResizeObserver standing in for the browser's, keeping the callback of the latest observer so that tests can call it */
+class FakeResizeObserver {
+    constructor (callback) {
+        FakeResizeObserver.latest = this;
+        this.callback = callback;
+        this.observing = false;
+    }
+
+    observe() {
+        this.observing = true;
+    }
+
+    disconnect() {
+        this.observing = false;
+    }
+
+}
+
+function makeContainer(width) {
+    /**
+     * Makes a div that claims to be laid out at a width, as jsdom does not lay anything out
+     * 
+     * @param {number} width The width of the div
+     * 
+     * @returns {HTMLElement} The div, added to the document
+     */
+
+    let container = document.createElement("div");
+
+    Object.defineProperty(container, "clientWidth", {"get": () => width, "configurable": true});
+    document.body.appendChild(container);
+    return container;
+}
+
+test("the sheet is as wide as its element, before scaling", () => {
+    assert.strictEqual(viewer.getSheetWidth(makeContainer(900), 1), 900);
+    assert.strictEqual(viewer.getSheetWidth(makeContainer(900), 2), 450);
+    assert.strictEqual(viewer.getSheetWidth(makeContainer(0), 1), viewer.defaultSheetWidth);
+    assert.strictEqual(viewer.getSheetWidth(null, 1), viewer.defaultSheetWidth);
+    assert.strictEqual(viewer.getSheetWidth(makeContainer(10), 1), viewer.minMeasureWidth);
+});
+
+test("scores fill their element unless given a width", () => {
+    let container = makeContainer(700);
+
+    assert.strictEqual(viewer.render(loadExample("example_hello_world.json"), container).svg.getAttribute("width"), "700");
+    assert.strictEqual(viewer.render(loadExample("example_hello_world.json"), container, {"width": 500}).svg.getAttribute("width"), "500");
+    assert.throws(() => viewer.render(loadExample("example_hello_world.json"), container, {"width": 1}), viewer.UnsupportedFeatureError);
+    container.remove();
+});
+
+test("scores are laid out again once their element settles on a new width", (t) => {
+    let width, container, score, svg;
+
+    t.mock.timers.enable({"apis": ["setTimeout"]});
+    globalThis.ResizeObserver = FakeResizeObserver;
+    try {
+        width = 700;
+        container = document.createElement("div");
+        Object.defineProperty(container, "clientWidth", {"get": () => width});
+        document.body.appendChild(container);
+        score = viewer.render(loadExample("example_two_bar_c_major_scale.json"), container);
+        svg = score.svg;
+        // a change in height alone is no reason to draw again
+        FakeResizeObserver.latest.callback();
+        t.mock.timers.tick(1000);
+        assert.strictEqual(score.svg, svg);
+        width = 500;
+        FakeResizeObserver.latest.callback();
+        t.mock.timers.tick(50);
+        FakeResizeObserver.latest.callback();
+        t.mock.timers.tick(50);
+        assert.strictEqual(score.svg, svg);
+        t.mock.timers.tick(100);
+        assert.notStrictEqual(score.svg, svg);
+        assert.strictEqual(score.svg.getAttribute("width"), "500");
+        assert.strictEqual(container.querySelectorAll("svg").length, 1);
+        score.destroy();
+        assert.strictEqual(FakeResizeObserver.latest.observing, false);
+        container.remove();
+    } finally {
+        delete globalThis.ResizeObserver;
+    }
+
+});
+
+test("scores given a width are not reflowed", () => {
+    globalThis.ResizeObserver = FakeResizeObserver;
+    FakeResizeObserver.latest = null;
+    try {
+        viewer.render(loadExample("example_hello_world.json"), makeContainer(700), {"width": 600}).destroy();
+        assert.strictEqual(FakeResizeObserver.latest, null);
+    } finally {
+        delete globalThis.ResizeObserver;
+    }
+
+});
+
+test("pages are measured in staff heights", () => {
+    let page = viewer.getPageGeometry(viewer.getRenderOptions({"layout": "pages", "paperSize": "a4", "margins": 10, "staffSize": 8}));
+
+    // a staff is 40 units high, so at 8mm there are 5 units to a millimetre
+    assert.deepStrictEqual([page.width, page.height, page.margin, page.contentWidth, page.contentHeight], [1050, 1485, 50, 950, 1385]);
+    assert.strictEqual(page.scale, 96 / 25.4 / 5);
+    assert.throws(() => viewer.getPageGeometry(viewer.getRenderOptions({"layout": "pages", "margins": 100})), viewer.UnsupportedFeatureError);
+    assert.throws(() => viewer.getRenderOptions({"layout": "pages", "paperSize": "legal"}), /Unrecognized paper size legal/);
+    assert.throws(() => viewer.getRenderOptions({"layout": "book"}), /Unrecognized layout book/);
+});
+
+test("scores laid out on pages have an image for each page, with its number", () => {
+    let score = viewer.render(loadExample("bach_minuet_grand_staff.json"), "output", {"layout": "pages", "paperSize": "a4", "staffSize": 9});
+
+    assert.strictEqual(score.pages.length, 2);
+    assert.strictEqual(score.svg, score.pages[0]);
+    assert.deepStrictEqual(score.pages.map((page) => [page.getAttribute("width"), page.getAttribute("height"), Array.from(page.querySelectorAll("text")).pop().textContent]), [["210mm", "297mm", '1'], ["210mm", "297mm", '2']]);
+    assert.deepStrictEqual(score.systems.map((system) => system.page), [0, 0, 0, 0, 1, 1, 1, 1]);
+    // systems are spread out to fill the page, and each page starts again at the top margin
+    assert.ok(Math.abs(score.systems[4].boundingBox.y - score.systems[0].boundingBox.y) < 1e-9);
+    assert.ok(score.systems[3].boundingBox.y + score.systems[3].boundingBox.height > 0.8 * 297 * 96 / 25.4);
+    assert.ok(score.measures.every((measure) => measure.page == score.systems[measure.system].page));
+    assert.ok(score.events.every((event) => event.page == score.measures[event.measure].page));
+    score.destroy();
+    assert.strictEqual(document.querySelectorAll("#output svg").length, 0);
+});
+
+test("scrolling scores are one image on one page", () => {
+    let score = viewer.render(loadExample("example_hello_world.json"), "output");
+
+    assert.deepStrictEqual(score.pages, [score.svg]);
+    assert.deepStrictEqual(score.systems.map((system) => system.page), [0]);
+    score.destroy();
+});
+
+function withBreaks(pages) {
+    /**
+     * Gives the minuet the systems and pages of a source engraving
+     * 
+     * @param {Array} pages The MNX index of the measure starting each system, for each page
+     * 
+     * @returns {object} An MNX object
+     */
+
+    let mnx = loadExample("bach_minuet_rh.json");
+
+    mnx.scores = [{"name": "Full score"}, {"name": "Engraved", "pages": pages.map((systems) => ({"systems": systems.map((measure) => ({"measure": measure}))}))}];
+    return mnx;
+}
+
+function getSystemStarts(score) {
+    /**
+     * Finds where the systems of a rendered score start
+     * 
+     * @param {ScoreHandle} score A rendered score
+     * 
+     * @returns {Array} The first measure and the page of each system
+     */
+
+    return score.systems.map((system) => [system.measures[0], system.page]);
+}
+
+test("measures are found by their MNX index", () => {
+    assert.deepStrictEqual(viewer.getMeasureIndices([{}, {}, {"index": 10}, {}]), {'1': 0, '2': 1, "10": 2, "11": 3});
+    assert.strictEqual(viewer.getSystemMeasure({"measure": 11}, {'1': 0, "11": 3}), 3);
+    assert.throws(() => viewer.getSystemMeasure({"measure": 2}, {'1': 0}), viewer.MNXParseError);
+    assert.throws(() => viewer.getSystemMeasure({}, {'1': 0}), viewer.MNXParseError);
+});
+
+test("the systems and pages of the source are kept", () => {
+    let mnx, score;
+
+    mnx = withBreaks([[1, 5], [9]]);
+    score = viewer.parseScore(mnx);
+    assert.deepStrictEqual(score.measures.map((measure, idx) => measure.systemBreak ? idx : null).filter((idx) => idx !== null), [0, 4, 8]);
+    assert.deepStrictEqual(score.measures.map((measure, idx) => measure.pageBreak ? idx : null).filter((idx) => idx !== null), [0, 8]);
+    score = viewer.render(mnx, "output", {"width": 1200});
+    assert.deepStrictEqual(getSystemStarts(score), [[0, 0], [4, 0], [8, 0]]);
+    score = viewer.render(mnx, "output", {"layout": "pages"});
+    assert.deepStrictEqual(getSystemStarts(score), [[0, 0], [4, 0], [8, 1]]);
+    assert.strictEqual(score.pages.length, 2);
+    score.destroy();
+});
+
+test("systems can be filled instead, or given a number of measures", () => {
+    let score;
+
+    score = viewer.render(withBreaks([[1, 5], [9]]), "output", {"width": 1200, "breaks": "auto"});
+    assert.notDeepStrictEqual(getSystemStarts(score), [[0, 0], [4, 0], [8, 0]]);
+    score = viewer.render(withBreaks([[1, 5], [9]]), "output", {"width": 1200, "breaks": "auto", "measuresPerSystem": 5});
+    assert.deepStrictEqual(getSystemStarts(score).map((start) => start[0]), [0, 5, 10, 15]);
+    // the breaks of the source come first
+    score = viewer.render(withBreaks([[1, 5], [9]]), "output", {"width": 1200, "measuresPerSystem": 5});
+    assert.deepStrictEqual(getSystemStarts(score).map((start) => start[0]), [0, 4, 8]);
+    assert.throws(() => viewer.getRenderOptions({"measuresPerSystem": 0}), viewer.UnsupportedFeatureError);
+    assert.throws(() => viewer.getRenderOptions({"breaks": "never"}), viewer.UnsupportedFeatureError);
+    score.destroy();
+});
@@ -0,0 +1,51 @@
+// Checks finding where the values of a JSON text are, for reporting problems in the source
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const {loadViewer} = require("./helpers.js");
+
+const {getJSONLocations, getPointerLocation, validateMNX} = loadViewer();
+
+const text = '{\n  "a": [1, {"b": "x"}],\n  "c~/d": null\n}';
+
+test("every value is found by its JSON pointer", () => {
+    assert.deepStrictEqual(getJSONLocations(text), {
+        "": {"start": 0, "end": 42, "line": 1, "column": 1}, 
+        "/a": {"start": 9, "end": 24, "line": 2, "column": 8}, 
+        "/a/0": {"start": 10, "end": 11, "line": 2, "column": 9}, 
+        "/a/1": {"start": 13, "end": 23, "line": 2, "column": 12}, 
+        "/a/1/b": {"start": 19, "end": 22, "line": 2, "column": 18}, 
+        // keys are escaped as in any JSON pointer
+        "/c~0~1d": {"start": 36, "end": 40, "line": 3, "column": 11}, 
+    });
+});
+
+test("bad JSON is reported with where it went wrong", () => {
+    assert.throws(() => getJSONLocations('{\n "a": }'), (e) => (e instanceof SyntaxError) && (e.location.line == 2) && (e.location.column == 7));
+    assert.throws(() => getJSONLocations('[1, 2'), SyntaxError);
+    assert.throws(() => getJSONLocations('{} x'), SyntaxError);
+});
+
+test("missing values are found on the nearest object that exists", () => {
+    let locations = getJSONLocations(text);
+
+    assert.deepStrictEqual(getPointerLocation(locations, "/a/1/b"), locations["/a/1/b"]);
+    assert.deepStrictEqual(getPointerLocation(locations, "/a/1/missing"), locations["/a/1"]);
+    assert.deepStrictEqual(getPointerLocation(locations, "/nothing/at/all"), locations[""]);
+    assert.strictEqual(getPointerLocation({}, "/a"), null);
+});
+
+test("validation problems point at their place in the source", () => {
+    let source, mnx, problem, location;
+
+    source = fs.readFileSync(path.join(__dirname, "..", "examples", "example_hello_world.json"), "utf8");
+    mnx = JSON.parse(source);
+    mnx.parts[0].measures[0].sequences[0].content[0].notes[0].pitch.step = 'H';
+    source = JSON.stringify(mnx, null, 2);
+    problem = validateMNX(mnx).errors[0];
+    location = getPointerLocation(getJSONLocations(source), problem.pointer);
+    assert.strictEqual(JSON.parse(source.slice(location.start, location.end)).step, 'H');
+    assert.strictEqual(source.split('\n')[location.line - 1].indexOf('{') + 1, location.column);
+});
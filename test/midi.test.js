@@ -0,0 +1,155 @@
+// Checks playing scores out in time and exporting them as MIDI files
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {loadViewer, loadExample} = require("./helpers.js");
+
+const {parseScore, getMeasureOrder, getPerformance, scoreToMIDI, UnsupportedFeatureError} = loadViewer();
+
+function makeScore(globalMeasures, sequences = null, numParts = 1) {
+    /**
+     * Builds a score with a whole note C in each measure, unless given other content
+     * 
+     * @param {Array} globalMeasures The global measures, without their time signatures
+     * @param {Array} sequences The content of the sequence of each measure, or null for whole notes
+     * @param {number} numParts The number of parts, which all play the same
+     * 
+     * @returns {object} A score model
+     */
+
+    let measures = globalMeasures.map((globalMeasure, idx) => {
+        let content = (sequences === null) ? [{"type": "event", "duration": {"base": "whole"}, "notes": [{"pitch": {"octave": 4, "step": 'C'}}]}] : sequences[idx];
+
+        return {"sequences": [{"content": content}]};
+    });
+
+    globalMeasures[0].time = {"count": 4, "unit": 4};
+    return parseScore({
+        "mnx": {"version": 1}, 
+        "global": {"measures": globalMeasures}, 
+        "parts": Array.from(Array(numParts), () => ({"measures": structuredClone(measures)})), 
+    });
+}
+
+function note(step, base, grace = false) {
+    /**
+     * Builds an event with a single note
+     * 
+     * @param {string} step The step of the note, in the fourth octave
+     * @param {string} base The base of its duration
+     * @param {bool} grace Whether to make it a grace note
+     * 
+     * @returns {object} An MNX event, or a grace group of one event
+     */
+
+    let event = {"type": "event", "duration": {"base": base}, "notes": [{"pitch": {"octave": 4, "step": step}}]};
+
+    return grace ? {"type": "grace", "content": [event]} : event;
+}
+
+function readMIDI(bytes) {
+    /**
+     * Reads the header and the note-on events of a MIDI file
+     * 
+     * @param {Uint8Array} bytes The bytes of the file
+     * 
+     * @returns {object} The format, track count, and division from the header, and the channel of each track's first note-on
+     */
+
+    let result, idx;
+
+    result = {
+        "format": (bytes[8] << 8) | bytes[9], 
+        "tracks": (bytes[10] << 8) | bytes[11], 
+        "division": (bytes[12] << 8) | bytes[13], 
+        "channels": [], 
+    };
+    idx = 14;
+    while (idx < bytes.length) {
+        let length, channel;
+
+        length = (bytes[idx + 4] << 24) | (bytes[idx + 5] << 16) | (bytes[idx + 6] << 8) | bytes[idx + 7];
+        channel = null;
+        for (let i = idx + 8; i < idx + 8 + length - 2; i++) {
+            // every note-on is written with a full status byte and a velocity of 80
+            if (((bytes[i] & 0xf0) == 0x90) && (bytes[i + 2] == 80)) {
+                channel = bytes[i] & 0x0f;
+                break;
+            }
+
+        }
+
+        result.channels.push(channel);
+        idx += 8 + length;
+    }
+
+    return result;
+}
+
+test("repeated sections are played twice, or as many times as asked", () => {
+    assert.deepStrictEqual(getMeasureOrder(makeScore([{}, {"repeatStart": {}}, {"repeatEnd": {}}, {}])), [0, 1, 2, 1, 2, 3]);
+    assert.deepStrictEqual(getMeasureOrder(makeScore([{}, {"repeatEnd": {"times": 3}}])), [0, 1, 0, 1, 0, 1]);
+    // a repeat with no start goes back to the end of the previous repeat
+    assert.deepStrictEqual(getMeasureOrder(makeScore([{"repeatEnd": {}}, {}, {"repeatEnd": {}}])), [0, 0, 1, 2, 1, 2]);
+});
+
+test("alternate endings are played on their own passes", () => {
+    assert.deepStrictEqual(getMeasureOrder(makeScore([{}, {"ending": {"duration": 1, "numbers": [1]}, "repeatEnd": {}}, {"ending": {"duration": 1, "numbers": [2]}}, {}])), [0, 1, 0, 2, 3]);
+    assert.deepStrictEqual(getMeasureOrder(parseScore(loadExample("example_repeats_alternate_endings_advanced@.json"))), [0, 1, 2, 0, 1, 2, 0, 3, 4, 5]);
+});
+
+test("events and tied notes are placed in time", () => {
+    let performance = getPerformance(parseScore(loadExample("example_ties.json")));
+
+    assert.deepStrictEqual(performance.events.map((event) => event.start), [[0, 1], [1, 4], [1, 2], [3, 4], [1, 1], [3, 2]]);
+    // tied notes sound as one
+    assert.deepStrictEqual(performance.notes.map((note) => [note.pitch, note.start, note.length]), [[72, [0, 1], [1, 4]], [76, [1, 4], [1, 2]], [72, [3, 4], [5, 4]]]);
+    assert.deepStrictEqual(performance.length, [2, 1]);
+});
+
+test("grace notes take their time from the start of the event after them", () => {
+    let performance = getPerformance(parseScore(loadExample("example_grace.json")));
+
+    assert.deepStrictEqual(performance.events.map((event) => [event.start, event.length, event.grace]), [[[0, 1], [1, 32], true], [[1, 32], [31, 32], false]]);
+    performance = getPerformance(makeScore([{}], [[note('B', "eighth", true), note('B', "eighth", true), note('C', "eighth"), note('D', "half"), note('E', "quarter"), note('F', "eighth")]]));
+    // but never more than half of it
+    assert.deepStrictEqual(performance.events.slice(0, 3).map((event) => [event.start, event.length]), [[[0, 1], [1, 32]], [[1, 32], [1, 32]], [[1, 16], [1, 16]]]);
+});
+
+test("grace notes at the end of a sequence take their time from the end of the event before them", () => {
+    let score, events, performance;
+
+    // MNX does not put grace notes last, but score models made elsewhere may
+    score = makeScore([{}, {}], [[note('C', "half"), note('E', "eighth", true), note('F', "eighth", true), note('D', "half")], [note('G', "whole")]]);
+    events = score.parts[0].measures[0].sequences[0].events;
+    events.push(...events.splice(1, 2));
+    performance = getPerformance(score);
+    assert.deepStrictEqual(performance.notes.map((performanceNote) => [performanceNote.pitch, performanceNote.start, performanceNote.length]), [
+        [60, [0, 1], [1, 2]], 
+        [62, [1, 2], [7, 16]], 
+        [64, [15, 16], [1, 32]], 
+        [65, [31, 32], [1, 32]], 
+        [67, [1, 1], [1, 1]], 
+    ]);
+    // with no event before them either, they are played just before the barline
+    score = makeScore([{}], [[note('E', "eighth", true), note('C', "whole")]]);
+    score.parts[0].measures[0].sequences[0].events.pop();
+    performance = getPerformance(score);
+    assert.deepStrictEqual(performance.notes.map((performanceNote) => [performanceNote.start, performanceNote.length]), [[[31, 32], [1, 32]]]);
+});
+
+test("MIDI files have a track for the conductor and one for each part", () => {
+    let midi = readMIDI(scoreToMIDI(makeScore([{}, {}]), {"tempo": 90}));
+
+    assert.deepStrictEqual([midi.format, midi.tracks, midi.division], [1, 2, 480]);
+    assert.deepStrictEqual(midi.channels, [null, 0]);
+    assert.throws(() => scoreToMIDI(makeScore([{}]), {"tempo": 0}), UnsupportedFeatureError);
+});
+
+test("parts are given channels around the percussion channel", () => {
+    let midi = readMIDI(scoreToMIDI(makeScore([{}], null, 15)));
+
+    assert.deepStrictEqual(midi.channels, [null, 0, 1, 2, 3, 4, 5, 6, 7, 8, 10, 11, 12, 13, 14, 15]);
+    // there are no channels left for a sixteenth part
+    assert.throws(() => scoreToMIDI(makeScore([{}], null, 16)), UnsupportedFeatureError);
+});
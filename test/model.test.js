@@ -0,0 +1,80 @@
+// Checks reading MNX into the score model, which needs no drawing
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {loadViewer, loadExample, renderExample} = require("./helpers.js");
+
+const {parseScore, reduceFraction, addFractions, compareFractions, MNXParseError} = loadViewer();
+
+// bad input has to be turned away, so anything that hangs fails rather than holding up the run
+const testOptions = {"timeout": 10000};
+
+test("fractions are kept in lowest terms", () => {
+    assert.deepStrictEqual(reduceFraction([6, 8]), [3, 4]);
+    assert.deepStrictEqual(reduceFraction([-2, 4]), [-1, 2]);
+    assert.deepStrictEqual(reduceFraction([0, 5]), [0, 1]);
+    assert.deepStrictEqual(addFractions([1, 6], [1, 12]), [1, 4]);
+    assert.strictEqual(compareFractions([1, 3], [1, 4]), 1);
+    assert.strictEqual(compareFractions([2, 8], [1, 4]), 0);
+    assert.throws(() => reduceFraction([1, 0]), MNXParseError);
+    assert.throws(() => reduceFraction(["x", 4]), MNXParseError);
+});
+
+test("measures and events are placed in the score", () => {
+    let score = parseScore(loadExample("example_two_bar_c_major_scale.json"));
+
+    assert.strictEqual(score.measureCount, 2);
+    assert.deepStrictEqual(score.measures.map((measure) => [measure.position, measure.length]), [[[0, 1], [1, 1]], [[1, 1], [1, 1]]]);
+    assert.deepStrictEqual(score.measures.map((measure) => measure.timeChange), [true, false]);
+    assert.deepStrictEqual(score.parts[0].measures[1].sequences[0].events.map((event) => event.offset), [[0, 1], [1, 4], [1, 2], [3, 4]]);
+    assert.deepStrictEqual(score.parts[0].measures[1].sequences[0].events.map((event) => event.position), [[1, 1], [5, 4], [3, 2], [7, 4]]);
+    assert.deepStrictEqual(score.parts[0].measures[1].sequences[0].events[0].notes[0].pitch, {"step": 'G', "alter": 0, "octave": 4});
+});
+
+test("tuplets scale the lengths of their events", () => {
+    let events = parseScore(loadExample("example_tuplets.json")).parts[0].measures[0].sequences[0].events;
+
+    assert.deepStrictEqual(events.map((event) => event.tuplet), [0, 0, 1, 1, 1, null, null]);
+    assert.deepStrictEqual(events.slice(2, 5).map((event) => event.length), [[1, 12], [1, 12], [1, 12]]);
+    assert.deepStrictEqual(events[5].offset, [1, 2]);
+});
+
+test("events and notes without IDs are given one, which spanners refer to", () => {
+    let score = parseScore(loadExample("example_ties.json"));
+    let event = score.parts[0].measures[0].sequences[0].events[0];
+
+    assert.ok(event.id !== null);
+    assert.strictEqual(event.notes[0].id, `${event.id}_NOTE0`);
+    assert.deepStrictEqual(score.ties.map((tie) => tie.end), ["note3", "note5", "note6"]);
+    assert.strictEqual(score.ties[0].start, score.parts[0].measures[0].sequences[0].events[1].notes[0].id);
+    assert.deepStrictEqual(parseScore(loadExample("example_slurs.json")).slurs[0], {"start": "ev1", "end": "ev4", "startNote": null, "endNote": null, "side": "up"});
+});
+
+test("whole-measure rests last as long as their measure, and fill empty staves", () => {
+    let mnx, score;
+
+    mnx = loadExample("bach_minuet_grand_staff.json");
+    mnx.parts[0].measures[0].sequences = mnx.parts[0].measures[0].sequences.filter((sequence) => sequence.staff != 2);
+    score = parseScore(mnx);
+    assert.deepStrictEqual(score.parts[0].measures[0].sequences.filter((sequence) => sequence.staff == 1).map((sequence) => sequence.events.map((event) => [event.wholeMeasure, event.length])), [[[true, [3, 4]]]]);
+});
+
+test("the score model can be read without drawing it", () => {
+    let mnx = loadExample("example_two_bar_c_major_scale.json");
+
+    document.getElementById("output").innerHTML = "";
+    parseScore(mnx);
+    assert.strictEqual(document.querySelector("#output svg"), null);
+    // and drawing it still works from the same MNX
+    assert.ok(renderExample(mnx));
+});
+
+[
+    ["a time count that is not a number", (mnx) => mnx.global.measures[0].time.count = "x"], 
+    ["a zero time unit", (mnx) => mnx.global.measures[0].time.unit = 0], 
+].map(([name, change]) => test(`${name} is reported, not hung on`, testOptions, () => {
+    let mnx = loadExample("example_two_bar_c_major_scale.json");
+
+    change(mnx);
+    assert.throws(() => parseScore(mnx), MNXParseError);
+}));
@@ -0,0 +1,151 @@
+// Checks playback in time with a fake audio clock, and the cursor that follows it
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {loadViewer, loadExample} = require("./helpers.js");
+
+const viewer = loadViewer();
+
+/** @class FakeAudioContext standing in for Web Audio, keeping the oscillators it makes and a clock set by hand */
+class FakeAudioContext {
+    constructor () {
+        this.currentTime = 0;
+        this.destination = {};
+        this.oscillators = [];
+    }
+
+    resume() {
+        return Promise.resolve();
+    }
+
+    createGain() {
+        return {"gain": {"setValueAtTime": () => null, "linearRampToValueAtTime": () => null}, "connect": () => null};
+    }
+
+    createOscillator() {
+        let oscillator = {
+            "frequency": {"value": 0}, 
+            "start": (time) => oscillator.startTime = time, 
+            "stop": (time) => oscillator.stopTime = (time === undefined) ? this.currentTime : time, 
+            "connect": () => null, 
+            "addEventListener": () => null, 
+        };
+
+        this.oscillators.push(oscillator);
+        return oscillator;
+    }
+
+}
+
+function startPlayer(options = {}) {
+    /**
+     * Draws the two-bar scale and makes a player for it, with the fake audio clock
+     * 
+     * @param {object} options Playback options
+     * 
+     * @returns {ScorePlayer} The player, not yet started
+     */
+
+    globalThis.AudioContext = FakeAudioContext;
+    return new viewer.ScorePlayer(viewer.render(loadExample("example_two_bar_c_major_scale.json"), "output", {"width": 800}), options);
+}
+
+test("notes are scheduled a little ahead of the clock", () => {
+    let player = startPlayer({"tempo": 120});
+
+    try {
+        player.play();
+        // at 120 quarters a minute each quarter is half a second, so only the first note is within reach
+        assert.deepStrictEqual(player.audioContext.oscillators.map((oscillator) => [Math.round(oscillator.frequency.value * 100) / 100, oscillator.startTime]), [[261.63, 0.05]]);
+        player.audioContext.currentTime = 0.5;
+        player.update();
+        assert.deepStrictEqual(player.audioContext.oscillators.map((oscillator) => oscillator.startTime), [0.05, 0.55]);
+        assert.strictEqual(player.getPosition(), 0.225);
+    } finally {
+        player.stop();
+    }
+
+});
+
+test("the cursor follows the notes being played, and they are highlighted", () => {
+    let player = startPlayer();
+
+    try {
+        player.play();
+        player.audioContext.currentTime = 0.6;
+        player.update();
+        assert.strictEqual(player.handle.svg.querySelectorAll(".mnx-cursor").length, 1);
+        assert.strictEqual(Number(player.cursor.getAttribute('x')), player.handle.events[1].boundingBox.x - 6);
+        assert.deepStrictEqual(player.highlighted.map((element) => element.id), [player.handle.events[1].svgId]);
+        assert.ok(player.highlighted[0].classList.contains("mnx-playing"));
+        player.stop();
+        assert.strictEqual(player.handle.svg.querySelectorAll(".mnx-cursor, .mnx-playing").length, 0);
+    } finally {
+        player.stop();
+    }
+
+});
+
+test("pausing silences the notes and keeps the position", () => {
+    let player = startPlayer();
+
+    try {
+        player.play();
+        player.audioContext.currentTime = 0.3;
+        player.pause();
+        assert.strictEqual(player.state, "paused");
+        assert.strictEqual(player.timer, null);
+        assert.ok(player.audioContext.oscillators.every((oscillator) => oscillator.stopTime !== undefined));
+        assert.strictEqual(player.getPosition(), 0.125);
+        player.audioContext.currentTime = 2;
+        assert.strictEqual(player.getPosition(), 0.125);
+    } finally {
+        player.stop();
+    }
+
+});
+
+test("seeking moves to a measure, and the tempo can be changed", () => {
+    let player = startPlayer();
+
+    try {
+        player.seek(1);
+        assert.deepStrictEqual([player.state, player.getPosition()], ["paused", 1]);
+        assert.throws(() => player.seek(2), RangeError);
+        player.setTempo(60);
+        player.play();
+        // the notes of the second measure are scheduled from the new start, at the new tempo
+        assert.deepStrictEqual(player.audioContext.oscillators.map((oscillator) => Math.round(oscillator.frequency.value)), [392]);
+        player.audioContext.currentTime = 1.05;
+        assert.strictEqual(player.getPosition(), 1.25);
+        assert.throws(() => player.setTempo(-1), viewer.UnsupportedFeatureError);
+    } finally {
+        player.stop();
+    }
+
+});
+
+test("playback stops at the end of the score", () => {
+    let player = startPlayer();
+
+    try {
+        player.play();
+        player.audioContext.currentTime = 10;
+        player.update();
+        assert.deepStrictEqual([player.state, player.getPosition()], ["stopped", 0]);
+    } finally {
+        player.stop();
+    }
+
+});
+
+test("measures are found at points of the image", () => {
+    let score, box;
+
+    score = viewer.render(loadExample("example_two_bar_c_major_scale.json"), "output", {"width": 800});
+    box = score.measures[1].boundingBox;
+    assert.strictEqual(score.measureAt(box.x + 1, box.y + 1), 1);
+    assert.strictEqual(score.measureAt(box.x + box.width + 10, box.y), null);
+    assert.deepStrictEqual(score.events.map((event) => event.position).slice(3, 5), [[3, 4], [1, 1]]);
+    score.destroy();
+});
@@ -0,0 +1,67 @@
+// Checks the library entry point and the handle it returns
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {loadViewer, loadExample} = require("./helpers.js");
+
+const viewer = loadViewer();
+
+test("render returns the layout of the score", () => {
+    let score;
+
+    score = viewer.render(loadExample("example_two_bar_c_major_scale.json"), "output", {"width": 800});
+    assert.strictEqual(score.measureCount, 2);
+    assert.strictEqual(score.svg.getAttribute("width"), "800");
+    assert.strictEqual(score.systems.length, 1);
+    assert.deepStrictEqual(score.systems[0].measures, [0, 1]);
+    assert.deepStrictEqual(score.measures.map((measure) => measure.system), [0, 0]);
+    // the measures fill the system side by side
+    assert.strictEqual(score.measures[0].boundingBox.x + score.measures[0].boundingBox.width, score.measures[1].boundingBox.x);
+    assert.strictEqual(score.events.length, 8);
+    assert.ok(score.events.every((event) => (event.part == 0) && (event.staff == 0) && !event.grace));
+    assert.deepStrictEqual(score.warnings, []);
+    score.destroy();
+});
+
+test("render accepts JSON and an element", () => {
+    let container, score;
+
+    container = document.createElement("div");
+    document.body.appendChild(container);
+    score = viewer.render(JSON.stringify(loadExample("example_hello_world.json")), container);
+    assert.strictEqual(container.querySelector("svg"), score.svg);
+    assert.throws(() => viewer.render("{", container), SyntaxError);
+    assert.throws(() => viewer.render(loadExample("example_hello_world.json"), "nowhere"), /No element nowhere/);
+    container.remove();
+});
+
+test("rerendering replaces the drawing and scales the layout", () => {
+    let score, width;
+
+    score = viewer.render(loadExample("example_two_bar_c_major_scale.json"), "output", {"width": 800});
+    width = score.systems[0].boundingBox.width;
+    score.rerender({"scale": 2});
+    assert.strictEqual(document.querySelectorAll("#output svg").length, 1);
+    assert.strictEqual(score.svg.getAttribute("width"), "1600");
+    assert.strictEqual(score.options.width, 800);
+    assert.strictEqual(score.systems[0].boundingBox.width, 2 * width);
+    score.destroy();
+    assert.strictEqual(document.querySelectorAll("#output svg").length, 0);
+    assert.strictEqual(score.svg, null);
+    assert.deepStrictEqual([score.measureCount, score.events], [0, []]);
+});
+
+test("problems with the score are thrown as viewer errors", () => {
+    assert.throws(() => viewer.render({"mnx": {"version": 1}, "global": {"measures": []}}, "output"), viewer.MNXParseError);
+    assert.throws(() => viewer.render(loadExample("example_hello_world.json"), "output", {"scale": 0}), viewer.UnsupportedFeatureError);
+    assert.strictEqual(document.querySelectorAll("#output svg").length, 0);
+});
+
+test("the ES module exports the same entry points", async () => {
+    let esm;
+
+    esm = await import("../p/common.mjs");
+    assert.strictEqual(typeof esm.render, "function");
+    assert.strictEqual(esm.default.render, esm.render);
+    assert.ok(new esm.MNXParseError("") instanceof Error);
+});
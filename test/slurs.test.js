@@ -0,0 +1,77 @@
+// Checks slurs between chord notes, and the side slurs curve to
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {loadViewer, loadExample, renderExample} = require("./helpers.js");
+
+const {updateSlursWithEvent, SlurCurve, StaveNote, minSlurHeight, maxSlurHeight, slurHeightRatio, slurClearance, noteheadHalfHeight, MNXParseError, UnsupportedFeatureError} = loadViewer();
+
+function span(width, notes = []) {
+    /**
+     * Makes a level piece of a slur
+     * 
+     * @param {number} width The distance between its ends
+     * @param {Array} notes The notes it passes over
+     * 
+     * @returns {object} A piece of a slur, as drawn on one line
+     */
+
+    return {"first": {'x': 0, 'y': 0}, "last": {'x': width, 'y': 0}, "notes": notes};
+}
+
+test("targeted slurs attach to the noteheads they name", () => {
+    let slurs = {"ids": [{"source": "e1", "destination": "e2", "startNote": "n2", "endNote": "n4"}], "partial": [[]]};
+
+    updateSlursWithEvent(slurs, "e1", ["n1", "n2", "n3"], "first");
+    updateSlursWithEvent(slurs, "e2", ["n4", "n5"], "second");
+    assert.deepStrictEqual(slurs.partial, [["first", "second"]]);
+    assert.strictEqual(slurs.ids[0].startIndex, 1);
+    assert.strictEqual(slurs.ids[0].endIndex, 0);
+    assert.throws(() => updateSlursWithEvent({"ids": [{"source": "e1", "startNote": "n9"}], "partial": [[]]}, "e1", ["n1"], "first"), MNXParseError);
+});
+
+test("slurs curve away from the stems, unless a side is given", () => {
+    let note, stemDown;
+
+    note = new StaveNote({"keys": ["c/4"], "duration": "q", "stem_direction": 1});
+    stemDown = new StaveNote({"keys": ["c/5"], "duration": "q", "stem_direction": -1});
+    assert.strictEqual(new SlurCurve(note, note, {}).getDirection(), 1);
+    // with the stems both ways, the slur goes above
+    assert.strictEqual(new SlurCurve(note, stemDown, {}).getDirection(), -1);
+    assert.strictEqual(new SlurCurve(note, note, {"side": "up"}).getDirection(), -1);
+    assert.strictEqual(new SlurCurve(note, note, {"side": "down"}).getDirection(), 1);
+});
+
+test("slurs are raised in proportion to their span, within limits", () => {
+    let slur = new SlurCurve(new StaveNote({"keys": ["c/4"], "duration": "q"}), null, {});
+
+    assert.strictEqual(slur.getHeight(span(10), -1), minSlurHeight);
+    assert.strictEqual(slur.getHeight(span(200), -1), slurHeightRatio * 200);
+    assert.strictEqual(slur.getHeight(span(2000), -1), maxSlurHeight);
+});
+
+test("slurs are raised over the notes they pass", () => {
+    let slur, note;
+
+    slur = new SlurCurve(new StaveNote({"keys": ["c/4"], "duration": "q"}), null, {});
+    // a notehead 30 above the ends, halfway along, where the curve rises to three quarters of its height
+    note = {"getStemX": () => 50, "getYs": () => [-30], "hasStem": () => false};
+    assert.strictEqual(slur.getHeight(span(100, [note]), -1), (30 + noteheadHalfHeight + slurClearance) / 0.75);
+    // on the other side, the note is out of the way
+    assert.strictEqual(slur.getHeight(span(100, [note]), 1), minSlurHeight);
+});
+
+test("scores with slurs, targeted slurs, and slurs over chords and slurs over chords are drawn", () => {
+    ["example_slurs.json", "example_slurs_targeted@.json", "example_slurs_chords.json", "example_slurs_incomplete.json"].map((name) => assert.ok(renderExample(loadExample(name)), name));
+});
+
+test("slurs must name notes of their events, and a side that exists", () => {
+    let mnx;
+
+    mnx = loadExample("example_slurs_targeted@.json");
+    mnx.parts[0].measures[0].sequences[0].content[0].slurs[0]["start-note"] = "missing";
+    assert.throws(() => renderExample(mnx), MNXParseError);
+    mnx = loadExample("example_slurs_targeted@.json");
+    mnx.parts[0].measures[0].sequences[0].content[0].slurs[0].side = "sideways";
+    assert.throws(() => renderExample(mnx), UnsupportedFeatureError);
+});
@@ -0,0 +1,43 @@
+// Checks parts with more than one staff
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {loadViewer, loadExample, renderExample} = require("./helpers.js");
+
+const {getPartStaves, getStaffIndex, MNXParseError} = loadViewer();
+
+test("parts have one staff unless they say otherwise", () => {
+    assert.strictEqual(getPartStaves({"measures": []}), 1);
+    assert.strictEqual(getPartStaves({"staves": 2, "measures": []}), 2);
+});
+
+test("sequences and clefs are put on the staff they name", () => {
+    assert.strictEqual(getStaffIndex({}, 2), 0);
+    assert.strictEqual(getStaffIndex({"staff": 2}, 2), 1);
+    assert.throws(() => getStaffIndex({"staff": 3}, 2), MNXParseError);
+    assert.throws(() => getStaffIndex({"staff": 0}, 2), MNXParseError);
+});
+
+test("a grand staff part is drawn on two staves, with a clef for each", () => {
+    let mnx, svg;
+
+    mnx = loadExample("bach_minuet_grand_staff.json");
+    svg = renderExample(mnx);
+    assert.strictEqual(svg.querySelectorAll(".vf-stave").length, 2 * mnx.global.measures.length);
+    assert.ok(svg.querySelectorAll(".vf-clef").length >= 4);
+});
+
+test("an empty staff in 3/4 is filled with a rest that lasts the whole measure", () => {
+    let mnx, svg;
+
+    // take the left hand out, along with its beams
+    mnx = loadExample("bach_minuet_grand_staff.json");
+    mnx.parts[0].measures.map((measure) => {
+        let leftHand = measure.sequences.filter((sequence) => sequence.staff == 2).flatMap((sequence) => sequence.content.map((event) => event.id));
+
+        measure.sequences = measure.sequences.filter((sequence) => sequence.staff != 2);
+        if ("beams" in measure) measure.beams = measure.beams.filter((beam) => !beam.events.some((id) => leftHand.includes(id)));
+    });
+    svg = renderExample(mnx);
+    assert.strictEqual(svg.querySelectorAll(".vf-stave").length, 2 * mnx.global.measures.length);
+});
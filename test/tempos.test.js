@@ -0,0 +1,84 @@
+// Checks tempo markings, and playing scores at their tempos
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {loadViewer, loadExample, renderExample} = require("./helpers.js");
+
+const {parseScore, validateMNX, getPerformance, getTempoChanges, positionToTime, timeToPosition, scoreToMIDI} = loadViewer();
+
+function richScale() {
+    /**
+     * Loads the two-bar scale, marked Allegro with a dotted quarter beat, and twice as fast in half notes from its sixth note
+     * 
+     * @returns {object} An MNX object
+     */
+
+    let mnx = loadExample("example_two_bar_c_major_scale.json");
+
+    mnx.global.measures[0].tempos = [{"bpm": 90, "value": {"base": "quarter", "dots": 1}, "text": "Allegro"}];
+    mnx.global.measures[1].tempos = [{"bpm": 120, "value": {"base": "half"}, "location": {"fraction": [1, 4]}}];
+    return mnx;
+}
+
+function getMIDITempos(bytes) {
+    /**
+     * Finds the tempo events of a MIDI file
+     * 
+     * @param {Uint8Array} bytes The bytes of the file
+     * 
+     * @returns {Array} The microseconds per quarter note of each tempo event
+     */
+
+    let result = [];
+
+    for (let i = 0; i < bytes.length - 5; i++) {
+        if ((bytes[i] == 0xff) && (bytes[i + 1] == 0x51) && (bytes[i + 2] == 3)) result.push((bytes[i + 3] << 16) | (bytes[i + 4] << 8) | bytes[i + 5]);
+    }
+
+    return result;
+}
+
+test("tempos are read with their beat and where they start", () => {
+    assert.deepStrictEqual(parseScore(richScale()).measures.map((measure) => measure.tempos), [
+        [{"position": [0, 1], "bpm": 90, "value": {"base": "quarter", "dots": 1}, "text": "Allegro"}],
+        [{"position": [1, 4], "bpm": 120, "value": {"base": "half", "dots": 0}, "text": null}],
+    ]);
+});
+
+test("tempos must have a beat and a positive bpm, inside their measure", () => {
+    let mnx = richScale();
+
+    mnx.global.measures[1].tempos = [{"bpm": 0, "value": {"base": "half"}}, {"bpm": 60}];
+    assert.deepStrictEqual(validateMNX(mnx).errors, [
+        {"pointer": "/global/measures/1/tempos/0", "message": "Tempo bpm must be a positive number."},
+        {"pointer": "/global/measures/1/tempos/1", "message": "Tempo missing value object."},
+    ]);
+    mnx.global.measures[1].tempos = [{"bpm": 60, "value": {"base": "half"}, "location": {"fraction": [4, 4]}}];
+    assert.throws(() => parseScore(mnx), /Tempo is past the end of its measure/);
+});
+
+test("tempos are drawn as metronome marks after their text", () => {
+    let texts = Array.from(renderExample(richScale(), {"width": 800}).querySelectorAll("text"), (text) => text.textContent);
+
+    assert.deepStrictEqual(texts, ["Allegro", '(', " = 90)", " = 120"]);
+});
+
+test("performances are played at the tempos of the score, in quarter notes per minute", () => {
+    let performance, tempos;
+
+    performance = getPerformance(parseScore(richScale()));
+    assert.deepStrictEqual(performance.tempos, [{"start": [0, 1], "tempo": 135}, {"start": [5, 4], "tempo": 240}]);
+    tempos = getTempoChanges(performance, {"tempo": null});
+    assert.strictEqual(positionToTime(tempos, 5 / 4), 5 * 60 / 135);
+    assert.strictEqual(positionToTime(tempos, 3 / 2), 5 * 60 / 135 + 1 / 4);
+    assert.strictEqual(timeToPosition(tempos, positionToTime(tempos, 3 / 2)), 3 / 2);
+    // a tempo given for playback is kept throughout
+    assert.deepStrictEqual(getTempoChanges(performance, {"tempo": 100}), [{"start": [0, 1], "tempo": 100, "time": 0}]);
+    assert.deepStrictEqual(getTempoChanges(getPerformance(parseScore(loadExample("example_two_bar_c_major_scale.json"))), {"tempo": null}), [{"start": [0, 1], "tempo": 120, "time": 0}]);
+});
+
+test("MIDI files change tempo with the score, unless given a tempo", () => {
+    assert.deepStrictEqual(getMIDITempos(scoreToMIDI(parseScore(richScale()))), [Math.round(60000000 / 135), Math.round(60000000 / 240)]);
+    assert.deepStrictEqual(getMIDITempos(scoreToMIDI(parseScore(richScale()), {"tempo": 100})), [600000]);
+    assert.deepStrictEqual(getMIDITempos(scoreToMIDI(parseScore(loadExample("example_two_bar_c_major_scale.json")))), [500000]);
+});
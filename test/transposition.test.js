@@ -0,0 +1,127 @@
+// Checks transposing parts, at written and at concert pitch
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {loadViewer, loadExample, renderExample} = require("./helpers.js");
+
+const {render, parseScore, validateMNX, transposeScore, transposeMNX, intervalFromMNX, spellPitch, transposePitch, getIntervalFifths, getConcertInterval, getPartKey, getDisplayScore, getPerformance, keyFromMNX, getRenderOptions, MNXParseError, UnsupportedFeatureError} = loadViewer();
+
+function clarinetScale() {
+    /**
+     * Loads the two-bar scale, written for a B-flat clarinet
+     * 
+     * @returns {object} An MNX object
+     */
+
+    let mnx = loadExample("example_two_bar_c_major_scale.json");
+
+    mnx.parts[0].transposition = {"interval": {"staffDistance": -1, "halfSteps": -2}};
+    return mnx;
+}
+
+function getPitches(score) {
+    /**
+     * Finds the written pitches of the first part's first measure
+     * 
+     * @param {object} score A score model
+     * 
+     * @returns {Array} The step, alteration, and octave of each note
+     */
+
+    return score.parts[0].measures[0].sequences[0].events.flatMap((event) => event.notes.map((note) => [note.pitch.step, note.pitch.alter, note.pitch.octave]));
+}
+
+test("pitches are transposed by steps and spelled to the semitones", () => {
+    assert.deepStrictEqual(transposePitch({"step": 'C', "alter": 0, "octave": 4}, {"steps": 1, "semitones": 2}), {"step": 'D', "alter": 0, "octave": 4});
+    assert.deepStrictEqual(transposePitch({"step": 'E', "alter": 0, "octave": 4}, {"steps": 1, "semitones": 2}), {"step": 'F', "alter": 1, "octave": 4});
+    assert.deepStrictEqual(transposePitch({"step": 'C', "alter": 0, "octave": 4}, {"steps": -1, "semitones": -2}), {"step": 'B', "alter": -1, "octave": 3});
+    assert.strictEqual(getIntervalFifths({"steps": 1, "semitones": 2}), 2);
+    assert.strictEqual(getIntervalFifths({"steps": -5, "semitones": -9}), -3);
+    // at concert pitch, parts stay in the octave they are written in
+    assert.deepStrictEqual(getConcertInterval({"steps": -8, "semitones": -14}), {"steps": -1, "semitones": -2});
+    assert.deepStrictEqual(getConcertInterval({"steps": 7, "semitones": 12}), {"steps": 0, "semitones": 0});
+});
+
+test("parts keep their transposition", () => {
+    let mnx = clarinetScale();
+
+    mnx.parts[0].transposition.keyFifthsFlipAt = 7;
+    assert.deepStrictEqual(parseScore(mnx).parts[0].transposition, {"interval": {"steps": -1, "semitones": -2}, "keyFifthsFlipAt": 7});
+    assert.strictEqual(parseScore(loadExample("example_two_bar_c_major_scale.json")).parts[0].transposition, null);
+    mnx.parts[0].transposition = {"interval": {"staffDistance": -1}, "keyFifthsFlipAt": 0};
+    assert.throws(() => parseScore(mnx), MNXParseError);
+    assert.deepStrictEqual(validateMNX(mnx).errors, [{"pointer": "/parts/0/transposition", "message": "Transposition interval halfSteps must be an integer."}]);
+});
+
+test("transposing parts are written in their own key", () => {
+    let part = parseScore(clarinetScale()).parts[0];
+
+    assert.strictEqual(getPartKey(keyFromMNX({"fifths": 0}), part, {"pitch": "transposed"}).fifths, 2);
+    assert.strictEqual(getPartKey(keyFromMNX({"fifths": 0}), part, {"pitch": "concert"}).fifths, 0);
+    // keys past seven sharps or flats are written as their enharmonic equivalents
+    assert.strictEqual(getPartKey(keyFromMNX({"fifths": -6}), part, {"pitch": "transposed"}).fifths, -4);
+    assert.strictEqual(getPartKey(keyFromMNX({"fifths": 5}), part, {"pitch": "transposed"}).fifths, 7);
+    part.transposition.keyFifthsFlipAt = 7;
+    assert.strictEqual(getPartKey(keyFromMNX({"fifths": 5}), part, {"pitch": "transposed"}).fifths, -5);
+});
+
+test("at concert pitch, notes are respelled as they sound", () => {
+    let score = parseScore(clarinetScale());
+
+    assert.strictEqual(getDisplayScore(score, getRenderOptions({"pitch": "transposed"})), score);
+    assert.deepStrictEqual(getPitches(getDisplayScore(score, getRenderOptions({"pitch": "concert"}))), [['B', -1, 3], ['C', 0, 4], ['D', 0, 4], ['E', -1, 4]]);
+    // the score itself is left as written
+    assert.deepStrictEqual(getPitches(score), [['C', 0, 4], ['D', 0, 4], ['E', 0, 4], ['F', 0, 4]]);
+    assert.throws(() => getRenderOptions({"pitch": "sounding"}), UnsupportedFeatureError);
+});
+
+test("transposing parts show their key signature, even when the score is in C", () => {
+    assert.strictEqual(renderExample(clarinetScale(), {"width": 800}).querySelectorAll(".vf-keysignature").length, 1);
+    assert.strictEqual(renderExample(clarinetScale(), {"width": 800, "pitch": "concert"}).querySelectorAll(".vf-keysignature").length, 0);
+    assert.strictEqual(renderExample(loadExample("example_two_bar_c_major_scale.json"), {"width": 800}).querySelectorAll(".vf-keysignature").length, 0);
+});
+
+test("transposing parts are played at the pitch they sound", () => {
+    assert.deepStrictEqual(getPerformance(parseScore(clarinetScale())).notes.map((note) => note.pitch), [58, 60, 62, 63, 65, 67, 69, 70]);
+});
+
+test("scores are transposed with their keys, respelling notes that would need too many sharps or flats", () => {
+    let key = loadExample("example_two_bar_c_major_scale.json");
+    let score;
+
+    score = transposeScore(parseScore(loadExample("example_two_bar_c_major_scale.json")), intervalFromMNX({"staffDistance": 1, "halfSteps": 2}));
+    assert.deepStrictEqual(score.measures.map((measure) => measure.key.fifths), [2, 2]);
+    assert.deepStrictEqual(getPitches(score), [['D', 0, 4], ['E', 0, 4], ['F', 1, 4], ['G', 0, 4]]);
+    // F-sharp major up a major second would be G-sharp major, so it is written as A-flat major
+    key.global.measures[0].key = {"fifths": 6};
+    assert.deepStrictEqual(transposeScore(parseScore(key), intervalFromMNX({"staffDistance": 1, "halfSteps": 2})).measures.map((measure) => measure.key.fifths), [-4, -4]);
+    assert.deepStrictEqual(spellPitch({"step": 'B', "alter": 3, "octave": 4}), {"step": 'C', "alter": 2, "octave": 5});
+    assert.deepStrictEqual(spellPitch({"step": 'C', "alter": -3, "octave": 4}), {"step": 'B', "alter": -2, "octave": 3});
+    assert.throws(() => intervalFromMNX({"staffDistance": 1}), UnsupportedFeatureError);
+});
+
+test("transposing writes out the implied key", () => {
+    let mnx, transposed;
+
+    mnx = loadExample("example_two_bar_c_major_scale.json");
+    transposed = transposeMNX(mnx, {"staffDistance": 1, "halfSteps": 2});
+    assert.deepStrictEqual(transposed.global.measures.map((measure) => measure.key), [{"fifths": 2}, undefined]);
+    assert.deepStrictEqual(transposed.parts[0].measures[0].sequences[0].content.map((event) => event.notes[0].pitch.step), ['D', 'E', 'F', 'G']);
+    assert.strictEqual(transposed.parts[0].measures[0].sequences[0].content[2].notes[0].pitch.alter, 1);
+    // the source is left as it was
+    assert.deepStrictEqual(mnx.global.measures.map((measure) => measure.key), [undefined, undefined]);
+    mnx.global.measures[1].key = {"fifths": -3};
+    assert.deepStrictEqual(transposeMNX(mnx, {"staffDistance": -2, "halfSteps": -3}).global.measures.map((measure) => measure.key), [{"fifths": 3}, {"fifths": 0}]);
+});
+
+test("rendered scores are drawn, played, and exported transposed", () => {
+    let container, score;
+
+    container = document.createElement("div");
+    document.body.appendChild(container);
+    score = render(loadExample("example_two_bar_c_major_scale.json"), container, {"width": 800, "transpose": {"staffDistance": 1, "halfSteps": 2}});
+    assert.strictEqual(container.querySelectorAll(".vf-keysignature").length, 1);
+    assert.deepStrictEqual(getPerformance(score.score).notes.map((note) => note.pitch), [62, 64, 66, 67, 69, 71, 73, 74]);
+    assert.throws(() => render(loadExample("example_two_bar_c_major_scale.json"), container, {"transpose": {"staffDistance": 1}}), UnsupportedFeatureError);
+    container.remove();
+});
@@ -0,0 +1,105 @@
+// Checks that validation finds every problem in a score, and where it is
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const {loadViewer, loadExample} = require("./helpers.js");
+
+const {validateMNX, parseScore, MNXParseError} = loadViewer();
+
+// bad input has to be turned away, so anything that hangs fails rather than holding up the run
+const testOptions = {"timeout": 10000};
+
+// each of these hung the parser, or crashed the validator, instead of being reported
+const badInputs = [
+    {"name": "time count that is not a number", "example": "example_grace.json", "change": (mnx) => mnx.global.measures[0].time.count = "x", "pointer": "/global/measures/0/time"}, 
+    {"name": "time count that is an object", "example": "example_key_signatures.json", "change": (mnx) => mnx.global.measures[0].time.count = {}, "pointer": "/global/measures/0/time"}, 
+    {"name": "zero time count", "example": "example_grace.json", "change": (mnx) => mnx.global.measures[0].time.count = 0, "pointer": "/global/measures/0/time"}, 
+    {"name": "negative time count", "example": "example_grace.json", "change": (mnx) => mnx.global.measures[0].time.count = -3, "pointer": "/global/measures/0/time"}, 
+    {"name": "zero time unit", "example": "example_two_bar_c_major_scale.json", "change": (mnx) => mnx.global.measures[0].time.unit = 0, "pointer": "/global/measures/0/time"}, 
+    {"name": "time unit that is not a power of two", "example": "example_two_bar_c_major_scale.json", "change": (mnx) => mnx.global.measures[0].time.unit = 6, "pointer": "/global/measures/0/time"}, 
+    {"name": "tuplet multiple that is not a number", "example": "example_tuplets.json", "change": (mnx) => mnx.parts[0].measures[0].sequences[0].content[0].inner.multiple = "x", "pointer": "/parts/0/measures/0/sequences/0/content/0/inner"}, 
+    {"name": "tuplet inner that is a string", "example": "example_tuplets.json", "change": (mnx) => mnx.parts[0].measures[0].sequences[0].content[0].inner = "s", "pointer": "/parts/0/measures/0/sequences/0/content/0/inner"}, 
+    {"name": "tuplet outer that is a number", "example": "example_tuplets.json", "change": (mnx) => mnx.parts[0].measures[0].sequences[0].content[0].outer = 3, "pointer": "/parts/0/measures/0/sequences/0/content/0/outer"}, 
+    {"name": "tuplet outer that is null", "example": "example_tuplets.json", "change": (mnx) => mnx.parts[0].measures[0].sequences[0].content[0].outer = null, "pointer": "/parts/0/measures/0/sequences/0/content/0/outer"}, 
+];
+
+function getErrors(mnx) {
+    /**
+     * Validates a score
+     * 
+     * @param {object} mnx An MNX object
+     * 
+     * @returns {Array} The pointer and message of each error
+     */
+
+    return validateMNX(mnx).errors.map((problem) => [problem.pointer, problem.message]);
+}
+
+test("every example is valid and can be read", testOptions, () => {
+    fs.readdirSync(path.join(__dirname, "..", "examples")).filter((name) => name.endsWith(".json")).map((name) => {
+        let mnx = loadExample(name);
+
+        assert.deepStrictEqual(validateMNX(mnx).errors, [], name);
+        assert.strictEqual(parseScore(mnx).measures.length, mnx.global.measures.length, name);
+    });
+});
+
+test("every problem is found, not only the first", () => {
+    let mnx = loadExample("example_two_bar_c_major_scale.json");
+
+    mnx.parts[0].measures[0].sequences[0].content[0].notes[0].pitch.step = 'H';
+    delete mnx.parts[0].measures[1].sequences[0].content[3].duration;
+    mnx.parts[0].measures[1].sequences[0].content[2].duration.base = "longer";
+    assert.deepStrictEqual(getErrors(mnx).map((problem) => problem[0]), [
+        "/parts/0/measures/0/sequences/0/content/0/notes/0/pitch", 
+        "/parts/0/measures/1/sequences/0/content/3", 
+    ]);
+    // valid MNX that cannot be drawn is only warned about
+    assert.deepStrictEqual(validateMNX(mnx).warnings.map((problem) => problem.pointer), ["/parts/0/measures/1/sequences/0/content/2/duration"]);
+    assert.deepStrictEqual(getErrors({"mnx": {}, "global": [], "parts": {}}).length > 0, true);
+    assert.deepStrictEqual(getErrors(null).map((problem) => problem[0]), [""]);
+});
+
+test("IDs may only be used once", () => {
+    let mnx = loadExample("example_ties.json");
+
+    mnx.parts[0].measures[0].sequences[0].content[0].id = "note3";
+    assert.deepStrictEqual(getErrors(mnx), [
+        ["/parts/0/measures/0/sequences/0/content/2/notes/0/id", "Duplicate ID note3, first used at /parts/0/measures/0/sequences/0/content/0/id."], 
+        // the tie now finds the event first, which it cannot be tied to
+        ["/parts/0/measures/0/sequences/0/content/1/notes/0/tie/target", "Tie target note3 does not refer to a note."], 
+    ]);
+});
+
+test("beams, slurs and ties must refer to events and notes that exist", () => {
+    let mnx;
+
+    mnx = loadExample("example_beams.json");
+    mnx.parts[0].measures[0].beams[0].events[0] = "nothing";
+    assert.deepStrictEqual(getErrors(mnx), [["/parts/0/measures/0/beams/0/events/0", "Beam event nothing does not exist."]]);
+    mnx = loadExample("example_slurs.json");
+    mnx.parts[0].measures[0].sequences[0].content[0].slurs[0].target = "nowhere";
+    assert.deepStrictEqual(getErrors(mnx), [["/parts/0/measures/0/sequences/0/content/0/slurs/0/target", "Slur target nowhere does not exist."]]);
+    mnx = loadExample("example_ties.json");
+    mnx.parts[0].measures[0].sequences[0].content[1].notes[0].tie.target = "note4";
+    assert.deepStrictEqual(getErrors(mnx), [["/parts/0/measures/0/sequences/0/content/1/notes/0/tie/target", "Tie target note4 does not exist."]]);
+});
+
+test("errors thrown while reading carry the pointer of the object at fault", () => {
+    let mnx = loadExample("example_beams.json");
+
+    mnx.parts[0].measures[0].beams[0].events[0] = "nothing";
+    assert.throws(() => parseScore(mnx), (e) => (e instanceof MNXParseError) && (e.pointer == "/parts/0/measures/0/beams/0/events/0"));
+});
+
+badInputs.map((input) => test(`a ${input.name} is reported, not hung on`, testOptions, () => {
+    let mnx, problems;
+
+    mnx = loadExample(input.example);
+    input.change(mnx);
+    problems = validateMNX(mnx);
+    assert.ok(problems.errors.some((problem) => problem.pointer == input.pointer), JSON.stringify(problems.errors));
+    assert.throws(() => parseScore(mnx), MNXParseError);
+}));